@@ -3,7 +3,14 @@ import http from 'http';
 import { Server as SocketIOServer } from 'socket.io';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import NodeCarbon from '../index.js';
+import NodeCarbon, {
+  RequestCarbonTracker,
+  PrometheusExporter,
+  JsonLinesStore,
+  SqliteStore,
+  expressCarbonMiddleware
+} from '../index.js';
+import TtlCache from '../src/utils/ttlCache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,6 +30,13 @@ const io = new SocketIOServer(server, {
   }
 });
 
+// Share geolocation and carbon intensity lookups between all connections
+const geoCache = new TtlCache({ file: process.env.NODE_CARBON_CACHE_FILE || null });
+
+// Attribute the footprint of every request to its route
+const requestCarbonTracker = new RequestCarbonTracker(new NodeCarbon({ cache: geoCache }));
+app.use(expressCarbonMiddleware(requestCarbonTracker, { header: true }));
+
 const publicDir = path.join(__dirname, 'public');
 app.use(express.static(publicDir));
 
@@ -30,8 +44,52 @@ app.get('/health', (_req, res) => {
   res.json({ status: 'ok' });
 });
 
+app.get('/carbon', requestCarbonTracker.statsHandler());
+
+// Export the lifetime totals of the process to Prometheus
+const prometheusExporter = new PrometheusExporter(new NodeCarbon({ cache: geoCache }));
+prometheusExporter.start().catch((err) => {
+  // eslint-disable-next-line no-console
+  console.error(`Failed to start the metrics sampler: ${err.message}`);
+});
+app.get('/metrics', prometheusExporter.handler());
+
+// Keep the history of every measurement in NODE_CARBON_HISTORY_FILE (.db/.sqlite for SQLite, JSON lines otherwise)
+const historyFile = process.env.NODE_CARBON_HISTORY_FILE;
+const store = historyFile
+  ? (/\.(db|sqlite3?)$/i.test(historyFile) ? new SqliteStore(historyFile) : new JsonLinesStore(historyFile))
+  : null;
+
+// Query the history, e.g. /history?from=2024-01-01&to=2024-04-01&tag=source:dashboard&rollup=monthly
+app.get('/history', async (req, res) => {
+  if (!store) {
+    res.status(404).json({ error: 'History is disabled, set NODE_CARBON_HISTORY_FILE to enable it' });
+    return;
+  }
+
+  try {
+    const tags = Object.fromEntries([].concat(req.query.tag || []).map((tag) => String(tag).split(/:(.*)/s)));
+    const query = { from: req.query.from, to: req.query.to, runId: req.query.runId, tags };
+    res.json(req.query.rollup ? await store.rollup(req.query.rollup, query) : await store.query(query));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Budgets of every connection's measurements, e.g. NODE_CARBON_BUDGETS='[{"limit":5,"period":3600000}]'
+const budgets = process.env.NODE_CARBON_BUDGETS ? JSON.parse(process.env.NODE_CARBON_BUDGETS) : [];
+
 io.on('connection', async (socket) => {
-  const nodeCarbon = new NodeCarbon();
+  // Sample every 250 ms so that the charts show spikes within a measurement
+  const nodeCarbon = new NodeCarbon({
+    cache: geoCache,
+    budgets,
+    store,
+    tags: { source: 'dashboard' },
+    sampler: { interval: 250 }
+  });
+
+  socket.emit('budgets', nodeCarbon.getBudgets());
 
   // Send static energy info once on connect
   try {
@@ -41,43 +99,59 @@ io.on('connection', async (socket) => {
     socket.emit('error', { message: 'Failed to load energy info', details: err?.message });
   }
 
+  // Forward every interval measurement to the client
+  nodeCarbon.on('measurement', (result) => {
+    socket.emit('measurement', {
+      timestamp: Date.now(),
+      cpuUsageWatts: result.energyInfo.cpu.powerWatts,
+      cpuTimeSeconds: result.cpuUsageInfo.cpuTimeInSeconds,
+      rssDeltaMB: result.memoryUsageInfo.rssDeltaMB,
+      heapTotalDeltaMB: result.memoryUsageInfo.heapTotalDeltaMB,
+      heapUsedDeltaMB: result.memoryUsageInfo.heapUsedDeltaMB,
+      cpuUtilization: result.energyInfo.cpu.utilization,
+      energyWh: result.energyInfo.energyWh,
+      carbonEmission: result.carbonEmission,
+      elapsedTimeMs: result.elapsedTime,
+      samples: (result.timeSeries?.samples || []).map((sample) => ({
+        timestamp: sample.timestamp,
+        cpuWatts: sample.cpuPowerWatts,
+        rssMB: sample.rssMB,
+        heapUsedMB: sample.heapUsedMB,
+        eventLoopUtilization: sample.eventLoopUtilization
+      }))
+    });
+    // Send the budget states so the client can show a banner
+    socket.emit('budgets', nodeCarbon.getBudgets());
+  });
+
+  nodeCarbon.on('error', (err) => {
+    socket.emit('error', { message: 'Measurement failed', details: err?.message });
+  });
+
   let isClosed = false;
-  let loopActive = false;
+  let isStarting = false;
 
-  const measureOnce = async () => {
+  const startSampling = async () => {
+    if (isStarting || nodeCarbon.timer) return;
+    isStarting = true;
     try {
-      await nodeCarbon.start();
-      // Short window to gather CPU/memory deltas
-      await new Promise((r) => setTimeout(r, 1000));
-      const result = await nodeCarbon.stop();
-      socket.emit('measurement', {
-        timestamp: Date.now(),
-        cpuUsageWatts: result.cpuUsageInfo.cpuUsage,
-        cpuTimeSeconds: result.cpuUsageInfo.totalTimeInSeconds,
-        rssDeltaMB: result.memoryUsageInfo.rssDeltaMB,
-        heapTotalDeltaMB: result.memoryUsageInfo.heapTotalDeltaMB,
-        heapUsedDeltaMB: result.memoryUsageInfo.heapUsedDeltaMB,
-        carbonEmission: result.carbonEmission,
-        elapsedTimeMs: result.elapsedTime
-      });
+      // one sample every 2s
+      await nodeCarbon.startMeasurementWithInterval(2000);
+      // the client may have gone away while the first measurement was starting
+      if (isClosed) nodeCarbon.stopPowerMeasurement();
     } catch (err) {
       socket.emit('error', { message: 'Measurement failed', details: err?.message });
+    } finally {
+      isStarting = false;
     }
   };
 
-  const startLoop = async () => {
-    if (loopActive) return;
-    loopActive = true;
-    while (!isClosed) {
-      // run one sample per ~2s (1s measurement + ~1s gap)
-      await measureOnce();
-      await new Promise((r) => setTimeout(r, 1000));
-    }
-  };
-
-  socket.on('start', () => startLoop());
-  socket.on('stop', () => { isClosed = true; });
-  socket.on('disconnect', () => { isClosed = true; });
+  socket.on('start', () => startSampling());
+  socket.on('stop', () => nodeCarbon.stopPowerMeasurement());
+  socket.on('disconnect', () => {
+    isClosed = true;
+    nodeCarbon.stopPowerMeasurement();
+  });
 });
 
 const PORT = process.env.PORT || 3000;
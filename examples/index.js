@@ -16,12 +16,17 @@ setTimeout(async () => {
   const carbon = await nodeCarbon.stop();
 
   console.table({
-    'CPU Usage (watts)': carbon.cpuUsageInfo.cpuUsage,
+    'CPU Power (watts)': carbon.energyInfo.cpu.powerWatts,
     'Total Time (s)': carbon.elapsedTime,
     'RSS Delta (Mb)': carbon.memoryUsageInfo.rssDeltaMB,
     'Heap Total Delta (Mb)': carbon.memoryUsageInfo.heapTotalDeltaMB,
     'Heap Used Delta (Mb)': carbon.memoryUsageInfo.heapUsedDeltaMB,
-    'Carbon Consumption (gCO2e/kWh)': carbon.carbonEmission
+    'CPU Time (s)': carbon.energyInfo.cpu.cpuTimeInSeconds,
+    'User CPU Time (s)': carbon.cpuUsageInfo.userTimeInSeconds,
+    'System CPU Time (s)': carbon.cpuUsageInfo.systemTimeInSeconds,
+    'CPU Utilization': carbon.energyInfo.cpu.utilization,
+    'Energy (Wh)': carbon.energyInfo.energyWh,
+    'Carbon Consumption (gCO2e)': carbon.carbonEmission
   });
 
 }, 1000);
@@ -0,0 +1,18 @@
+import NodeCarbon from '../index.js';
+
+// Create an instance of the NodeCarbon class
+const nodeCarbon = new NodeCarbon();
+
+// Measure the carbon footprint of an async job
+const { result, report } = await nodeCarbon.measure(async () => {
+  // Simulate a batch job that takes 1 second
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+  return 'job done';
+});
+
+console.log('Result:', result);
+console.table({
+  'Total Time (ms)': report.elapsedTime,
+  'Energy (Wh)': report.energyInfo.energyWh,
+  'Carbon Consumption (gCO2e)': report.carbonEmission
+});
@@ -1,7 +1,12 @@
-import NodeCarbon from '../index.js';
+import NodeCarbon, { consoleReporter } from '../index.js';
 
-// Create an instance of the NodeCarbon class
-const nodeCarbon = new NodeCarbon();
+// Create an instance of the NodeCarbon class that logs every measurement to the console
+const nodeCarbon = new NodeCarbon({ reporter: consoleReporter });
+
+// Listen for interval measurements
+nodeCarbon.on('measurement', (carbon) => {
+  console.log('Carbon Emission (gCO2e):', carbon.carbonEmission);
+});
 
 // Measure carbon consumption in an interval (milliseconds)
  nodeCarbon.startMeasurementWithInterval(6000); // Measure every minute
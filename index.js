@@ -1,8 +1,135 @@
-
 import PowerConsumptionMeasurement from './src/powerConsumptionMeasurement.js';
+import consoleReporter from './src/reporters/consoleReporter.js';
+import CarbonBudget from './src/carbonBudget.js';
+import CarbonScheduler from './src/carbonScheduler.js';
+import UsageSampler from './src/usageSampler.js';
+import CarbonSpanProcessor, { registerCarbonMetrics } from './src/carbonSpanProcessor.js';
+import JsonLinesStore from './src/stores/jsonLinesStore.js';
+import SqliteStore from './src/stores/sqliteStore.js';
+import ReportGenerator from './src/reportGenerator.js';
+import PrometheusExporter from './src/prometheusExporter.js';
+import RequestCarbonTracker from './src/requestCarbonTracker.js';
+import RaplEnergySource from './src/energySources/raplEnergySource.js';
+import StaticIntensityProvider from './src/intensityProviders/staticIntensityProvider.js';
+import FileIntensityProvider from './src/intensityProviders/fileIntensityProvider.js';
+import HttpIntensityProvider from './src/intensityProviders/httpIntensityProvider.js';
+import { serveThreadCpuUsage } from './src/threadUsageMeasurement.js';
+import { getRegionInfo, listRegions, getGridZone } from './src/utils/regions.js';
+import { expressCarbonMiddleware, koaCarbonMiddleware, fastifyCarbonPlugin } from './src/carbonMiddleware.js';
 
 class NodeCarbon extends PowerConsumptionMeasurement {
-  // Add any additional functionality or methods specific to NodeCarbon here
+  /**
+   * Runs a sync or async function while measuring its carbon footprint. Every call uses its own
+   * measurement, so calls can be nested or run concurrently without sharing start state; the
+   * CPU and memory figures cover the whole process during the call.
+   *
+   * The measurement is always stopped, also when the function throws. The error is then rethrown
+   * with the footprint report attached as `error.carbonReport`, or without it when the measurement
+   * could not be stopped.
+   *
+   * @param {Function} fn The function to measure
+   * @param {object} [options] Options overriding the options of this instance for this measurement
+   * @returns {Promise<object>} An object containing the result of the function and the footprint report
+   */
+  async measure(fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error('Invalid fn: must be a function');
+    }
+
+    // Create a measurement of its own, sharing the power model and the location cache
+    const measurement = new PowerConsumptionMeasurement({
+      ...this.options,
+      cpuPowerModel: this.cpuPowerModel,
+      memoryPowerModel: this.memoryPowerModel,
+      cache: this.geoCarbonUsageMeasurement.cache,
+      reporter: null,
+      budgets: [],
+      store: null,
+      ...options,
+    });
+
+    await measurement.start();
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      // Rethrow the error of the function, also when stopping the measurement fails
+      try {
+        const report = await measurement.stop();
+        if (error instanceof Object) {
+          error.carbonReport = report;
+        }
+        this.recordMeasurement(report);
+      } catch (stopError) {
+        // The report is lost, the error of the function is what the caller needs
+      }
+      throw error;
+    }
+
+    const report = await measurement.stop();
+    this.recordMeasurement(report);
+
+    return { result, report };
+  }
+
+  /**
+   * Runs a deferrable sync or async function in the lowest-carbon window before a deadline, picked
+   * from the intensity forecast of the current location, and reports the emission saved compared
+   * with running it immediately. See CarbonScheduler.scheduleWhenGreen().
+   *
+   * @param {Function} fn The function to run
+   * @param {object} options Scheduling options: deadline, maxIntensity, duration and signal
+   * @param {object} [options.forecastSource] Source of the forecast (defaults to the intensityProvider option)
+   * @returns {Promise<object>} An object containing the result of the function, the footprint report and the schedule
+   */
+  async scheduleWhenGreen(fn, { forecastSource, ...options } = {}) {
+    const scheduler = new CarbonScheduler({
+      ...this.options,
+      cpuPowerModel: this.cpuPowerModel,
+      memoryPowerModel: this.memoryPowerModel,
+      cache: this.geoCarbonUsageMeasurement.cache,
+      reporter: null,
+      budgets: [],
+      store: null,
+      ...(forecastSource && { forecastSource }),
+    });
+
+    try {
+      const scheduled = await scheduler.scheduleWhenGreen(fn, options);
+      this.recordMeasurement(scheduled.report);
+      return scheduled;
+    } catch (error) {
+      if (error?.carbonReport) {
+        this.recordMeasurement(error.carbonReport);
+      }
+      throw error;
+    }
+  }
 }
 
-export default NodeCarbon;
\ No newline at end of file
+export {
+  consoleReporter,
+  CarbonBudget,
+  CarbonScheduler,
+  UsageSampler,
+  PrometheusExporter,
+  JsonLinesStore,
+  SqliteStore,
+  ReportGenerator,
+  CarbonSpanProcessor,
+  registerCarbonMetrics,
+  RequestCarbonTracker,
+  expressCarbonMiddleware,
+  koaCarbonMiddleware,
+  fastifyCarbonPlugin,
+  getRegionInfo,
+  listRegions,
+  getGridZone,
+  RaplEnergySource,
+  StaticIntensityProvider,
+  FileIntensityProvider,
+  HttpIntensityProvider,
+  serveThreadCpuUsage,
+};
+export default NodeCarbon;
@@ -0,0 +1,149 @@
+// Metrics a budget can limit, read from the results of PowerConsumptionMeasurement.stop()
+export const BUDGET_METRICS = {
+  carbonEmission: (powerConsumptionInfo) => powerConsumptionInfo.carbonEmission, // gCO2e
+  energyKWh: (powerConsumptionInfo) => powerConsumptionInfo.energyInfo.energyKWh, // kWh
+};
+
+// Default fraction of the limit at which a budget warns
+export const DEFAULT_WARN_AT = 0.8;
+
+/**
+ * Class to track cumulative usage against a limit, e.g. "max 5 gCO2e per hour" or "max 0.2 kWh per run".
+ * The status of a budget is "ok", "warning" or "exceeded".
+ */
+class CarbonBudget {
+  /**
+   * Create a new CarbonBudget object.
+   * @param {object} options Budget options
+   * @param {number} options.limit The hard limit, in gCO2e or kWh depending on the metric
+   * @param {string} [options.metric] The metric to limit: "carbonEmission" (gCO2e) or "energyKWh"
+   * @param {number|null} [options.period] Length of the sliding window in milliseconds, e.g. 3600000 for
+   * "per hour" (null counts everything since the budget was created or reset, i.e. "per run")
+   * @param {number} [options.warnAt] Fraction of the limit at which to warn, 0..1
+   * @param {string} [options.name] Name of the budget, shown in alerts
+   * @param {Function} [options.onWarning] Called with the budget state when usage reaches the warning threshold
+   * @param {Function} [options.onExceeded] Called with the budget state when usage goes over the limit
+   * @param {Function} [options.now] Function returning the current time in milliseconds
+   */
+  constructor(options) {
+    const {
+      limit,
+      metric = 'carbonEmission',
+      period = null,
+      warnAt = DEFAULT_WARN_AT,
+      name = `${limit} ${metric === 'energyKWh' ? 'kWh' : 'gCO2e'} per ${period ? `${period}ms` : 'run'}`,
+      onWarning = null,
+      onExceeded = null,
+      now = Date.now,
+    } = options || {};
+
+    if (typeof limit !== 'number' || limit <= 0) {
+      throw new Error('Invalid limit: must be a positive number');
+    }
+    if (!BUDGET_METRICS[metric]) {
+      throw new Error(`Invalid metric: must be one of ${Object.keys(BUDGET_METRICS).join(', ')}`);
+    }
+    if (period !== null && !(period > 0)) {
+      throw new Error('Invalid period: must be a positive number of milliseconds or null');
+    }
+    if (!(warnAt > 0 && warnAt <= 1)) {
+      throw new Error('Invalid warnAt: must be between 0 and 1');
+    }
+
+    this.name = name;
+    this.limit = limit;
+    this.metric = metric;
+    this.period = period;
+    this.warnAt = warnAt;
+    this.onWarning = onWarning;
+    this.onExceeded = onExceeded;
+    this.now = now;
+
+    this.entries = []; // { timestamp, value } of the measurements in the window, only kept with a period
+    this.usage = 0; // Without a period, the running total of every measurement
+    this.count = 0; // The number of measurements counted in the usage
+    this.status = 'ok';
+  }
+
+  /**
+   * Add a measurement to the budget.
+   * @param {object} powerConsumptionInfo The result of PowerConsumptionMeasurement.stop()
+   * @returns {string|null} The new status when the measurement raised it to "warning" or "exceeded", otherwise null
+   */
+  add(powerConsumptionInfo) {
+    const value = BUDGET_METRICS[this.metric](powerConsumptionInfo);
+    if (Number.isFinite(value)) {
+      // Measurements only need to be kept to drop them when they leave the window
+      if (this.period !== null) {
+        this.entries.push({ timestamp: this.now(), value });
+      } else {
+        this.usage += value;
+        this.count += 1;
+      }
+    }
+
+    const previousStatus = this.status;
+    this.update();
+
+    // Only report a status that went up, e.g. ok -> warning or warning -> exceeded
+    const levels = { ok: 0, warning: 1, exceeded: 2 };
+    if (levels[this.status] <= levels[previousStatus]) return null;
+
+    if (this.status === 'warning' && this.onWarning) this.onWarning(this.getState());
+    if (this.status === 'exceeded' && this.onExceeded) this.onExceeded(this.getState());
+    return this.status;
+  }
+
+  /**
+   * Drop measurements that left the window, recompute the usage of the window and update the status.
+   */
+  update() {
+    if (this.period !== null) {
+      const windowStart = this.now() - this.period;
+      this.entries = this.entries.filter((entry) => entry.timestamp > windowStart);
+      this.usage = this.entries.reduce((total, entry) => total + entry.value, 0);
+      this.count = this.entries.length;
+    }
+
+    if (this.usage > this.limit) {
+      this.status = 'exceeded';
+    } else if (this.usage >= this.limit * this.warnAt) {
+      this.status = 'warning';
+    } else {
+      this.status = 'ok';
+    }
+  }
+
+  /**
+   * Get the state of the budget.
+   * @returns {object} An object containing the name, metric, limit, period, usage, number of measurements counted,
+   * fraction of the limit used and status
+   */
+  getState() {
+    this.update();
+
+    return {
+      name: this.name,
+      metric: this.metric,
+      limit: this.limit,
+      period: this.period,
+      warnAt: this.warnAt,
+      usage: this.usage,
+      count: this.count,
+      fraction: this.usage / this.limit,
+      status: this.status,
+    };
+  }
+
+  /**
+   * Remove all measurements from the budget.
+   */
+  reset() {
+    this.entries = [];
+    this.usage = 0;
+    this.count = 0;
+    this.update();
+  }
+}
+
+export default CarbonBudget;
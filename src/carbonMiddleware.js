@@ -0,0 +1,126 @@
+import RequestCarbonTracker from './requestCarbonTracker.js';
+
+// Response header carrying the emissions of a request in gCO2e
+export const CARBON_HEADER = 'X-Carbon-gCO2e';
+
+/**
+ * Express (and Connect) middleware that attributes CPU time, energy and emissions to every request
+ * and aggregates them per route.
+ *
+ * @param {RequestCarbonTracker} [tracker] The tracker collecting the route statistics
+ * @param {object} [options] Middleware options
+ * @param {boolean} [options.header] Whether to add the X-Carbon-gCO2e response header
+ * @param {Function} [options.route] Function returning the route name of a request
+ * @returns {Function} The (req, res, next) middleware
+ */
+export const expressCarbonMiddleware = (tracker = new RequestCarbonTracker(), options = {}) => {
+  const { header = false, route = expressRoute } = options;
+
+  return (req, res, next) => {
+    tracker.begin().then((context) => {
+      // Add the footprint so far as a header just before the headers are sent
+      if (header) {
+        const writeHead = res.writeHead;
+        res.writeHead = function (...args) {
+          res.setHeader(CARBON_HEADER, String(tracker.snapshot(context).carbonEmission));
+          return writeHead.apply(this, args);
+        };
+      }
+
+      onResponseDone(res, () => tracker.end(context, route(req)));
+      tracker.run(context, next);
+    }, next);
+  };
+};
+
+/**
+ * Koa middleware that attributes CPU time, energy and emissions to every request
+ * and aggregates them per route.
+ *
+ * @param {RequestCarbonTracker} [tracker] The tracker collecting the route statistics
+ * @param {object} [options] Middleware options, see expressCarbonMiddleware()
+ * @returns {Function} The async (ctx, next) middleware
+ */
+export const koaCarbonMiddleware = (tracker = new RequestCarbonTracker(), options = {}) => {
+  const { header = false, route = koaRoute } = options;
+
+  return async (ctx, next) => {
+    const context = await tracker.begin();
+    onResponseDone(ctx.res, () => tracker.end(context, route(ctx)));
+
+    await tracker.run(context, next);
+
+    if (header) {
+      ctx.set(CARBON_HEADER, String(tracker.snapshot(context).carbonEmission));
+    }
+  };
+};
+
+/**
+ * Fastify plugin that attributes CPU time, energy and emissions to every request
+ * and aggregates them per route. Register it with fastify.register(fastifyCarbonPlugin(tracker)).
+ *
+ * @param {RequestCarbonTracker} [tracker] The tracker collecting the route statistics
+ * @param {object} [options] Plugin options, see expressCarbonMiddleware()
+ * @returns {Function} The Fastify plugin
+ */
+export const fastifyCarbonPlugin = (tracker = new RequestCarbonTracker(), options = {}) => {
+  const { header = false, route = fastifyRoute } = options;
+  const contexts = new WeakMap(); // request -> request context
+
+  const plugin = (fastify, _pluginOptions, done) => {
+    fastify.addHook('onRequest', (request, _reply, hookDone) => {
+      tracker.begin().then((context) => {
+        contexts.set(request, context);
+        tracker.run(context, hookDone);
+      }, hookDone);
+    });
+
+    if (header) {
+      fastify.addHook('onSend', (request, reply, payload, hookDone) => {
+        const context = contexts.get(request);
+        if (context) {
+          reply.header(CARBON_HEADER, String(tracker.snapshot(context).carbonEmission));
+        }
+        hookDone(null, payload);
+      });
+    }
+
+    fastify.addHook('onResponse', (request, _reply, hookDone) => {
+      const context = contexts.get(request);
+      if (context) {
+        tracker.end(context, route(request));
+      }
+      hookDone();
+    });
+
+    done();
+  };
+
+  // Apply the hooks to the whole Fastify instance instead of an encapsulated context
+  plugin[Symbol.for('skip-override')] = true;
+  return plugin;
+};
+
+// Function to call a callback once a response has been sent ('finish') or its connection closed before
+// that ('close'), but only once, as a response that is sent also emits 'close'
+const onResponseDone = (res, callback) => {
+  let done = false;
+  const onDone = () => {
+    if (done) return;
+    done = true;
+    callback();
+  };
+
+  res.on('finish', onDone);
+  res.on('close', onDone);
+};
+
+// Function to get the route of an Express request, e.g. "GET /users/:id"
+const expressRoute = (req) => `${req.method} ${req.route ? req.baseUrl + req.route.path : '*'}`;
+
+// Function to get the route of a Koa request, using the matched @koa/router route when there is one
+const koaRoute = (ctx) => `${ctx.method} ${ctx._matchedRoute || '*'}`;
+
+// Function to get the route of a Fastify request
+const fastifyRoute = (request) => `${request.method} ${request.routeOptions?.url || request.routerPath || '*'}`;
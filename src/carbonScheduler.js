@@ -0,0 +1,193 @@
+import { setTimeout as sleep } from 'timers/promises';
+import PowerConsumptionMeasurement from './powerConsumptionMeasurement.js';
+import { averageIntensity, DEFAULT_POINT_DURATION } from './utils/intensitySeries.js';
+
+// Longest delay of a timer in milliseconds (about 24.8 days); Node fires longer timers after 1 ms
+export const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Function to wait until a time, in steps no timer overflows on
+const sleepUntil = async (time, signal) => {
+  for (let delay = time - Date.now(); delay > 0; delay = time - Date.now()) {
+    await sleep(Math.min(delay, MAX_TIMER_DELAY), undefined, { signal });
+  }
+};
+
+/**
+ * Class to run deferrable jobs when the grid is cleanest. The start of a job is picked from the
+ * intensity forecast of the current location, and the job is measured with a PowerConsumptionMeasurement
+ * of its own so that its emissions can be compared with running it immediately.
+ */
+class CarbonScheduler {
+  /**
+   * Create a new CarbonScheduler object.
+   * @param {object} [options] Scheduler options, and options of the measurement of every job (see
+   * PowerConsumptionMeasurement)
+   * @param {object} [options.forecastSource] Source of the intensity forecast, an object with
+   * getForecast({ countryCode, region, from, to }) such as a FileIntensityProvider or HttpIntensityProvider
+   * (defaults to the intensityProvider option)
+   * @param {number} [options.pointDuration] Time the last forecast point is valid for, in milliseconds
+   */
+  constructor(options = {}) {
+    const {
+      forecastSource = options.intensityProvider,
+      pointDuration = DEFAULT_POINT_DURATION,
+      ...measurementOptions
+    } = options;
+
+    if (typeof forecastSource?.getForecast !== 'function') {
+      throw new Error('Invalid forecastSource: must have a getForecast() method');
+    }
+
+    this.forecastSource = forecastSource;
+    this.pointDuration = pointDuration;
+
+    // A source that also gives the intensity of past windows measures the actual intensity of the job
+    this.measurementOptions = {
+      ...measurementOptions,
+      intensityProvider: measurementOptions.intensityProvider
+        ?? (typeof forecastSource.getIntensity === 'function' ? forecastSource : undefined),
+    };
+  }
+
+  /**
+   * Create the measurement of a job.
+   * @returns {PowerConsumptionMeasurement} The measurement
+   */
+  createMeasurement() {
+    return new PowerConsumptionMeasurement(this.measurementOptions);
+  }
+
+  /**
+   * Pick the start of a job from the forecast. Without maxIntensity the start with the lowest
+   * intensity is picked; with it, the earliest start at or below maxIntensity, or the lowest when
+   * there is none. Starts are now and every forecast point up to the deadline.
+   * @param {object} options Scheduling options
+   * @param {Date|number|string} options.deadline Latest time to start the job
+   * @param {number} [options.maxIntensity] Intensity in gCO2e/kWh that is good enough to start at
+   * @param {number} [options.duration] Expected duration of the job in milliseconds, over which the
+   * intensity of a start is averaged
+   * @param {PowerConsumptionMeasurement} [measurement] The measurement whose location is used
+   * @returns {Promise<object>} The plan: requestedAt, deadline, startAt and delay in milliseconds,
+   * plannedIntensity and immediateIntensity in gCO2e/kWh, and forecastError when there was no forecast
+   */
+  async plan({ deadline, maxIntensity = null, duration = 0 } = {}, measurement = this.createMeasurement()) {
+    const deadlineTime = new Date(deadline).getTime();
+    if (deadline === undefined || deadline === null || Number.isNaN(deadlineTime)) {
+      throw new Error('Invalid deadline: must be a date or a time in milliseconds');
+    }
+
+    const requestedAt = Date.now();
+    const geoCarbonUsageMeasurement = measurement.geoCarbonUsageMeasurement;
+
+    let forecast = [];
+    let forecastError;
+    if (deadlineTime > requestedAt) {
+      try {
+        forecast = await geoCarbonUsageMeasurement.fetchForecast(
+          { from: requestedAt, to: deadlineTime + duration },
+          this.forecastSource,
+        );
+      } catch (error) {
+        // Without a forecast there is nothing to wait for
+        forecastError = error.message;
+      }
+    }
+
+    const intensityAt = (time) => (
+      averageIntensity(forecast, time, time + duration, { pointDuration: this.pointDuration })?.carbonIntensity
+    );
+
+    const forecastStarts = forecast.map((point) => point.time).filter((time) => time > requestedAt && time <= deadlineTime);
+    const starts = [requestedAt, ...forecastStarts]
+      .map((time) => ({ time, carbonIntensity: intensityAt(time) }))
+      .filter(({ carbonIntensity }) => carbonIntensity !== undefined);
+
+    // The intensity of running now, also when the forecast starts later
+    const immediateIntensity = starts[0]?.time === requestedAt
+      ? starts[0].carbonIntensity
+      : (await geoCarbonUsageMeasurement.fetchCarbonIntensity({ start: requestedAt })).carbonIntensity;
+
+    const lowest = starts.reduce((best, start) => (start.carbonIntensity < best.carbonIntensity ? start : best), {
+      time: requestedAt,
+      carbonIntensity: immediateIntensity,
+    });
+    const goodEnough = maxIntensity === null ? null : starts.find(({ carbonIntensity }) => carbonIntensity <= maxIntensity);
+    const start = goodEnough ?? lowest;
+
+    return {
+      requestedAt,
+      deadline: deadlineTime,
+      startAt: start.time,
+      delay: start.time - requestedAt,
+      plannedIntensity: start.carbonIntensity,
+      immediateIntensity,
+      ...(forecastError && { forecastError }),
+    };
+  }
+
+  /**
+   * Run a sync or async function in the lowest-carbon window before a deadline while measuring it.
+   * The measurement is always stopped, also when the function throws. The error is then rethrown
+   * with the footprint report attached as `error.carbonReport`, or without it when the measurement
+   * could not be stopped.
+   * @param {Function} fn The function to run
+   * @param {object} options Scheduling options, see plan()
+   * @param {AbortSignal} [options.signal] Signal to cancel the job while it waits
+   * @returns {Promise<object>} An object containing the result of the function, the footprint report and
+   * the schedule: the plan, when the job started, the intensity it ran at, the emission of running it
+   * immediately (baselineEmission) and the emission saved in gCO2e (savedEmission) and as a fraction
+   */
+  async scheduleWhenGreen(fn, { signal, ...options } = {}) {
+    if (typeof fn !== 'function') {
+      throw new Error('Invalid fn: must be a function');
+    }
+
+    const measurement = this.createMeasurement();
+    const plan = await this.plan(options, measurement);
+
+    // Wait for the planned start, which may be further away than a single timer can wait
+    await sleepUntil(plan.startAt, signal);
+    signal?.throwIfAborted();
+
+    const startedAt = Date.now();
+    await measurement.start();
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      // Rethrow the error of the function, also when stopping the measurement fails
+      try {
+        const report = await measurement.stop();
+        if (error instanceof Object) {
+          error.carbonReport = report;
+        }
+      } catch (stopError) {
+        // The report is lost, the error of the function is what the caller needs
+      }
+      throw error;
+    }
+
+    const report = await measurement.stop();
+
+    // Compare with the same energy at the intensity of running immediately
+    const baselineEmission = plan.immediateIntensity * report.energyInfo.energyKWh;
+    const savedEmission = baselineEmission - report.carbonEmission;
+
+    return {
+      result,
+      report,
+      schedule: {
+        ...plan,
+        startedAt,
+        carbonIntensity: report.locationInfo.carbonIntensity, // The intensity the job ran at, in gCO2e/kWh
+        baselineEmission, // The emission of running immediately, in gCO2e
+        carbonEmission: report.carbonEmission, // The emission of the job, in gCO2e
+        savedEmission, // The emission saved, in gCO2e
+        savedFraction: baselineEmission > 0 ? savedEmission / baselineEmission : 0, // The emission saved, as a fraction
+      },
+    };
+  }
+}
+
+export default CarbonScheduler;
@@ -0,0 +1,189 @@
+import CpuUsageMeasurement from './cpuUsageMeasurement.js';
+import MemoryUsageMeasurement from './memoryUsageMeasurement.js';
+import PowerConsumptionMeasurement, { calculatePowerConsumption } from './powerConsumptionMeasurement.js';
+
+// Span attributes set by CarbonSpanProcessor
+export const SPAN_ATTRIBUTES = {
+  cpuTime: 'carbon.cpu_seconds',
+  energy: 'carbon.energy_kwh',
+  emissions: 'carbon.emissions_gco2e',
+  gridIntensity: 'carbon.grid_intensity_gco2_per_kwh',
+  country: 'carbon.country',
+};
+
+/**
+ * OpenTelemetry span processor that measures the CPU time and memory of the process while each span
+ * is active and records the energy and emissions as span attributes. Register it with the tracer
+ * provider, e.g. new BasicTracerProvider({ spanProcessors: [new CarbonSpanProcessor()] }).
+ *
+ * The figures cover the whole process, so spans that overlap each count the work of both. Attributes
+ * are set in onEnding(), which needs @opentelemetry/sdk-trace-base 2.1 or later; with older SDKs only
+ * the metrics are recorded.
+ */
+class CarbonSpanProcessor {
+  /**
+   * Create a new CarbonSpanProcessor object.
+   * @param {object} [options] Processor options
+   * @param {PowerConsumptionMeasurement} [options.measurement] Measurement providing the CPU power model
+   * and the carbon intensity of the current location
+   * @param {object} [options.meter] OpenTelemetry Meter to record the energy and emissions of every span with
+   */
+  constructor({ measurement = new PowerConsumptionMeasurement(), meter = null } = {}) {
+    this.measurement = measurement;
+    this.spans = new WeakMap(); // span -> its CPU and memory measurements
+    this.locationInfo = null;
+
+    // Look up the carbon intensity once, spans ending before it is known get no emissions
+    this.locationInfoLoaded = measurement.geoCarbonUsageMeasurement.fetchCarbonIntensity()
+      .then((locationInfo) => { this.locationInfo = locationInfo; });
+
+    this.instruments = meter && {
+      energy: meter.createCounter('node_carbon.span.energy', {
+        description: 'Energy used while spans were active',
+        unit: 'kWh',
+      }),
+      emissions: meter.createCounter('node_carbon.span.emissions', {
+        description: 'Carbon emissions while spans were active',
+        unit: 'g',
+      }),
+    };
+  }
+
+  /**
+   * Wait until the carbon intensity of the current location is known.
+   * @returns {Promise<void>}
+   */
+  ready() {
+    return this.locationInfoLoaded;
+  }
+
+  /**
+   * Start measuring when a span starts.
+   * @param {object} span The span
+   */
+  onStart(span) {
+    const cpuUsageMeasurement = new CpuUsageMeasurement({ cores: this.measurement.cpuPowerModel.cores });
+    // Spans are short and many, so sample RSS only at their start and end instead of on a timer. The
+    // measurement reads the start RSS when it is created, and without a timer start() would only read it again
+    const memoryUsageMeasurement = new MemoryUsageMeasurement({ sampleInterval: 0 });
+    cpuUsageMeasurement.start();
+
+    this.spans.set(span, { cpuUsageMeasurement, memoryUsageMeasurement, startTime: Date.now() });
+  }
+
+  /**
+   * Stop measuring while the span is ending and record the results as span attributes.
+   * @param {object} span The span
+   */
+  onEnding(span) {
+    const footprint = this.measure(span);
+    if (footprint) span.setAttributes(footprint);
+  }
+
+  /**
+   * Record the results as metrics once the span has ended, measuring first if onEnding() was not called.
+   * @param {object} span The span
+   */
+  onEnd(span) {
+    const footprint = this.measure(span) || span.attributes;
+    if (!this.instruments || footprint[SPAN_ATTRIBUTES.energy] === undefined) return;
+
+    const attributes = { 'span.name': span.name };
+    this.instruments.energy.add(footprint[SPAN_ATTRIBUTES.energy], attributes);
+    if (footprint[SPAN_ATTRIBUTES.emissions] !== undefined) {
+      this.instruments.emissions.add(footprint[SPAN_ATTRIBUTES.emissions], attributes);
+    }
+  }
+
+  /**
+   * Stop the measurements of a span.
+   * @param {object} span The span
+   * @returns {object|null} The span attributes, or null when the span was measured already
+   */
+  measure(span) {
+    const measurements = this.spans.get(span);
+    if (!measurements) return null;
+    this.spans.delete(span);
+
+    const cpuUsageInfo = measurements.cpuUsageMeasurement.stop();
+    const memoryUsageInfo = measurements.memoryUsageMeasurement.stop();
+    const elapsedTime = Date.now() - measurements.startTime;
+
+    const cpuEnergyInfo = this.measurement.cpuPowerModel.estimate(cpuUsageInfo.cpuTimeInSeconds, elapsedTime / 1000);
+    const energyInfo = calculatePowerConsumption(
+      cpuEnergyInfo, memoryUsageInfo, elapsedTime, this.measurement.memoryPowerModel,
+    );
+
+    const attributes = {
+      [SPAN_ATTRIBUTES.cpuTime]: cpuUsageInfo.cpuTimeInSeconds,
+      [SPAN_ATTRIBUTES.energy]: energyInfo.energyKWh,
+    };
+    if (this.locationInfo) {
+      attributes[SPAN_ATTRIBUTES.emissions] = this.locationInfo.carbonIntensity * energyInfo.energyKWh;
+      attributes[SPAN_ATTRIBUTES.gridIntensity] = this.locationInfo.carbonIntensity;
+      if (this.locationInfo.countryCode) attributes[SPAN_ATTRIBUTES.country] = this.locationInfo.countryCode;
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Nothing is buffered, so there is nothing to flush.
+   * @returns {Promise<void>}
+   */
+  async forceFlush() {}
+
+  /**
+   * Nothing needs to be released on shutdown.
+   * @returns {Promise<void>}
+   */
+  async shutdown() {}
+}
+
+/**
+ * Function to publish the running totals of a measurement through an OpenTelemetry Meter, as
+ * observable counters of energy, emissions and CPU time and a gauge of the grid intensity.
+ *
+ * @param {object} meter The OpenTelemetry Meter
+ * @param {PowerConsumptionMeasurement} measurement The measurement whose totals are published, e.g.
+ * one running interval measurements
+ * @returns {object} The observable instruments
+ */
+export const registerCarbonMetrics = (meter, measurement) => {
+  const instruments = {
+    energy: meter.createObservableCounter('node_carbon.energy', {
+      description: 'Energy used by the process',
+      unit: 'kWh',
+    }),
+    emissions: meter.createObservableCounter('node_carbon.emissions', {
+      description: 'Carbon emissions of the process',
+      unit: 'g',
+    }),
+    cpuTime: meter.createObservableCounter('node_carbon.cpu.time', {
+      description: 'CPU time of the process',
+      unit: 's',
+    }),
+    gridIntensity: meter.createObservableGauge('node_carbon.grid.intensity', {
+      description: 'Carbon intensity of the electricity grid',
+      unit: 'g/kWh',
+    }),
+  };
+
+  meter.addBatchObservableCallback((result) => {
+    const totals = measurement.getTotals();
+    result.observe(instruments.energy, totals.energyKWh);
+    result.observe(instruments.emissions, totals.carbonEmission);
+    result.observe(instruments.cpuTime, totals.cpuTimeInSeconds);
+
+    const { locationInfo } = measurement;
+    if (locationInfo) {
+      result.observe(instruments.gridIntensity, locationInfo.carbonIntensity, {
+        country: locationInfo.countryCode ?? 'unknown',
+      });
+    }
+  }, Object.values(instruments));
+
+  return instruments;
+};
+
+export default CarbonSpanProcessor;
@@ -0,0 +1,76 @@
+import { findCgroup, readCgroupCpuTime, readCgroupCpuLimit, readCgroupMemory } from './utils/cgroup.js';
+
+/**
+ * Class to measure the CPU usage of every process in the cgroup of the current process, e.g. a
+ * Docker or Kubernetes container, instead of the Node process alone.
+ */
+class CgroupUsageMeasurement {
+  /**
+   * Create a new CgroupUsageMeasurement object.
+   * @param {object} [options] Measurement options
+   * @param {string} [options.cgroupRoot] Mount point of the cgroup filesystem
+   * @param {string} [options.procRoot] Location of the proc filesystem
+   */
+  constructor(options = {}) {
+    this.cgroupOptions = options;
+    this.cgroup = null; // The cgroup, found when measuring starts
+    this.startCpuTime = 0; // Stores the CPU time of the cgroup at the start of the measurement
+    this.startTime = null; // Stores the start time of the measurement
+  }
+
+  /**
+   * Start measuring the CPU usage of the cgroup.
+   */
+  start() {
+    this.cgroup = findCgroup(this.cgroupOptions);
+    if (!this.cgroup) {
+      throw new Error('Cannot measure the cgroup: no cgroup filesystem is available');
+    }
+
+    this.startCpuTime = this.readCpuTime();
+    this.startTime = Date.now();
+  }
+
+  /**
+   * Read the CPU time the cgroup used so far, e.g. for sampling by a UsageSampler.
+   * @returns {number} The CPU time in seconds, 0 before measuring starts
+   */
+  readCpuTime() {
+    return this.cgroup ? readCgroupCpuTime(this.cgroup) : 0;
+  }
+
+  /**
+   * Read the CPU limit of the cgroup.
+   * @returns {number|null} The CPU limit in cores, null when it is not limited or before measuring starts
+   */
+  readCpuLimit() {
+    return this.cgroup ? readCgroupCpuLimit(this.cgroup) : null;
+  }
+
+  /**
+   * Read the memory used by the cgroup, for sampling by a MemoryUsageMeasurement.
+   * @returns {number} The memory in bytes, or the RSS of the Node process when the cgroup does not report it
+   */
+  readMemory() {
+    return (this.cgroup && readCgroupMemory(this.cgroup)) ?? process.memoryUsage.rss();
+  }
+
+  /**
+   * Stop measuring and return the results.
+   * @returns {object} An object containing the CPU time of the cgroup, the total time, the cgroup version
+   * and its CPU limit in cores (null when it is not limited)
+   */
+  stop() {
+    const endTime = Date.now(); // Get the end time of the measurement
+    const cpuTimeInSeconds = this.readCpuTime() - this.startCpuTime; // The CPU time of all processes in the cgroup
+
+    return {
+      cpuTimeInSeconds, // The CPU time in seconds
+      totalTimeInSeconds: (endTime - this.startTime) / 1000, // The total time in seconds
+      cgroupVersion: this.cgroup.version, // The cgroup version, 1 or 2
+      cpuLimit: this.readCpuLimit(), // The CPU limit in cores, null when it is not limited
+    };
+  }
+}
+
+export default CgroupUsageMeasurement;
@@ -0,0 +1,203 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { constants } from 'os';
+import PowerConsumptionMeasurement from './powerConsumptionMeasurement.js';
+import ProcessTreeMeasurement from './processTreeMeasurement.js';
+import consoleReporter from './reporters/consoleReporter.js';
+import { toCsv } from './utils/csv.js';
+import { hasProcfs, DEFAULT_PROC_ROOT } from './utils/procfs.js';
+
+// Default time between samples of the command's process tree, in milliseconds
+export const DEFAULT_CLI_INTERVAL = 500;
+
+export const USAGE = `Usage: node-carbon run [options] -- <command> [args...]
+
+Runs a command and reports the carbon footprint of it and all of its child processes.
+
+Options:
+  --country <ISO3>     Country of the grid, e.g. DEU (defaults to NODE_CARBON_COUNTRY or geolocation)
+  --region <id>        Cloud region or grid zone, e.g. aws:us-east-1 or US-CA (defaults to NODE_CARBON_REGION)
+  --interval <ms>      Time between samples of the process tree (default ${DEFAULT_CLI_INTERVAL})
+  --output <file>      Write the report to a .json or .csv file
+  -h, --help           Show this help`;
+
+/**
+ * Function to parse the command-line arguments of node-carbon.
+ *
+ * @param {string[]} argv The arguments, without the node executable and script
+ * @returns {object} An object containing the subcommand, the options and the command to run
+ */
+export const parseArgs = (argv) => {
+  const separator = argv.indexOf('--');
+  const ownArgs = separator === -1 ? argv : argv.slice(0, separator);
+  const command = separator === -1 ? [] : argv.slice(separator + 1);
+  const options = { interval: DEFAULT_CLI_INTERVAL, country: undefined, region: undefined, output: undefined, help: false };
+  let subcommand = null;
+
+  for (let i = 0; i < ownArgs.length; i++) {
+    const arg = ownArgs[i];
+    const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+    const value = () => {
+      const flagValue = inlineValue !== undefined ? inlineValue : ownArgs[++i];
+      if (flagValue === undefined) throw new Error(`Missing value for ${flag}`);
+      return flagValue;
+    };
+
+    if (flag === '-h' || flag === '--help') {
+      options.help = true;
+    } else if (flag === '--country') {
+      options.country = value();
+    } else if (flag === '--region') {
+      options.region = value();
+    } else if (flag === '--interval') {
+      options.interval = Number(value());
+      if (!(options.interval > 0)) throw new Error('Invalid --interval: must be a positive number of milliseconds');
+    } else if (flag === '--output') {
+      options.output = value();
+    } else if (flag.startsWith('-')) {
+      throw new Error(`Unknown option: ${flag}`);
+    } else if (!subcommand) {
+      subcommand = flag;
+    } else {
+      throw new Error(`Unexpected argument: ${flag}`);
+    }
+  }
+
+  return { subcommand, options, command };
+};
+
+/**
+ * Function to format a report as CSV, one header row and one value row.
+ *
+ * @param {object} report The result of ProcessTreeMeasurement.stop(), with the command and exit code
+ * @returns {string} The CSV text
+ */
+export const formatCsv = (report) => {
+  const columns = {
+    command: report.command.join(' '),
+    exit_code: report.exitCode,
+    country: report.locationInfo.countryCode ?? '',
+    carbon_intensity_gco2e_per_kwh: report.locationInfo.carbonIntensity,
+    elapsed_ms: report.elapsedTime,
+    cpu_seconds: report.cpuUsageInfo.cpuTimeInSeconds,
+    process_count: report.cpuUsageInfo.processCount,
+    peak_rss_mb: report.memoryUsageInfo.peakRssMB,
+    average_rss_mb: report.memoryUsageInfo.averageRssMB,
+    cpu_energy_kwh: report.energyInfo.cpu.energyKWh,
+    memory_energy_kwh: report.energyInfo.memory.energyKWh,
+    energy_kwh: report.energyInfo.energyKWh,
+    carbon_gco2e: report.carbonEmission,
+  };
+
+  return toCsv([columns]);
+};
+
+/**
+ * Function to write a report to a JSON or CSV file, depending on the file extension.
+ *
+ * @param {string} file The path of the file
+ * @param {object} report The report, see formatCsv()
+ * @returns {Promise<void>}
+ */
+export const writeReport = async (file, report) => {
+  const contents = path.extname(file).toLowerCase() === '.csv'
+    ? formatCsv(report)
+    : JSON.stringify(report, null, 2);
+  await fs.promises.writeFile(file, contents);
+};
+
+/**
+ * Function to run a command while measuring the carbon footprint of its process tree.
+ *
+ * @param {string[]} command The command and its arguments
+ * @param {object} [options] Run options
+ * @param {string} [options.country] ISO3 country code of the grid
+ * @param {string} [options.region] Cloud region or grid zone, e.g. aws:us-east-1 or US-CA
+ * @param {number} [options.interval] Time between samples, in milliseconds
+ * @param {string} [options.output] Path of a .json or .csv file to write the report to
+ * @param {Function} [options.reporter] Function called with the report (defaults to consoleReporter)
+ * @param {object} [options.spawnOptions] Extra options for child_process.spawn
+ * @returns {Promise<object>} The report, including the command and its exit code
+ */
+export const runCommand = async (command, options = {}) => {
+  const { country, region, interval, output, reporter = consoleReporter, spawnOptions = {} } = options;
+  if (command.length === 0) {
+    throw new Error('Missing command: pass the command to run after --');
+  }
+
+  // Do not start a command that cannot be measured
+  if (!hasProcfs()) {
+    throw new Error(`Cannot measure the command: ${DEFAULT_PROC_ROOT} is not available`);
+  }
+
+  const measurement = new PowerConsumptionMeasurement({ country, region });
+
+  // Look up the location before the command starts, so it does not delay the measurement
+  await measurement.geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+  const child = spawn(command[0], command.slice(1), { stdio: 'inherit', ...spawnOptions });
+
+  // Create the measurement before the command can exit, so that its CPU time can be read once it has
+  const processTreeMeasurement = new ProcessTreeMeasurement(child.pid, { measurement, interval, spawned: true });
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('exit', (code, signal) => resolve({ code, signal }));
+  });
+
+  // Pass termination signals on to the command
+  const forwardSignal = (signal) => child.kill(signal);
+  ['SIGINT', 'SIGTERM'].forEach((signal) => process.on(signal, forwardSignal));
+
+  try {
+    try {
+      await processTreeMeasurement.start();
+    } catch (error) {
+      // Do not leave the command running unmeasured
+      child.kill();
+      throw error;
+    }
+
+    const { code, signal } = await exited;
+    const report = {
+      command,
+      // A command killed by a signal exits with 128 + the signal number, like in a shell
+      exitCode: code !== null ? code : 128 + (constants.signals[signal] || 0),
+      ...(await processTreeMeasurement.stop()),
+    };
+
+    if (reporter) reporter(report);
+    if (output) await writeReport(output, report);
+
+    return report;
+  } finally {
+    processTreeMeasurement.usageMeasurement.cancel();
+    ['SIGINT', 'SIGTERM'].forEach((signal) => process.off(signal, forwardSignal));
+  }
+};
+
+/**
+ * Function to run the node-carbon command line.
+ *
+ * @param {string[]} argv The arguments, without the node executable and script
+ * @returns {Promise<number>} The exit code
+ */
+export const main = async (argv) => {
+  try {
+    const { subcommand, options, command } = parseArgs(argv);
+
+    if (options.help || !subcommand) {
+      console.log(USAGE);
+      return options.help ? 0 : 1;
+    }
+    if (subcommand !== 'run') {
+      throw new Error(`Unknown command: ${subcommand}`);
+    }
+
+    const report = await runCommand(command, options);
+    return report.exitCode;
+  } catch (error) {
+    console.error(`node-carbon: ${error.message}`);
+    return 1;
+  }
+};
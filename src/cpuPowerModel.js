@@ -0,0 +1,123 @@
+import os from 'os';
+import { getCpuTdpInfo } from './utils/lib.js';
+
+// Default load curve: power grows linearly from 0 to 100% of TDP with utilization
+export const DEFAULT_LOAD_CURVE = [
+  [0, 0],
+  [1, 1],
+];
+
+/**
+ * Class to turn measured CPU time into energy, using the TDP of the CPU
+ * and an idle/load curve.
+ */
+class CpuPowerModel {
+  /**
+   * Create a new CpuPowerModel object.
+   * @param {object} [options] Model options
+   * @param {number} [options.tdp] TDP of the CPU in watts (looked up in cpu_power.json when omitted)
+   * @param {number} [options.cores] Number of logical cores (defaults to os.cpus().length)
+   * @param {number} [options.idleFraction] Fraction of the TDP drawn at 0% utilization, 0..1
+   * @param {Array<Array<number>>} [options.loadCurve] [utilization, fraction of TDP] points, sorted by utilization
+   */
+  constructor(options = {}) {
+    const { tdp, cores, idleFraction = 0, loadCurve = DEFAULT_LOAD_CURVE } = options;
+
+    if (idleFraction < 0 || idleFraction > 1) {
+      throw new Error('Invalid idleFraction: must be between 0 and 1');
+    }
+    if (!Array.isArray(loadCurve) || loadCurve.length < 2) {
+      throw new Error('Invalid loadCurve: must contain at least two points');
+    }
+
+    // Use the configured TDP, or look it up in cpu_power.json
+    this.tdpInfo = typeof tdp === 'number'
+      ? { name: null, tdp, confidence: 1, vendor: null, method: 'configured' }
+      : getCpuTdpInfo();
+    this.tdp = this.tdpInfo.tdp;
+    this.cores = cores || os.cpus().length || 1;
+    this.idleFraction = idleFraction;
+    this.loadCurve = loadCurve;
+  }
+
+  /**
+   * Get the CPU power draw at a given utilization.
+   * @param {number} utilization The CPU utilization, 0..1
+   * @returns {number} The power draw in watts
+   */
+  getPower(utilization) {
+    const loadFraction = interpolate(this.loadCurve, clamp(utilization, 0, 1));
+    return this.tdp * (this.idleFraction + (1 - this.idleFraction) * loadFraction);
+  }
+
+  /**
+   * Estimate the energy used by the CPU during a measurement window.
+   * @param {number} cpuTimeInSeconds The CPU time (user + system) consumed, in seconds
+   * @param {number} totalTimeInSeconds The wall-clock length of the window, in seconds
+   * @param {number} [cpuLimit] Cores available to the measured processes, e.g. the CPU limit of a container;
+   * utilization is normalised against it and the TDP is scaled to its share of all cores
+   * @returns {object} An object containing the utilization, power and energy in J, Wh and kWh
+   */
+  estimate(cpuTimeInSeconds, totalTimeInSeconds, cpuLimit = null) {
+    const cores = cpuLimit > 0 ? Math.min(cpuLimit, this.cores) : this.cores;
+
+    // Utilization is the CPU time spread over the available cores for the length of the window
+    const utilization = totalTimeInSeconds > 0
+      ? clamp(cpuTimeInSeconds / (totalTimeInSeconds * cores), 0, 1)
+      : 0;
+
+    const powerWatts = this.getPower(utilization) * (cores / this.cores);
+    const energyJoules = powerWatts * totalTimeInSeconds;
+
+    return {
+      cpuTimeInSeconds, // The CPU time in seconds
+      totalTimeInSeconds, // The window length in seconds
+      cores, // The number of logical cores available
+      tdp: this.tdp, // The TDP in watts
+      tdpMethod: this.tdpInfo.method, // How the TDP was found (configured, exact, fuzzy, vendor_average or global_average)
+      tdpConfidence: this.tdpInfo.confidence, // The confidence of the CPU model match, 0..1
+      utilization, // The CPU utilization, 0..1
+      powerWatts, // The average power draw in watts
+      energyJoules, // The energy in joules
+      energyWh: energyJoules / 3600, // The energy in watt-hours
+      energyKWh: energyJoules / 3600000, // The energy in kilowatt-hours
+    };
+  }
+
+  /**
+   * Attribute energy to a share of the CPU time, such as a single request. Each CPU second is
+   * charged the power of one core at full load, so shares measured side by side never overlap.
+   * @param {number} cpuTimeInSeconds The CPU time (user + system) of the share, in seconds
+   * @returns {object} An object containing the CPU time and the energy in J, Wh and kWh
+   */
+  attribute(cpuTimeInSeconds) {
+    const energyJoules = (this.getPower(1) / this.cores) * cpuTimeInSeconds;
+
+    return {
+      cpuTimeInSeconds, // The CPU time in seconds
+      energyJoules, // The energy in joules
+      energyWh: energyJoules / 3600, // The energy in watt-hours
+      energyKWh: energyJoules / 3600000, // The energy in kilowatt-hours
+    };
+  }
+}
+
+// Function to linearly interpolate a value on a curve of [x, y] points
+const interpolate = (points, x) => {
+  if (x <= points[0][0]) return points[0][1];
+
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (x <= x1) {
+      const [x0, y0] = points[i - 1];
+      return x1 === x0 ? y1 : y0 + ((y1 - y0) * (x - x0)) / (x1 - x0);
+    }
+  }
+
+  return points[points.length - 1][1];
+};
+
+// Function to clamp a value between a minimum and maximum
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export default CpuPowerModel;
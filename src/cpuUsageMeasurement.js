@@ -1,10 +1,16 @@
+import os from 'os';
+
 class CpuUsageMeasurement {
     /**
      * Create a new CpuUsageMeasurement object.
+     * @param {object} [options] Measurement options
+     * @param {number} [options.cores] Number of logical cores available (defaults to os.cpus().length)
      */
-    constructor() {
+    constructor({ cores } = {}) {
+      this.cores = cores || os.cpus().length || 1; // The number of cores utilization is measured against
       this.startUsage = null; // Stores the CPU usage at the start of the measurement
       this.startTime = null; // Stores the start time of the measurement
+      this.startHrtime = null; // Stores the high-resolution start time of the measurement, in nanoseconds
     }
   
     /**
@@ -13,26 +19,45 @@ class CpuUsageMeasurement {
     start() {
       this.startUsage = process.cpuUsage(); // Get the current CPU usage
       this.startTime = Date.now(); // Get the current time
+      this.startHrtime = process.hrtime.bigint(); // Get the current monotonic time
+    }
+  
+    /**
+     * Read the CPU time the process used so far, e.g. for sampling by a UsageSampler.
+     * @returns {object} An object containing the user and system CPU time in seconds
+     */
+    readCpuTime() {
+      const { user, system } = process.cpuUsage();
+      return { userTimeInSeconds: user / 1e6, systemTimeInSeconds: system / 1e6 };
     }
   
     /**
      * Stop measuring CPU usage and return the results.
-     * @returns {object} An object containing the CPU usage and total time.
+     * @returns {object} An object containing the user, system and total CPU time, the utilization of the
+     * available cores and the total time.
      */
     stop() {
-      const endUsage = process.cpuUsage(this.startUsage); // Get the CPU usage at the end of the measurement
-      const endTime = Date.now(); // Get the end time of the measurement
-      const totalTimeInSeconds = (endTime - this.startTime) / 1000; // Convert total time to seconds
-  
-      const cpuUsageDiff = endUsage.user - this.startUsage?.user; // Calculate the difference in CPU usage
-      const cpuUsage = cpuUsageDiff > 0 ? cpuUsageDiff / totalTimeInSeconds : 0; // Calculate the average CPU usage
+      const usage = process.cpuUsage(this.startUsage); // The CPU usage since start(), in microseconds
+      const totalTimeInSeconds = Number(process.hrtime.bigint() - this.startHrtime) / 1e9; // The wall-clock time since start()
+
+      const userTimeInSeconds = usage.user / 1e6;
+      const systemTimeInSeconds = usage.system / 1e6;
+      const cpuTimeInSeconds = userTimeInSeconds + systemTimeInSeconds;
+
+      // Utilization is the CPU time spread over the available cores for the length of the window
+      const utilization = totalTimeInSeconds > 0
+        ? Math.min(cpuTimeInSeconds / (totalTimeInSeconds * this.cores), 1)
+        : 0;
   
       return {
-        cpuUsage, // The average CPU usage in watts
+        userTimeInSeconds, // The CPU time spent in user code in seconds
+        systemTimeInSeconds, // The CPU time spent in the kernel in seconds
+        cpuTimeInSeconds, // The user + system CPU time in seconds
+        utilization, // The utilization of the available cores, 0..1
+        cores: this.cores, // The number of logical cores available
         totalTimeInSeconds, // The total time in seconds
       };
     }
   }
   
   export default CpuUsageMeasurement;
-  
\ No newline at end of file
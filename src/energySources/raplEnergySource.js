@@ -0,0 +1,165 @@
+import fs from 'fs';
+import path from 'path';
+import { readSystemCpuTime, DEFAULT_PROC_ROOT } from '../utils/procfs.js';
+
+// Default location of the powercap sysfs tree
+export const DEFAULT_POWERCAP_ROOT = '/sys/class/powercap';
+
+// Zone directories of the RAPL driver, e.g. intel-rapl:0 (package) and intel-rapl:0:2 (its DRAM subzone)
+const RAPL_ZONE_PATTERN = /^intel-rapl:\d+(:\d+)*$/;
+
+// Highest power of a zone as a multiple of the package TDP: packages draw about twice their TDP in
+// short bursts (PL2)
+const MAX_TDP_RATIO = 2;
+
+/**
+ * Energy source reading the Linux RAPL (Running Average Power Limit) energy counters in
+ * /sys/class/powercap/intel-rapl*. Package and DRAM counters measure the whole host, so their energy
+ * is shared out to the measured process by its share of the CPU time of all processes (/proc/stat).
+ *
+ * Energy sources implement start(), resolving to a reading, and stop(reading, usage), resolving to
+ * the cpu energy of the window and the memory energy, or null when the source does not measure memory.
+ * Both throw when the source is unavailable, and the measurement falls back to its estimate.
+ *
+ * The counters wrap around at max_energy_range_uj, and a wrap can only be told from the readings once.
+ * Given the TDP of the package, a window that is long enough for a counter to wrap more than once throws,
+ * so that it is estimated instead.
+ */
+class RaplEnergySource {
+  /**
+   * Create a new RaplEnergySource object.
+   * @param {object} [options] Source options
+   * @param {string} [options.powercapRoot] Location of the powercap sysfs tree
+   * @param {string} [options.procRoot] Location of the proc filesystem
+   * @param {number} [options.clockTicks] Clock ticks per second of /proc/stat times
+   */
+  constructor({ powercapRoot = DEFAULT_POWERCAP_ROOT, procRoot = DEFAULT_PROC_ROOT, clockTicks } = {}) {
+    this.name = 'rapl';
+    this.powercapRoot = powercapRoot;
+    this.procOptions = { procRoot, clockTicks };
+  }
+
+  /**
+   * Read the package and DRAM energy counters.
+   * @returns {object[]} The zones as { id, name, domain ("package" or "dram"), energyMicrojoules, maxEnergyRangeMicrojoules }
+   */
+  readZones() {
+    const zones = fs.readdirSync(this.powercapRoot)
+      .filter((entry) => RAPL_ZONE_PATTERN.test(entry))
+      .map((id) => {
+        const dir = path.join(this.powercapRoot, id);
+        const name = fs.readFileSync(path.join(dir, 'name'), 'utf8').trim();
+        return { id, name, dir };
+      })
+      // Core, uncore and psys overlap the package, so only packages and DRAM are added up
+      .filter(({ name }) => name.startsWith('package') || name === 'dram')
+      .map(({ id, name, dir }) => ({
+        id,
+        name,
+        domain: name === 'dram' ? 'dram' : 'package',
+        energyMicrojoules: readCounter(path.join(dir, 'energy_uj')),
+        maxEnergyRangeMicrojoules: readCounter(path.join(dir, 'max_energy_range_uj')),
+      }));
+
+    if (!zones.some(({ domain }) => domain === 'package')) {
+      throw new Error(`No RAPL package zone in ${this.powercapRoot}`);
+    }
+
+    return zones;
+  }
+
+  /**
+   * Read the counters at the start of a measurement window.
+   * @returns {Promise<object>} The reading: the zones and the CPU time of all processes in seconds
+   */
+  async start() {
+    return { zones: this.readZones(), systemCpuTimeInSeconds: readSystemCpuTime(this.procOptions) };
+  }
+
+  /**
+   * Read the counters at the end of a measurement window and share the energy out to the process.
+   * @param {object} reading The result of start()
+   * @param {object} usage The usage of the process
+   * @param {number} usage.cpuTimeInSeconds The CPU time of the process in the window, in seconds
+   * @param {number} usage.elapsedTime The length of the window in milliseconds
+   * @param {number} [usage.tdp] The TDP of a package in watts, to detect windows the counters can wrap
+   * more than once in
+   * @returns {Promise<object>} An object containing the cpu energy, and the memory energy or null without a DRAM zone
+   */
+  async stop(reading, { cpuTimeInSeconds, elapsedTime, tdp }) {
+    const zones = this.readZones();
+
+    // At the highest power, the counter with the smallest range wraps after this many seconds
+    if (tdp > 0) {
+      const maxEnergyRangeMicrojoules = Math.min(...zones.map((zone) => zone.maxEnergyRangeMicrojoules));
+      const wrapTimeInSeconds = maxEnergyRangeMicrojoules / 1e6 / (tdp * MAX_TDP_RATIO);
+      if (elapsedTime / 1000 >= wrapTimeInSeconds) {
+        throw new Error(`RAPL counters may have wrapped more than once in ${elapsedTime / 1000} s`);
+      }
+    }
+    const systemCpuTimeInSeconds = readSystemCpuTime(this.procOptions) - reading.systemCpuTimeInSeconds;
+
+    // The share of the host energy used by the process. /proc/stat counts in ticks, so a process can
+    // seem to use more than all processes together in a short window
+    const share = systemCpuTimeInSeconds > 0
+      ? Math.min(cpuTimeInSeconds / systemCpuTimeInSeconds, 1)
+      : Number(cpuTimeInSeconds > 0);
+
+    const energyOf = (domain) => {
+      const deltas = zones
+        .filter((zone) => zone.domain === domain)
+        .map((zone) => {
+          const start = reading.zones.find(({ id }) => id === zone.id);
+          return start ? { name: zone.name, energyJoules: counterDelta(start, zone) / 1e6 } : null;
+        })
+        .filter(Boolean);
+      if (deltas.length === 0) return null;
+
+      const hostEnergyJoules = deltas.reduce((total, { energyJoules }) => total + energyJoules, 0);
+      const energyJoules = hostEnergyJoules * share;
+
+      return {
+        zones: deltas.map(({ name }) => name), // The RAPL zones read
+        hostEnergyJoules, // The energy of the whole host in joules
+        share, // The share of the host energy charged to the process, 0..1
+        powerWatts: elapsedTime > 0 ? energyJoules / (elapsedTime / 1000) : 0, // The average power draw in watts
+        energyJoules, // The energy in joules
+        energyWh: energyJoules / 3600, // The energy in watt-hours
+        energyKWh: energyJoules / 3600000, // The energy in kilowatt-hours
+      };
+    };
+
+    const cpu = energyOf('package');
+    if (!cpu) {
+      throw new Error('RAPL package zones changed while measuring');
+    }
+
+    return {
+      cpu: {
+        cpuTimeInSeconds, // The CPU time in seconds
+        totalTimeInSeconds: elapsedTime / 1000, // The window length in seconds
+        systemCpuTimeInSeconds, // The CPU time of all processes in seconds
+        ...cpu,
+      },
+      memory: energyOf('dram'),
+    };
+  }
+}
+
+// Function to read an energy counter, in microjoules
+const readCounter = (file) => {
+  const value = Number(fs.readFileSync(file, 'utf8').trim());
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid energy counter in ${file}`);
+  }
+  return value;
+};
+
+// Function to get the energy between two readings of a counter, which wraps around to 0 after its maximum
+// range, assuming that it wrapped at most once
+const counterDelta = (start, end) => {
+  const delta = end.energyMicrojoules - start.energyMicrojoules;
+  return delta >= 0 ? delta : delta + end.maxEnergyRangeMicrojoules + 1;
+};
+
+export default RaplEnergySource;
@@ -1,32 +1,281 @@
-import { getCarbonUsage, getEnergyUsageInfo, fetchGeoInfo } from './utils/lib.js';
+import { getCarbonIntensityInfo, getEnergyUsageInfo, fetchGeoInfo } from './utils/lib.js';
+import { getRegionInfo, findZoneByName } from './utils/regions.js';
+import TtlCache from './utils/ttlCache.js';
+import StaticIntensityProvider from './intensityProviders/staticIntensityProvider.js';
+
+// Environment variable that sets the ISO3 country code of the current location
+export const COUNTRY_ENV_VARIABLE = 'NODE_CARBON_COUNTRY';
+
+// Environment variable that sets the cloud region or grid zone of the current location
+export const REGION_ENV_VARIABLE = 'NODE_CARBON_REGION';
+
+// Default time to wait for the geolocation provider, in milliseconds
+export const DEFAULT_GEO_TIMEOUT = 5000;
+
+// Default time to keep a failed geolocation lookup before retrying, in milliseconds
+export const DEFAULT_FAILURE_TTL = 60 * 1000;
 
 /**
  * Class to fetch carbon usage based on the current location.
  */
 class GeoCarbonUsageMeasurement {
   /**
-   * Asynchronously fetches carbon usage based on the current location.
-   * @returns {Promise<number>} The carbon usage in gCO2e/kWh.
+   * Create a new GeoCarbonUsageMeasurement object.
+   * @param {Function|null} [geoProvider] Async function resolving to geographic information with a
+   * country_code3 field (defaults to get.geojs.io, pass null to never look up the location)
+   * @param {Function} [carbonUsageProvider] Function returning the carbon intensity for an ISO3 country code, as
+   * a number or an object with carbonIntensity and method (defaults to the bundled energy mix data)
+   * @param {object} [options] Location options
+   * @param {string} [options.country] ISO3 country code of the current location
+   * @param {string} [options.region] Cloud region (e.g. "aws:us-east-1") or grid zone (e.g. "US-CA") of the
+   * current location, preferred over the country
+   * @param {number} [options.timeout] Time to wait for the geolocation provider, in milliseconds
+   * @param {TtlCache|false} [options.cache] Cache for geolocation and carbon intensity lookups, shared between
+   * instances when the same cache is passed (false disables caching)
+   * @param {number} [options.cacheTtl] Time to keep lookups when no cache is passed, in milliseconds
+   * @param {string} [options.cacheFile] JSON file to persist lookups to when no cache is passed
+   * @param {number} [options.failureTtl] Time to keep a failed geolocation lookup, in milliseconds
+   * @param {object} [options.intensityProvider] Provider of time-varying grid intensity, e.g. an
+   * HttpIntensityProvider (defaults to the bundled static data)
    */
-  async fetchPowerUsage() {
-    try {
-      // Fetch the geolocation information
-      const geoInfo = await fetchGeoInfo();
+  constructor(geoProvider = fetchGeoInfo, carbonUsageProvider = getCarbonIntensityInfo, options = {}) {
+    const {
+      country,
+      region,
+      timeout = DEFAULT_GEO_TIMEOUT,
+      cache,
+      cacheTtl,
+      cacheFile,
+      failureTtl = DEFAULT_FAILURE_TTL,
+      intensityProvider,
+    } = options;
+
+    if (country !== undefined && !isCountryCode(country)) {
+      throw new Error(`Invalid country: ${country} is not an ISO3 country code`);
+    }
+
+    if (region !== undefined && !getRegionInfo(region)) {
+      throw new Error(`Invalid region: ${region} is not a known cloud region or grid zone`);
+    }
+
+    this.geoProvider = geoProvider;
+    this.carbonUsageProvider = carbonUsageProvider;
+    this.staticIntensityProvider = new StaticIntensityProvider(carbonUsageProvider);
+    this.intensityProvider = intensityProvider || this.staticIntensityProvider;
+    this.country = country?.toUpperCase();
+    this.region = region !== undefined ? getRegionInfo(region) : null;
+    this.timeout = timeout;
+    this.failureTtl = failureTtl;
+
+    // Use the given cache, or a cache of this instance's own
+    this.cache = cache === undefined ? new TtlCache({ ttl: cacheTtl, file: cacheFile }) : cache;
+  }
+
+  /**
+   * Asynchronously resolves the ISO3 country code of the current location. An explicit country
+   * is used first, then the NODE_CARBON_COUNTRY environment variable, then the country of a
+   * configured region, then the geolocation provider.
+   * @returns {Promise<object>} An object containing the country code (null when it could not be
+   * resolved) and its source: "explicit", "env", "region", "provider" or "fallback"
+   */
+  async resolveCountry() {
+    if (this.country) {
+      return { countryCode: this.country, source: 'explicit' };
+    }
+
+    const envCountry = process.env[COUNTRY_ENV_VARIABLE];
+    if (isCountryCode(envCountry)) {
+      return { countryCode: envCountry.toUpperCase(), source: 'env' };
+    }
+
+    const configuredRegion = this.getConfiguredRegion();
+    if (configuredRegion) {
+      return { countryCode: configuredRegion.countryCode, source: 'region' };
+    }
 
-      // Extract the country code from the geolocation information
-      const { country_code3 } = geoInfo;
+    if (!this.geoProvider) {
+      return { countryCode: null, source: 'fallback' };
+    }
 
-      // Fetch the carbon usage for the given country code
-      const carbonUsage = await getCarbonUsage(country_code3);
+    // Keep failed lookups for a shorter time so that the provider is retried soon
+    return this.cached('geo', () => this.lookupCountry(), (result) => (
+      result.source === 'fallback' ? this.failureTtl : this.cache.ttl
+    ));
+  }
 
-      // Return the carbon usage
-      return carbonUsage;
+  /**
+   * Asynchronously looks up the ISO3 country code of the current location with the geolocation provider.
+   * @returns {Promise<object>} An object containing the country code and its source, "provider" or "fallback"
+   */
+  async lookupCountry() {
+    try {
+      // Ask the geolocation provider, giving up after the timeout
+      const geoInfo = await withTimeout(this.geoProvider({ timeout: this.timeout }), this.timeout);
+      if (!isCountryCode(geoInfo?.country_code3)) {
+        throw new Error('Geolocation provider returned no country_code3');
+      }
+
+      return { countryCode: geoInfo.country_code3.toUpperCase(), source: 'provider', geoInfo };
     } catch (error) {
-      // Handle any errors that occur during the process
-      console.error(`Error fetching carbon usage: ${error.message}`);
+      // Fall back to the world average when the location is unknown
+      return { countryCode: null, source: 'fallback', error: error.message };
+    }
+  }
+
+  /**
+   * Returns the region set with the region option or the NODE_CARBON_REGION environment variable.
+   * @returns {object|null} The region, see getRegionInfo(), with its source "explicit" or "env"
+   */
+  getConfiguredRegion() {
+    if (this.region) {
+      return { ...this.region, regionSource: 'explicit' };
+    }
+
+    const envRegion = getRegionInfo(process.env[REGION_ENV_VARIABLE]);
+    return envRegion ? { ...envRegion, regionSource: 'env' } : null;
+  }
+
+  /**
+   * Returns the region of the current location: a configured region, or the grid zone matching
+   * the region field of the geolocation response.
+   * @param {object} location The result of resolveCountry()
+   * @returns {object|null} The region, see getRegionInfo(), with its source "explicit", "env" or
+   * "provider", or null when there is none
+   */
+  resolveRegion(location) {
+    const configuredRegion = this.getConfiguredRegion();
+    if (configuredRegion) {
+      return configuredRegion;
+    }
+
+    const zone = findZoneByName(location.geoInfo?.region, location.countryCode);
+    return zone ? { ...zone, regionSource: 'provider' } : null;
+  }
+
+  /**
+   * Asynchronously resolves the country and region of the current location.
+   * @returns {Promise<object>} An object containing the country code (taken from the region when the
+   * country is unknown), its source, the region (see resolveRegion(), null when there is none) and
+   * the geolocation error, if any
+   */
+  async resolveLocation() {
+    const location = await this.resolveCountry();
+
+    // Prefer the intensity of the cloud region or grid zone over the country average
+    const region = this.resolveRegion(location);
+
+    return {
+      countryCode: location.countryCode ?? region?.countryCode ?? null,
+      source: location.source,
+      region,
+      error: location.error,
+    };
+  }
+
+  /**
+   * Asynchronously fetches the forecast carbon intensity of the current location.
+   * @param {object} range The time range
+   * @param {number} range.from Start of the range in milliseconds
+   * @param {number} range.to End of the range in milliseconds
+   * @param {object} [forecastSource] Source of the forecast, an object with getForecast() (defaults to
+   * the intensity provider)
+   * @returns {Promise<object[]>} The forecast points as { time, carbonIntensity }, oldest first
+   */
+  async fetchForecast({ from, to }, forecastSource = this.intensityProvider) {
+    if (typeof forecastSource?.getForecast !== 'function') {
+      throw new Error('Invalid forecastSource: must have a getForecast() method');
+    }
+
+    const { countryCode, region } = await this.resolveLocation();
+    return forecastSource.getForecast({ countryCode, region: region?.id ?? null, from, to });
+  }
+
+  /**
+   * Asynchronously fetches the carbon intensity of the current location for a measurement window.
+   * Static intensities are cached per country; live providers are asked for every window. When a
+   * live provider fails, the bundled data is used and the failure is given as intensityError.
+   * @param {object} [window] The measurement window
+   * @param {number} [window.start] Start of the window in milliseconds (defaults to now)
+   * @param {number} [window.end] End of the window in milliseconds (defaults to the start)
+   * @returns {Promise<object>} An object containing the country code, its source, the carbon intensity
+   * in gCO2e/kWh, how the intensity was determined ("region", "reported", "derived", "world_average" or
+   * the method of a live provider), the name of the intensity provider and the time range the intensity
+   * is valid for. Regional intensities also give the region id and its source.
+   */
+  async fetchCarbonIntensity({ start = Date.now(), end = start } = {}) {
+    const { countryCode, source, error, region } = await this.resolveLocation();
+    const request = { countryCode, region: region?.id ?? null, start, end };
+
+    let provider = this.intensityProvider;
+    let intensity;
+    let intensityError;
+    try {
+      intensity = await this.lookupIntensity(provider, request);
+    } catch (providerError) {
+      provider = this.staticIntensityProvider;
+      intensity = await this.lookupIntensity(provider, request);
+      intensityError = providerError.message;
+    }
+
+    return {
+      countryCode,
+      source,
+      carbonIntensity: intensity.carbonIntensity,
+      intensityMethod: intensity.method,
+      intensityProvider: provider.name,
+      validFrom: intensity.validFrom ?? null,
+      validTo: intensity.validTo ?? null,
+      ...(region && { region: region.id, regionSource: region.regionSource }),
+      ...(error && { error }),
+      ...(intensityError && { intensityError }),
+    };
+  }
+
+  /**
+   * Asynchronously looks up an intensity with a provider, through the cache for static country intensities.
+   * @param {object} provider The intensity provider
+   * @param {object} request The location and window, see StaticIntensityProvider.getIntensity()
+   * @returns {Promise<object>} The intensity
+   */
+  async lookupIntensity(provider, request) {
+    if (provider !== this.staticIntensityProvider || request.region || !request.countryCode) {
+      return provider.getIntensity(request);
     }
+
+    const intensity = await this.cached(`intensity:${request.countryCode}`, () => provider.getIntensity(request));
+
+    // Caches persisted by older versions hold plain numbers
+    return typeof intensity === 'number' ? { carbonIntensity: intensity, method: 'reported' } : intensity;
+  }
+
+  /**
+   * Returns whether the intensity changes over time, so that every measurement window needs its own lookup.
+   * @returns {boolean} True for live intensity providers
+   */
+  isLive() {
+    return this.intensityProvider !== this.staticIntensityProvider;
+  }
+
+  /**
+   * Asynchronously loads a value through the cache, or directly when caching is disabled.
+   * @param {string} key The cache key
+   * @param {Function} loader Async function loading the value
+   * @param {Function|number} [ttl] Time to live in milliseconds, or a function of the loaded value returning it
+   * @returns {Promise<*>} The cached or loaded value
+   */
+  async cached(key, loader, ttl) {
+    return this.cache ? this.cache.getOrLoad(key, loader, ttl) : loader();
   }
-  
+
+  /**
+   * Asynchronously fetches carbon usage based on the current location.
+   * @returns {Promise<number>} The carbon usage in gCO2e/kWh.
+   */
+  async fetchPowerUsage() {
+    const { carbonIntensity } = await this.fetchCarbonIntensity();
+    return carbonIntensity;
+  }
+
   /**
    * Asynchronously retrieves carbon usage information for the current country
    *
@@ -35,12 +284,11 @@ class GeoCarbonUsageMeasurement {
     async getCountryEnergyUsageInfo() {
 
       try {
-        // fetch the country's geographic information
-        const geoInfo = await fetchGeoInfo();
-        const countryCode3 = geoInfo.country_code3;
+        // Resolve the country of the current location
+        const { countryCode } = await this.resolveCountry();
 
         // Retrieve energy usage information for the retrieved country code
-        const energyUsage = await getEnergyUsageInfo(countryCode3);
+        const energyUsage = await getEnergyUsageInfo(countryCode);
 
         // Return the retrieved energy usage information
         return energyUsage;
@@ -52,4 +300,17 @@ class GeoCarbonUsageMeasurement {
   }
 }
 
+// Function to check whether a value looks like an ISO3 country code
+const isCountryCode = (value) => typeof value === 'string' && /^[A-Za-z]{3}$/.test(value);
+
+// Function to reject a promise when it does not settle within the timeout
+const withTimeout = (promise, timeout) => {
+  let timer;
+  const timeoutPromise = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Geolocation timed out after ${timeout}ms`)), timeout);
+  });
+
+  return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+};
+
 export default GeoCarbonUsageMeasurement;
@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import { parseCsv } from '../utils/csv.js';
+import {
+  parseIntensitySeries, averageIntensity, sliceIntensitySeries, DEFAULT_POINT_DURATION,
+} from '../utils/intensitySeries.js';
+
+/**
+ * Grid intensity provider reading time series from a JSON or CSV file, e.g. as a local mock of a
+ * live service in tests. A JSON file maps zones (cloud region, grid zone or ISO3 country code) to series:
+ *
+ *   { "DEU": [{ "datetime": "2024-03-04T10:00:00Z", "carbonIntensity": 312 }, ...] }
+ *
+ * A file ending in .csv has a row per point instead, with a zone, datetime and carbonIntensity column:
+ *
+ *   zone,datetime,carbonIntensity
+ *   DEU,2024-03-04T10:00:00Z,312
+ *
+ * Points in the future make up the forecast. The file is read on every lookup, so it can be updated while measuring.
+ */
+class FileIntensityProvider {
+  /**
+   * Create a new FileIntensityProvider object.
+   * @param {string} file Path of the JSON file, or of the CSV file when it ends in .csv
+   * @param {object} [options] Provider options
+   * @param {number} [options.pointDuration] Time the last point of a series is valid for, in milliseconds
+   */
+  constructor(file, { pointDuration = DEFAULT_POINT_DURATION } = {}) {
+    if (!file) {
+      throw new Error('Invalid file: must be a path');
+    }
+
+    this.name = 'file';
+    this.file = file;
+    this.pointDuration = pointDuration;
+  }
+
+  /**
+   * Get the carbon intensity of a measurement window.
+   * @param {object} request The location and window
+   * @param {string|null} [request.countryCode] ISO3 country code
+   * @param {string|null} [request.region] Cloud region or grid zone, preferred over the country
+   * @param {number} request.start Start of the window in milliseconds
+   * @param {number} [request.end] End of the window in milliseconds
+   * @returns {Promise<object>} An object containing the carbon intensity in gCO2e/kWh, the method
+   * ("live"), validFrom and validTo
+   */
+  async getIntensity({ countryCode = null, region = null, start, end = start }) {
+    const { zone, series } = await this.readSeries({ countryCode, region });
+
+    const intensity = averageIntensity(series, start, end, { pointDuration: this.pointDuration });
+    if (!intensity) {
+      throw new Error(`No intensity for ${zone} at ${new Date(start).toISOString()}`);
+    }
+
+    return { ...intensity, method: 'live' };
+  }
+
+  /**
+   * Get the forecast carbon intensity of a time range.
+   * @param {object} request The location and range
+   * @param {string|null} [request.countryCode] ISO3 country code
+   * @param {string|null} [request.region] Cloud region or grid zone, preferred over the country
+   * @param {number} request.from Start of the range in milliseconds
+   * @param {number} request.to End of the range in milliseconds
+   * @returns {Promise<object[]>} The points of the series overlapping the range, see parseIntensitySeries()
+   */
+  async getForecast({ countryCode = null, region = null, from, to }) {
+    const { series } = await this.readSeries({ countryCode, region });
+
+    return sliceIntensitySeries(series, from, to, { pointDuration: this.pointDuration });
+  }
+
+  /**
+   * Read the series of a location from the file.
+   * @param {object} location The location
+   * @param {string|null} [location.countryCode] ISO3 country code
+   * @param {string|null} [location.region] Cloud region or grid zone, preferred over the country
+   * @returns {Promise<object>} An object containing the zone and its series, see parseIntensitySeries()
+   */
+  async readSeries({ countryCode = null, region = null }) {
+    const text = await fs.promises.readFile(this.file, 'utf8');
+    const zones = path.extname(this.file).toLowerCase() === '.csv' ? groupCsvRows(parseCsv(text)) : JSON.parse(text);
+
+    const zone = [region, countryCode].find((candidate) => candidate && zones[candidate]);
+    if (!zone) {
+      throw new Error(`No intensity series for ${region || countryCode || 'an unknown location'} in ${this.file}`);
+    }
+
+    return { zone, series: parseIntensitySeries(zones[zone]) };
+  }
+}
+
+// Function to group the rows of a CSV file into series per zone; datetimes may be ISO strings or milliseconds
+const groupCsvRows = (rows) => {
+  const zones = new Map();
+
+  rows.forEach(({ zone, datetime, carbonIntensity }) => {
+    if (!zones.has(zone)) zones.set(zone, []);
+    zones.get(zone).push({
+      datetime: /^\d+$/.test(datetime) ? Number(datetime) : datetime,
+      carbonIntensity: carbonIntensity === '' ? NaN : Number(carbonIntensity),
+    });
+  });
+
+  return Object.fromEntries(zones);
+};
+
+export default FileIntensityProvider;
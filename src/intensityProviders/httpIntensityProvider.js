@@ -0,0 +1,107 @@
+import {
+  parseIntensitySeries, averageIntensity, sliceIntensitySeries, DEFAULT_POINT_DURATION,
+} from '../utils/intensitySeries.js';
+import { getGridZone } from '../utils/regions.js';
+
+// Default time to wait for the intensity service, in milliseconds
+export const DEFAULT_HTTP_TIMEOUT = 5000;
+
+/**
+ * Grid intensity provider for HTTP services shaped like the Electricity Maps API:
+ * GET <url>/carbon-intensity/history?zone=<zone> responding with { history: [{ datetime, carbonIntensity }] },
+ * or with a single { datetime, carbonIntensity } point, and GET <url>/carbon-intensity/forecast?zone=<zone>
+ * responding with { forecast: [{ datetime, carbonIntensity }] }.
+ */
+class HttpIntensityProvider {
+  /**
+   * Create a new HttpIntensityProvider object.
+   * @param {object} options Provider options
+   * @param {string} options.url Base URL of the service, e.g. https://api.electricitymap.org/v3
+   * @param {string} [options.token] API token, sent in the auth-token header
+   * @param {Function} [options.zone] Function mapping { countryCode, region } to the zone of the service
+   * (defaults to the grid zone of the region, then the ISO2 country code, see getGridZone())
+   * @param {number} [options.timeout] Time to wait for the service, in milliseconds
+   * @param {number} [options.pointDuration] Time the last point of a series is valid for, in milliseconds
+   */
+  constructor({
+    url,
+    token = null,
+    zone = getGridZone,
+    timeout = DEFAULT_HTTP_TIMEOUT,
+    pointDuration = DEFAULT_POINT_DURATION,
+  } = {}) {
+    if (!url) {
+      throw new Error('Invalid url: must be the base URL of the intensity service');
+    }
+
+    this.name = 'http';
+    this.url = url.replace(/\/+$/, '');
+    this.token = token;
+    this.zone = zone;
+    this.timeout = timeout;
+    this.pointDuration = pointDuration;
+  }
+
+  /**
+   * Get the carbon intensity of a measurement window.
+   * @param {object} request The location and window
+   * @param {string|null} [request.countryCode] ISO3 country code
+   * @param {string|null} [request.region] Cloud region or grid zone
+   * @param {number} request.start Start of the window in milliseconds
+   * @param {number} [request.end] End of the window in milliseconds
+   * @returns {Promise<object>} An object containing the carbon intensity in gCO2e/kWh, the method
+   * ("live"), validFrom and validTo
+   */
+  async getIntensity({ countryCode = null, region = null, start, end = start }) {
+    const { zone, body } = await this.request('history', { countryCode, region });
+
+    const series = parseIntensitySeries(Array.isArray(body.history) ? body.history : [body]);
+    const intensity = averageIntensity(series, start, end, { pointDuration: this.pointDuration });
+    if (!intensity) {
+      throw new Error(`No intensity for ${zone} at ${new Date(start).toISOString()}`);
+    }
+
+    return { ...intensity, method: 'live' };
+  }
+
+  /**
+   * Get the forecast carbon intensity of a time range.
+   * @param {object} request The location and range
+   * @param {string|null} [request.countryCode] ISO3 country code
+   * @param {string|null} [request.region] Cloud region or grid zone
+   * @param {number} request.from Start of the range in milliseconds
+   * @param {number} request.to End of the range in milliseconds
+   * @returns {Promise<object[]>} The forecast points before the end of the range, see parseIntensitySeries()
+   */
+  async getForecast({ countryCode = null, region = null, from, to }) {
+    const { body } = await this.request('forecast', { countryCode, region });
+
+    const series = parseIntensitySeries(body.forecast ?? []);
+    return sliceIntensitySeries(series, from, to, { pointDuration: this.pointDuration });
+  }
+
+  /**
+   * Call an endpoint of the service for the zone of a location.
+   * @param {string} endpoint The endpoint below carbon-intensity, "history" or "forecast"
+   * @param {object} location The location, { countryCode, region }
+   * @returns {Promise<object>} An object containing the zone and the parsed response body
+   */
+  async request(endpoint, location) {
+    const zone = this.zone(location);
+    if (!zone) {
+      throw new Error('Cannot look up the intensity of an unknown location');
+    }
+
+    const response = await fetch(`${this.url}/carbon-intensity/${endpoint}?zone=${encodeURIComponent(zone)}`, {
+      headers: this.token ? { 'auth-token': this.token } : {},
+      signal: AbortSignal.timeout(this.timeout),
+    });
+    if (!response.ok) {
+      throw new Error(`Intensity service responded with ${response.status} for ${zone}`);
+    }
+
+    return { zone, body: await response.json() };
+  }
+}
+
+export default HttpIntensityProvider;
@@ -0,0 +1,52 @@
+import { getCarbonIntensityInfo, getWorldAverageCarbonUsage } from '../utils/lib.js';
+import { getRegionInfo } from '../utils/regions.js';
+
+/**
+ * Grid intensity provider backed by the bundled annual data. The intensity does not change over
+ * time, so the measurement window is ignored.
+ *
+ * Intensity providers implement getIntensity({ countryCode, region, start, end }), resolving to an
+ * object with the carbonIntensity in gCO2e/kWh of the window from start to end (milliseconds), the
+ * method used and the time range the intensity is valid for (validFrom, validTo, null when it is
+ * not time-bound).
+ */
+class StaticIntensityProvider {
+  /**
+   * Create a new StaticIntensityProvider object.
+   * @param {Function} [carbonUsageProvider] Function returning the carbon intensity for an ISO3 country code, as
+   * a number or an object with carbonIntensity and method
+   */
+  constructor(carbonUsageProvider = getCarbonIntensityInfo) {
+    this.name = 'static';
+    this.carbonUsageProvider = carbonUsageProvider;
+  }
+
+  /**
+   * Get the carbon intensity of a cloud region, grid zone or country.
+   * @param {object} request The location
+   * @param {string|null} [request.countryCode] ISO3 country code
+   * @param {string|null} [request.region] Cloud region or grid zone, preferred over the country
+   * @returns {Promise<object>} An object containing the carbon intensity in gCO2e/kWh, the method
+   * ("region", "reported", "derived" or "world_average"), validFrom and validTo
+   */
+  async getIntensity({ countryCode = null, region = null } = {}) {
+    const regionInfo = getRegionInfo(region);
+    if (regionInfo) {
+      return { carbonIntensity: regionInfo.carbonIntensity, method: 'region', validFrom: null, validTo: null };
+    }
+
+    if (!countryCode) {
+      return { carbonIntensity: getWorldAverageCarbonUsage(), method: 'world_average', validFrom: null, validTo: null };
+    }
+
+    // Providers returning a plain number report the intensity themselves
+    const intensity = await this.carbonUsageProvider(countryCode);
+    const { carbonIntensity, method = 'reported' } = typeof intensity === 'number'
+      ? { carbonIntensity: intensity }
+      : intensity;
+
+    return { carbonIntensity, method, validFrom: null, validTo: null };
+  }
+}
+
+export default StaticIntensityProvider;
@@ -0,0 +1,62 @@
+// Power draw of memory per GB, by memory type. DDR4 uses the common 0.375 W/GB; DDR3 and DDR5 are
+// scaled from it by their supply voltage (1.5 V and 1.1 V against 1.2 V)
+export const MEMORY_POWER_PRESETS = {
+  DDR3: 0.47,
+  DDR4: 0.375,
+  DDR5: 0.34,
+};
+
+// Memory type used when neither a type nor a coefficient is configured
+export const DEFAULT_MEMORY_TYPE = 'DDR4';
+
+/**
+ * Class to turn the resident memory of a process into energy, using a W/GB coefficient.
+ */
+class MemoryPowerModel {
+  /**
+   * Create a new MemoryPowerModel object.
+   * @param {object} [options] Model options
+   * @param {number} [options.wattsPerGB] Power draw per GB of resident memory, in watts (overrides the memory type)
+   * @param {string} [options.memoryType] Memory type to take the coefficient from: DDR3, DDR4 or DDR5
+   */
+  constructor(options = {}) {
+    const { wattsPerGB, memoryType = DEFAULT_MEMORY_TYPE } = options;
+
+    if (wattsPerGB !== undefined && !(typeof wattsPerGB === 'number' && wattsPerGB >= 0)) {
+      throw new Error('Invalid wattsPerGB: must be a non-negative number');
+    }
+
+    const type = String(memoryType).toUpperCase();
+    if (wattsPerGB === undefined && MEMORY_POWER_PRESETS[type] === undefined) {
+      throw new Error(`Invalid memoryType: must be one of ${Object.keys(MEMORY_POWER_PRESETS).join(', ')}`);
+    }
+
+    // Use the configured coefficient, or the preset of the memory type
+    this.memoryType = wattsPerGB === undefined ? type : null;
+    this.wattsPerGB = wattsPerGB ?? MEMORY_POWER_PRESETS[type];
+  }
+
+  /**
+   * Estimate the energy used by the memory of a process during a measurement window.
+   * @param {number} averageRssMB The time-weighted average RSS in MB
+   * @param {number} totalTimeInSeconds The wall-clock length of the window, in seconds
+   * @returns {object} An object containing the average RSS, coefficient, power and energy in J, Wh and kWh
+   */
+  estimate(averageRssMB, totalTimeInSeconds) {
+    const averageRssGB = Math.max(averageRssMB, 0) / 1024;
+    const powerWatts = averageRssGB * this.wattsPerGB;
+    const energyJoules = powerWatts * totalTimeInSeconds;
+
+    return {
+      averageRssGB, // The average RSS in GB
+      memoryType: this.memoryType, // The memory type of the coefficient, null when it was configured
+      wattsPerGB: this.wattsPerGB, // The power draw per GB in watts
+      powerWatts, // The average power draw in watts
+      energyJoules, // The energy in joules
+      energyWh: energyJoules / 3600, // The energy in watt-hours
+      energyKWh: energyJoules / 3600000, // The energy in kilowatt-hours
+    };
+  }
+}
+
+export default MemoryPowerModel;
@@ -1,41 +1,102 @@
--class MemoryUsageMeasurement {
+// Default time between RSS samples, in milliseconds
+export const DEFAULT_SAMPLE_INTERVAL = 250;
+
+class MemoryUsageMeasurement {
     /**
      * Create a new MemoryUsageMeasurement object.
+     * @param {object} [options] Measurement options
+     * @param {number} [options.sampleInterval] Time between RSS samples while measuring, in milliseconds
+     * (0 only samples at the start and the end)
+     * @param {Function} [options.readRss] Function returning the memory to sample in bytes (defaults to the
+     * RSS of the Node process)
      */
-    constructor() {
-      this.startMemory = process.memoryUsage(); // Store the initial memory usage
-      this.startTime = Date.now(); // Store the start time of the measurement
+    constructor({ sampleInterval = DEFAULT_SAMPLE_INTERVAL, readRss = () => process.memoryUsage.rss() } = {}) {
+      this.sampleInterval = sampleInterval;
+      this.readRss = readRss;
+      this.timer = null;
+      this.begin();
     }
-  
+
     /**
      * Start measuring memory usage.
      */
     start() {
-      this.startMemory = process.memoryUsage(); // Reset the start memory to the current memory usage
-      this.startTime = Date.now(); // Reset the start time to the current time
+      this.begin(); // Reset the start memory and the samples to the current memory usage
+      clearInterval(this.timer);
+
+      // Sample RSS while measuring so that memory held for the whole window is counted
+      if (this.sampleInterval > 0) {
+        this.timer = setInterval(() => this.sample(), this.sampleInterval);
+        this.timer.unref();
+      }
+    }
+
+    /**
+     * Reset the start memory, the start time and the RSS samples.
+     */
+    begin() {
+      this.startMemory = process.memoryUsage(); // Store the initial memory usage
+      this.startTime = Date.now(); // Store the start time of the measurement
+      const rss = this.readRss(); // The RSS at the start
+      this.lastSample = { time: this.startTime, rss }; // The latest RSS sample
+      this.rssIntegral = 0; // The RSS integrated over time, in byte-milliseconds
+      this.peakRss = rss; // The highest RSS sampled, in bytes
+      this.sampleCount = 1; // The number of RSS samples
     }
-  
+
+    /**
+     * Take an RSS sample, adding the time since the last one to the integral.
+     * @param {number} [rss] The RSS in bytes (defaults to the current RSS)
+     * @param {number} [time] The time of the sample in milliseconds (defaults to now)
+     */
+    sample(rss = this.readRss(), time = Date.now()) {
+      // Trapezoidal rule: the RSS changes linearly between two samples
+      this.rssIntegral += ((this.lastSample.rss + rss) / 2) * (time - this.lastSample.time);
+      this.lastSample = { time, rss };
+      this.peakRss = Math.max(this.peakRss, rss);
+      this.sampleCount += 1;
+    }
+
+    /**
+     * Stop sampling RSS without taking a last sample, throwing away the results of the measurement.
+     */
+    cancel() {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
     /**
      * Stop measuring memory usage and return the results.
-     * @returns {object} An object containing the RSS delta, heap total delta, heap used delta, and total time.
-     */`  A 
+     * @returns {object} An object containing the RSS delta, heap total delta, heap used delta, peak RSS,
+     * time-weighted average RSS, number of RSS samples and total time.
+     */
     stop() {
+      this.cancel();
+
       const endMemory = process.memoryUsage(this.startMemory); // Get the memory usage at the end of the measurement
       const endTime = Date.now(); // Get the end time of the measurement
       const totalTimeInSeconds = (endTime - this.startTime) / 1000; // Convert total time to seconds
-  
+      this.sample(this.readRss(), endTime);
+
       const rssDeltaMB = (endMemory.rss - this.startMemory.rss) / (1024 * 1024); // Calculate the RSS delta in MB
       const heapTotalDeltaMB = (endMemory.heapTotal - this.startMemory.heapTotal) / (1024 * 1024); // Calculate the heap total delta in MB
       const heapUsedDeltaMB = (endMemory.heapUsed - this.startMemory.heapUsed) / (1024 * 1024); // Calculate the heap used delta in MB
-  
+      const peakRssMB = this.peakRss / (1024 * 1024); // The highest RSS seen in MB
+      const averageRssMB = endTime > this.startTime
+        ? this.rssIntegral / (endTime - this.startTime) / (1024 * 1024)
+        : this.lastSample.rss / (1024 * 1024); // The time-weighted average RSS in MB
+
       return {
         rssDeltaMB, // The RSS delta in MB
         heapTotalDeltaMB, // The heap total delta in MB
         heapUsedDeltaMB, // The heap used delta in MB
+        peakRssMB, // The peak RSS in MB
+        averageRssMB, // The time-weighted average RSS in MB
+        sampleCount: this.sampleCount, // The number of RSS samples
         totalTimeInSeconds, // The total time in seconds
       };
     }
   }
-  
+
   export default MemoryUsageMeasurement;
-  
\ No newline at end of file
+
@@ -0,0 +1,82 @@
+import PowerConsumptionMeasurement from './powerConsumptionMeasurement.js';
+import TestCarbonRecorder from './testCarbonRecorder.js';
+
+/**
+ * Function to create Mocha root hooks that measure the footprint of every test, print a table of
+ * the most carbon-heavy tests after the run, write a JSON summary and fail the run when the
+ * total is over the budget.
+ *
+ * @param {object} [options] Plugin options
+ * @param {number} [options.budget] Maximum total emissions of the run in gCO2e
+ * @param {string} [options.output] Path of the JSON summary to write
+ * @param {number} [options.top] Number of the most carbon-heavy tests to list
+ * @param {object} [options.measurement] Options for the PowerConsumptionMeasurement of every test
+ * @param {TestCarbonRecorder} [options.recorder] Recorder collecting the footprints
+ * @returns {object} The Mocha root hooks
+ */
+export const createMochaHooks = (options = {}) => {
+  const recorder = options.recorder || new TestCarbonRecorder(options);
+  const measurements = new WeakMap(); // test -> its measurement
+
+  // Share the power model and the location cache between the measurements of all tests
+  const baseMeasurement = new PowerConsumptionMeasurement(options.measurement);
+
+  return {
+    async beforeEach() {
+      const measurement = new PowerConsumptionMeasurement({
+        ...options.measurement,
+        cpuPowerModel: baseMeasurement.cpuPowerModel,
+        cache: baseMeasurement.geoCarbonUsageMeasurement.cache,
+      });
+
+      await measurement.start();
+      measurements.set(this.currentTest, measurement);
+    },
+
+    async afterEach() {
+      const test = this.currentTest;
+      const measurement = measurements.get(test);
+      if (!measurement) return;
+
+      const powerConsumptionInfo = await measurement.stop();
+      recorder.record({
+        title: test.title,
+        suite: test.parent ? test.parent.fullTitle() : '',
+        file: test.file,
+        state: test.state,
+      }, powerConsumptionInfo);
+    },
+
+    async afterAll() {
+      const summary = recorder.getSummary();
+      recorder.print(summary);
+      await recorder.write(summary);
+
+      if (summary.overBudget) {
+        throw new Error(`Carbon budget exceeded: ${summary.carbonEmission} gCO2e is over the budget of ${summary.budget} gCO2e`);
+      }
+    },
+  };
+};
+
+/**
+ * Function to read the plugin options from the environment: NODE_CARBON_BUDGET (gCO2e),
+ * NODE_CARBON_TEST_REPORT (JSON summary path) and NODE_CARBON_TOP (number of tests listed).
+ *
+ * @returns {object} The plugin options
+ */
+export const getEnvOptions = () => {
+  const { NODE_CARBON_BUDGET, NODE_CARBON_TEST_REPORT, NODE_CARBON_TOP } = process.env;
+
+  return {
+    ...(NODE_CARBON_BUDGET && { budget: Number(NODE_CARBON_BUDGET) }),
+    ...(NODE_CARBON_TEST_REPORT && { output: NODE_CARBON_TEST_REPORT }),
+    ...(NODE_CARBON_TOP && { top: Number(NODE_CARBON_TOP) }),
+  };
+};
+
+/**
+ * Mocha root hooks, loaded with `mocha --require node-carbon/src/mochaCarbonPlugin.js`.
+ * @returns {object} The Mocha root hooks
+ */
+export const mochaHooks = () => createMochaHooks(getEnvOptions());
@@ -1,20 +1,136 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
 import CpuUsageMeasurement from './cpuUsageMeasurement.js';
+import CgroupUsageMeasurement from './cgroupUsageMeasurement.js';
+import ThreadUsageMeasurement, { readWorkerCpuUsage } from './threadUsageMeasurement.js';
+import ProcessTreeUsageMeasurement from './processTreeUsageMeasurement.js';
 import MemoryUsageMeasurement from './memoryUsageMeasurement.js';
+import MemoryPowerModel from './memoryPowerModel.js';
+import UsageSampler from './usageSampler.js';
 import GeoCarbonUsageMeasurement from './geoCarbonUsageMeasurement.js';
+import CpuPowerModel from './cpuPowerModel.js';
+import CarbonBudget from './carbonBudget.js';
 import { mapObjectWithColumns } from './utils/lib.js';
+import { readThreadStats, hasProcfs, DEFAULT_PROC_ROOT } from './utils/procfs.js';
+import createEventIterator from './utils/eventIterator.js';
+
+// What a measurement covers: the current thread, the Node process, the process and its descendants, or
+// every process in its cgroup (e.g. a container)
+export const MEASUREMENT_SCOPES = ['thread', 'process', 'tree', 'cgroup'];
+
+// Environment variable that sets the measurement scope
+export const SCOPE_ENV_VARIABLE = 'NODE_CARBON_SCOPE';
 
 /**
  * Class to measure the power consumption of a device.
+ *
+ * Emits "start" and "stop" when interval measurements start and stop, "measurement" with the
+ * results of every stop() and "error" when an interval measurement fails. When a measurement
+ * raises a budget to its warning or hard threshold, "budgetWarning" or "budgetExceeded" is emitted
+ * with the state of the budget.
  */
-class PowerConsumptionMeasurement {
+class PowerConsumptionMeasurement extends EventEmitter {
   /**
    * Create a new PowerConsumptionMeasurement object.
+   * @param {object} [options] Measurement options
+   * @param {object|CpuPowerModel} [options.cpuPowerModel] CPU power model, or options for one (tdp, cores,
+   * idleFraction, loadCurve)
+   * @param {object|MemoryPowerModel} [options.memoryPowerModel] Memory power model, or options for one
+   * (wattsPerGB, memoryType)
+   * @param {object} [options.energySource] Source of measured energy, e.g. a RaplEnergySource (defaults to
+   * estimating the energy with the CPU and memory power models, which is also the fallback when it fails)
+   * @param {string} [options.scope] What to measure: "thread" for the current thread, "process" for the Node
+   * process, "tree" for the process and its child processes, or "cgroup" for every process in its cgroup,
+   * e.g. a Docker or Kubernetes container (defaults to NODE_CARBON_SCOPE, then "process")
+   * @param {string} [options.cgroupRoot] Mount point of the cgroup filesystem
+   * @param {string} [options.procRoot] Location of the proc filesystem
+   * @param {number} [options.memorySampleInterval] Time between RSS samples while measuring, in milliseconds
+   * @param {number} [options.treeSampleInterval] Time between samples of the process tree in the "tree" scope,
+   * in milliseconds; every sample reads all of /proc
+   * @param {object|boolean} [options.sampler] Options of a UsageSampler (interval, capacity), or true for its
+   * defaults, to sample the usage of the scope in the background and return a time series from stop()
+   * @param {string} [options.country] ISO3 country code of the current location (defaults to NODE_CARBON_COUNTRY)
+   * @param {string} [options.region] Cloud region (e.g. "aws:us-east-1") or grid zone (e.g. "US-CA") of the current
+   * location, preferred over the country (defaults to NODE_CARBON_REGION)
+   * @param {Function|null} [options.geoProvider] Async geolocation provider resolving to an object with
+   * country_code3 (defaults to get.geojs.io, null disables the lookup)
+   * @param {number} [options.geoTimeout] Time to wait for the geolocation provider, in milliseconds
+   * @param {TtlCache|false} [options.cache] Cache for geolocation and carbon intensity lookups (false disables it)
+   * @param {number} [options.cacheTtl] Time to keep lookups, in milliseconds
+   * @param {string} [options.cacheFile] JSON file to persist lookups to
+   * @param {object} [options.intensityProvider] Provider of time-varying grid intensity, e.g. an
+   * HttpIntensityProvider (defaults to the bundled static data)
+   * @param {Function} [options.reporter] Function called with the results of every interval measurement,
+   * e.g. consoleReporter
+   * @param {Array<object|CarbonBudget>} [options.budgets] Budgets to check every measurement against, or
+   * options for them (limit, metric, period, warnAt, name, onWarning, onExceeded)
+   * @param {JsonLinesStore|SqliteStore} [options.store] Store to keep the history of every measurement in
+   * @param {string} [options.runId] Id of the run stored with every measurement (defaults to a random UUID)
+   * @param {object} [options.tags] Tags stored with every measurement, e.g. { service: 'api' }
    */
-  constructor() {
+  constructor(options = {}) {
+    super();
+
+    // Keep the options so that measurements of the same kind can be created later
+    this.options = options;
+
+    // Measure the current thread, the Node process, its process tree or the whole cgroup it runs in
+    const envScope = process.env[SCOPE_ENV_VARIABLE];
+    this.scope = options.scope ?? (MEASUREMENT_SCOPES.includes(envScope) ? envScope : 'process');
+    if (!MEASUREMENT_SCOPES.includes(this.scope)) {
+      throw new Error(`Invalid scope: must be one of ${MEASUREMENT_SCOPES.join(', ')}`);
+    }
+
+    // Create the model that turns CPU time into energy, whose cores the CPU usage is measured against
+    this.cpuPowerModel = options.cpuPowerModel instanceof CpuPowerModel
+      ? options.cpuPowerModel
+      : new CpuPowerModel(options.cpuPowerModel);
+
     // Create instances of the CPU, memory, and geolocation usage measurement classes
-    this.cpuUsageMeasurement = new CpuUsageMeasurement();
-    this.memoryUsageMeasurement = new MemoryUsageMeasurement();
-    this.geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement();
+    this.cpuUsageMeasurement = createCpuUsageMeasurement(this.scope, { ...options, cores: this.cpuPowerModel.cores });
+    this.memoryUsageMeasurement = new MemoryUsageMeasurement({
+      sampleInterval: options.memorySampleInterval,
+      // In a process tree or a cgroup, sample the memory of all of its processes
+      ...(this.cpuUsageMeasurement.readMemory && { readRss: () => this.cpuUsageMeasurement.readMemory() }),
+    });
+    this.geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(options.geoProvider, undefined, {
+      country: options.country,
+      region: options.region,
+      timeout: options.geoTimeout,
+      cache: options.cache,
+      cacheTtl: options.cacheTtl,
+      cacheFile: options.cacheFile,
+      intensityProvider: options.intensityProvider,
+    });
+
+    // Break the CPU time of the process down per thread where /proc is available
+    this.procRoot = options.procRoot ?? DEFAULT_PROC_ROOT;
+    this.threadReading = null;
+
+    // Store the tracked worker threads and their CPU time at the start of the window
+    this.workers = new Map();
+    this.workerReading = null;
+
+    // Create the model that turns resident memory into energy
+    this.memoryPowerModel = options.memoryPowerModel instanceof MemoryPowerModel
+      ? options.memoryPowerModel
+      : new MemoryPowerModel(options.memoryPowerModel);
+
+    // Sample the usage of the scope in the background, if asked to, so that every measurement has a time series
+    this.usageSampler = options.sampler
+      ? new UsageSampler({
+        cpuPowerModel: this.cpuPowerModel,
+        memoryPowerModel: this.memoryPowerModel,
+        readCpuTime: () => this.cpuUsageMeasurement.readCpuTime(),
+        ...(this.cpuUsageMeasurement.readMemory && { readMemory: () => this.cpuUsageMeasurement.readMemory() }),
+        ...(this.cpuUsageMeasurement.readCpuLimit && { readCpuLimit: () => this.cpuUsageMeasurement.readCpuLimit() }),
+        ...options.sampler,
+      })
+      : null;
+
+    // Store the source of measured energy and its reading at the start of the window
+    this.energySource = options.energySource || null;
+    this.energyReading = null;
 
     // Initialize variables for tracking start and end times
     this.startTime = 0;
@@ -22,19 +138,128 @@ class PowerConsumptionMeasurement {
 
     // Store the geo-based power usage
     this.geoPowerUsage = 0;
+    // Store the country the power usage was taken from and where the country code came from
+    this.locationInfo = null;
     // Store the carbon intensity information
     this.carbonIntesityInfo = null;
     // Initialize member variables
     this.timer = null;
+    this.reporter = options.reporter || null;
+
+    // Create the budgets that every measurement counts towards
+    this.budgets = [];
+    (options.budgets || []).forEach((budget) => this.addBudget(budget));
+
+    // Keep running totals of every measurement for the life of the process
+    this.totals = createTotals();
+
+    // Store the history of every measurement, if there is a store
+    this.store = options.store || null;
+    this.runId = options.runId || randomUUID();
+    this.tags = options.tags || {};
+  }
+
+  /**
+   * Returns the running totals of every measurement since the object was created or reset().
+   * @returns {object} An object containing the total CPU time in seconds, energy in kWh, carbon emission
+   * in gCO2e, the peak RSS in MB, the number of measurements and the time the totals started at
+   */
+  getTotals() {
+    return { ...this.totals };
+  }
+
+  /**
+   * Resets the running totals.
+   */
+  reset() {
+    this.totals = createTotals();
+  }
+
+  /**
+   * Returns the running totals as a plain object that can be stored and passed to restore(),
+   * e.g. to report lifetime emissions across restarts of a service.
+   * @returns {object} The totals, see getTotals()
+   */
+  snapshot() {
+    return this.getTotals();
+  }
+
+  /**
+   * Replaces the running totals with a snapshot. Measurements after this add to the snapshot.
+   * @param {object} snapshot The result of snapshot()
+   */
+  restore(snapshot) {
+    const totals = createTotals();
+    Object.keys(totals).forEach((key) => {
+      if (!snapshot || !Number.isFinite(snapshot[key])) {
+        throw new Error(`Invalid snapshot: ${key} must be a number`);
+      }
+      totals[key] = snapshot[key];
+    });
+    this.totals = totals;
+  }
+
+  /**
+   * Adds a budget that every following measurement counts towards.
+   * @param {object|CarbonBudget} budget The budget, or options for one
+   * @returns {CarbonBudget} The budget
+   */
+  addBudget(budget) {
+    const carbonBudget = budget instanceof CarbonBudget ? budget : new CarbonBudget(budget);
+    this.budgets.push(carbonBudget);
+    return carbonBudget;
+  }
+
+  /**
+   * Returns the state of every budget, e.g. for showing alerts.
+   * @returns {object[]} The states of the budgets, see CarbonBudget.getState()
+   */
+  getBudgets() {
+    return this.budgets.map((budget) => budget.getState());
+  }
+
+  /**
+   * Emits the results of a measurement, counts them towards the totals and the budgets and stores them.
+   * @param {object} powerConsumptionInfo The results of stop()
+   */
+  recordMeasurement(powerConsumptionInfo) {
+    // Add the measurement to the running totals
+    const { cpuUsageInfo, memoryUsageInfo, energyInfo, carbonEmission } = powerConsumptionInfo;
+    this.totals.cpuTimeInSeconds += cpuUsageInfo.cpuTimeInSeconds || 0;
+    this.totals.energyKWh += energyInfo.energyKWh || 0;
+    this.totals.carbonEmission += carbonEmission || 0;
+    this.totals.peakRssMB = Math.max(this.totals.peakRssMB, memoryUsageInfo.peakRssMB || 0);
+    this.totals.sampleCount += 1;
+
+    // Count the measurement first, so that listeners see the budgets including it
+    const alerts = this.budgets
+      .map((budget) => ({ budget, status: budget.add(powerConsumptionInfo) }))
+      .filter(({ status }) => status !== null);
+
+    this.emit('measurement', powerConsumptionInfo);
+
+    if (this.store) {
+      this.store.record(powerConsumptionInfo, { runId: this.runId, tags: this.tags })
+        .catch((error) => this.emitError(error));
+    }
+
+    alerts.forEach(({ budget, status }) => {
+      const event = status === 'exceeded' ? 'budgetExceeded' : 'budgetWarning';
+      this.emit(event, budget.getState(), powerConsumptionInfo);
+    });
   }
 
   /**
-   * Start measuring power consumption. This includes fetching the geo-based power usage
-   * and starting the CPU and memory usage measurements.
+   * Start measuring power consumption. This includes reading the energy source and starting the CPU
+   * and memory usage measurements. The carbon intensity is fetched by stop(), for the measurement window.
    */
   async start() {
-    // Fetch the geo-based power usage
-    this.geoPowerUsage = await this.geoCarbonUsageMeasurement.fetchPowerUsage();
+    // Read the energy counters before the window starts
+    this.energyReading = await this.readEnergySource();
+
+    // Read the CPU time of the threads and the tracked workers before the window starts
+    this.workerReading = await this.readWorkerCpuTimes();
+    this.threadReading = this.readThreadCpuTimes();
 
     // Set the start time for all measurements
     this.startTime = Date.now();
@@ -44,6 +269,121 @@ class PowerConsumptionMeasurement {
 
     // Start measuring memory usage
     this.memoryUsageMeasurement.start();
+
+    // Start sampling the usage of the process
+    if (this.usageSampler) {
+      this.usageSampler.start();
+    }
+  }
+
+  /**
+   * Tracks a worker thread, so that every following measurement breaks its CPU time down per worker in
+   * cpuUsageInfo.workers. The worker is read with worker.cpuUsage() where Node.js has it (24.6 or later),
+   * otherwise it must answer on a port with serveThreadCpuUsage(). Workers stop being tracked when they exit.
+   * @param {Worker} worker The worker
+   * @param {object} [options] Tracking options
+   * @param {string} [options.name] Name of the worker in the breakdown (defaults to "worker-<threadId>")
+   * @param {MessagePort} [options.port] Port the worker answers CPU time requests on
+   */
+  trackWorker(worker, { name, port } = {}) {
+    const { threadId } = worker;
+    this.workers.set(threadId, { worker, name: name ?? `worker-${threadId}`, port });
+    worker.once('exit', () => this.workers.delete(threadId));
+  }
+
+  /**
+   * Read the CPU time of every tracked worker.
+   * @returns {Promise<Map|null>} The thread id of every worker -> its name and CPU time in seconds, or the
+   * error reading it; null without tracked workers
+   */
+  async readWorkerCpuTimes() {
+    if (this.workers.size === 0) return null;
+
+    const entries = await Promise.all([...this.workers].map(async ([threadId, { worker, name, port }]) => {
+      try {
+        return [threadId, { name, cpuTimeInSeconds: await readWorkerCpuUsage(worker, { port }) }];
+      } catch (error) {
+        return [threadId, { name, error: error.message }];
+      }
+    }));
+    return new Map(entries);
+  }
+
+  /**
+   * Read the CPU time of every thread of the Node process, in the process scope.
+   * @returns {Map|null} The id of every thread -> its name and CPU time in seconds; null in other scopes
+   * or without /proc
+   */
+  readThreadCpuTimes() {
+    if (this.scope !== 'process' || !hasProcfs(this.procRoot)) return null;
+
+    return new Map(readThreadStats(process.pid, { procRoot: this.procRoot }).map((thread) => [thread.tid, thread]));
+  }
+
+  /**
+   * Read the energy source at the start of a measurement window.
+   * @returns {Promise<object|null>} An object containing the reading of the energy source, or the error
+   * when it could not be read; null without an energy source
+   */
+  async readEnergySource() {
+    if (!this.energySource) return null;
+
+    try {
+      return { reading: await this.energySource.start() };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Calculate the energy of a measurement window. With an energy source the measured energy is used,
+   * and memory is estimated when the source does not measure it; otherwise, or when the source fails,
+   * the CPU and memory energy are estimated with the power models.
+   * @param {object|null} energyReading The result of readEnergySource() at the start of the window
+   * @param {number} cpuTimeInSeconds The CPU time in the window, in seconds
+   * @param {object} memoryUsageInfo The memory usage information
+   * @param {number} elapsedTime The length of the window in milliseconds
+   * @param {number|null} [cpuLimit] Cores available to the measured processes, see CpuPowerModel.estimate()
+   * @returns {Promise<object>} The CPU and memory energy breakdown, the total energy in Wh and kWh, the
+   * backend used for the CPU ("estimate" or the name of the energy source) and for memory, and the error
+   * of the energy source when it fell back to the estimate
+   */
+  async calculateEnergy(energyReading, cpuTimeInSeconds, memoryUsageInfo, elapsedTime, cpuLimit = null) {
+    let backendError = energyReading?.error;
+
+    if (energyReading && !backendError) {
+      try {
+        const measured = await this.energySource.stop(energyReading.reading, {
+          cpuTimeInSeconds,
+          elapsedTime,
+          tdp: this.cpuPowerModel.tdp,
+        });
+        const averageRssMB = memoryUsageInfo.averageRssMB ?? memoryUsageInfo.peakRssMB ?? 0;
+        const memory = measured.memory ?? this.memoryPowerModel.estimate(averageRssMB, elapsedTime / 1000);
+        const energyWh = measured.cpu.energyWh + memory.energyWh;
+
+        return {
+          backend: this.energySource.name,
+          memoryBackend: measured.memory ? this.energySource.name : 'estimate',
+          cpu: measured.cpu,
+          memory,
+          energyWh,
+          energyKWh: energyWh / 1000,
+        };
+      } catch (error) {
+        backendError = error.message;
+      }
+    }
+
+    // Estimate the CPU energy from the measured CPU time
+    const cpuEnergyInfo = this.cpuPowerModel.estimate(cpuTimeInSeconds, elapsedTime / 1000, cpuLimit);
+
+    return {
+      backend: 'estimate',
+      memoryBackend: 'estimate',
+      ...calculatePowerConsumption(cpuEnergyInfo, memoryUsageInfo, elapsedTime, this.memoryPowerModel),
+      ...(backendError && { backendError }),
+    };
   }
 
    /**
@@ -59,29 +399,73 @@ class PowerConsumptionMeasurement {
 
     // Start measuring power consumption initially
     await this.start();
+    this.emit('start', { intervalDuration });
 
     // Set up a timer to stop and report power consumption at regular intervals
     this.timer = setInterval(async () => {
-      // Stop measuring power consumption and report the results
-      await this.stopAndReport();
+      try {
+        // Stop measuring power consumption and report the results
+        await this.stopAndReport();
 
-      // Restart power consumption measurements for the next interval
-      await this.start();
+        // Restart power consumption measurements for the next interval, unless stopped meanwhile
+        if (this.timer) {
+          await this.start();
+
+          // Stopped while starting, so the samplers just started are not stopped by anything else
+          if (!this.timer) {
+            this.cancel();
+          }
+        }
+      } catch (error) {
+        this.emitError(error);
+      }
     }, intervalDuration);
   }
 
   /**
-   * Stops measuring power consumption and reports the results.
+   * Stops measuring power consumption and passes the results to the reporter, if there is one.
+   * @returns {Promise<object>} The results of stop()
    */
   async stopAndReport() {
     // Stop measuring power consumption and gather the results
     const powerConsumptionInfo = await this.stop();
-    // Log the power consumption information to the console
-    console.log('Power Consumption Report:');
-    console.log('CPU Usage:', powerConsumptionInfo.cpuUsageInfo);
-    console.log('Memory Usage:', powerConsumptionInfo.memoryUsageInfo);
-    console.log('Carbon Emission:', powerConsumptionInfo.carbonEmission);
-    console.log('Elapsed Time:', powerConsumptionInfo.elapsedTime);
+
+    // Report the power consumption information
+    if (this.reporter) {
+      this.reporter(powerConsumptionInfo);
+    }
+
+    return powerConsumptionInfo;
+  }
+
+  /**
+   * Returns an async iterator over the results of every measurement, ending when the
+   * interval measurement is stopped.
+   *
+   * @returns {AsyncIterableIterator<object>} The async iterator
+   */
+  measurements() {
+    return createEventIterator(this, 'measurement', 'stop');
+  }
+
+  /**
+   * Iterates over the results of every measurement, see measurements().
+   * @returns {AsyncIterableIterator<object>} The async iterator
+   */
+  [Symbol.asyncIterator]() {
+    return this.measurements();
+  }
+
+  /**
+   * Emits an error event, or logs the error when nothing listens for errors.
+   * @param {Error} error The error
+   */
+  emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error(`Error measuring power consumption: ${error.message}`);
+    }
   }
   /**
    * Asynchronously retrieves and stores the carbon intensity information for the current country
@@ -118,19 +502,39 @@ class PowerConsumptionMeasurement {
   }
 
   /**
-   * Stops the ongoing power consumption measurement and cleans up the timer.
+   * Stops the ongoing power consumption measurement and cleans up the timer and the measurement in progress.
    */
   stopPowerMeasurement() {
     // Clear the timer to prevent further interval-based measurements
+    const wasRunning = this.timer !== null;
     clearInterval(this.timer);
     this.timer = null;
+
+    // Stop the samplers the last interval started, throwing away its results
+    this.cancel();
+
+    if (wasRunning) {
+      this.emit('stop');
+    }
+  }
+
+  /**
+   * Stops the sampling of the measurement in progress without reporting it.
+   */
+  cancel() {
+    this.cpuUsageMeasurement.cancel?.();
+    this.memoryUsageMeasurement.cancel();
+    if (this.usageSampler) {
+      this.usageSampler.cancel();
+    }
   }
 
   /**
    * Stop measuring power consumption and return the results. This includes stopping the CPU
    * and memory usage measurements and calculating the total power consumption.
    * @returns {object} An object containing the CPU usage information, memory usage information,
-   * power consumption, and elapsed time.
+   * energy breakdown, carbon emission in gCO2e, location information, elapsed time, scope and, with a
+   * sampler, the time series of the usage.
    */
   async stop() {
     // Stop measuring CPU usage and get the results
@@ -139,46 +543,140 @@ class PowerConsumptionMeasurement {
     // Stop measuring memory usage and get the results
     const memoryUsageInfo = this.memoryUsageMeasurement.stop();
 
+    // Stop sampling and get the time series
+    const timeSeries = this.usageSampler ? this.usageSampler.stop() : null;
+
+    // Break the CPU time down per thread and per tracked worker
+    const threads = diffCpuTimes(this.threadReading, this.readThreadCpuTimes(), 'tid');
+    if (threads) cpuUsageInfo.threads = threads;
+    const workers = diffCpuTimes(this.workerReading, await this.readWorkerCpuTimes(), 'threadId');
+    if (workers) cpuUsageInfo.workers = workers;
+
     // Set the end time for all measurements
     this.endTime = Date.now();
 
     // Calculate the elapsed time in seconds
     const elapsedTime = this.endTime - this.startTime;
 
-    // Calculate the device's power consumption in kilowatt-hours
-    const devicePowerConsumption = calculatePowerConsumption(cpuUsageInfo, memoryUsageInfo, elapsedTime);
+    // Fetch the geo-based power usage of the measurement window itself, as live intensity changes over time
+    this.locationInfo = await this.geoCarbonUsageMeasurement.fetchCarbonIntensity({
+      start: this.startTime,
+      end: this.endTime,
+    });
+    this.geoPowerUsage = this.locationInfo.carbonIntensity;
 
-    // Calculate the total carbon emission by combining geo and device power consumption
-    const carbonEmission = this.geoPowerUsage * devicePowerConsumption;
+    // Calculate the device's energy consumption from the energy source, or estimate it from the measured CPU time
+    const energyInfo = await this.calculateEnergy(
+      this.energyReading, cpuUsageInfo.cpuTimeInSeconds, memoryUsageInfo, elapsedTime, cpuUsageInfo.cpuLimit,
+    );
 
-    // Return the combined power consumption information
-    return {
+    // Calculate the total carbon emission by combining the geo carbon intensity (gCO2e/kWh) and device energy
+    const carbonEmission = this.geoPowerUsage * energyInfo.energyKWh;
+
+    // Combine the power consumption information
+    const powerConsumptionInfo = {
       cpuUsageInfo,
       memoryUsageInfo,
+      energyInfo,
       carbonEmission,
+      locationInfo: this.locationInfo,
       elapsedTime,
+      scope: this.scope,
+      ...(timeSeries && { timeSeries }),
     };
+
+    this.recordMeasurement(powerConsumptionInfo);
+    return powerConsumptionInfo;
   }
 }
 
 /**
- * Function to calculate the power consumption in kilowatt-hours based on CPU usage,
+ * Function to create the measurement of the CPU usage of a scope.
+ * @param {string} scope The scope, one of MEASUREMENT_SCOPES
+ * @param {object} options The options of the PowerConsumptionMeasurement, and the number of cores
+ * @returns {object} The measurement, with start() and stop()
+ */
+const createCpuUsageMeasurement = (scope, options) => {
+  switch (scope) {
+    case 'thread':
+      return new ThreadUsageMeasurement({ procRoot: options.procRoot });
+    case 'tree':
+      return new ProcessTreeUsageMeasurement({ interval: options.treeSampleInterval, procRoot: options.procRoot });
+    case 'cgroup':
+      return new CgroupUsageMeasurement({ cgroupRoot: options.cgroupRoot, procRoot: options.procRoot });
+    default:
+      return new CpuUsageMeasurement({ cores: options.cores });
+  }
+};
+
+/**
+ * Function to break the CPU time of a window down from the CPU times at its start and end.
+ * @param {Map|null} start The id of every thread -> { name, cpuTimeInSeconds } at the start of the window
+ * @param {Map|null} end The CPU times at the end of the window, entries may have an error instead
+ * @param {string} idKey Name of the id in the breakdown
+ * @returns {object[]|null} The CPU time of every thread in the window, busiest first; null without CPU times.
+ * Threads that started in the window count from zero, threads that ended in it are left out
+ */
+const diffCpuTimes = (start, end, idKey) => {
+  if (!end) return null;
+
+  return [...end]
+    .map(([id, { name, cpuTimeInSeconds, error }]) => {
+      const startEntry = start?.get(id);
+      const failed = error ?? startEntry?.error;
+      return failed
+        ? { [idKey]: id, name, cpuTimeInSeconds: null, error: failed }
+        : { [idKey]: id, name, cpuTimeInSeconds: Math.max(cpuTimeInSeconds - (startEntry?.cpuTimeInSeconds ?? 0), 0) };
+    })
+    .sort((a, b) => (b.cpuTimeInSeconds ?? -1) - (a.cpuTimeInSeconds ?? -1));
+};
+
+/**
+ * Function to create empty running totals.
+ * @returns {object} The totals, see PowerConsumptionMeasurement.getTotals()
+ */
+const createTotals = () => ({
+  cpuTimeInSeconds: 0, // The total CPU time in seconds
+  energyKWh: 0, // The total energy in kWh
+  carbonEmission: 0, // The total carbon emission in gCO2e
+  peakRssMB: 0, // The peak RSS in MB
+  sampleCount: 0, // The number of measurements
+  since: Date.now(), // The time the totals started at, in milliseconds
+});
+
+// Memory power model used when none is passed to calculatePowerConsumption()
+const defaultMemoryPowerModel = new MemoryPowerModel();
+
+/**
+ * Function to calculate the energy consumption based on the CPU energy estimate,
  * memory usage, and elapsed time.
- * @param {object} cpuUsageInfo The CPU usage information
- * @param {object} memoryUsageInfo The memory usage information
- * @param {number} elapsedTime The elapsed time in seconds
- * @returns {number} The power consumption in kilowatt-hours
+ * @param {object} cpuEnergyInfo The CPU energy estimate from the CPU power model
+ * @param {object} memoryUsageInfo The memory usage information, with the average RSS in MB
+ * @param {number} elapsedTime The elapsed time in milliseconds
+ * @param {MemoryPowerModel} [memoryPowerModel] The model that turns resident memory into energy
+ * @returns {object} The CPU and memory energy breakdown and the total energy in Wh and kWh
  */
-const calculatePowerConsumption = (cpuUsageInfo, memoryUsageInfo, elapsedTime) => {
-  // Convert elapsed time from milliseconds to hours
-  const timeInHours = elapsedTime / (1000 * 60 * 60);
+export const calculatePowerConsumption = (
+  cpuEnergyInfo,
+  memoryUsageInfo,
+  elapsedTime,
+  memoryPowerModel = defaultMemoryPowerModel,
+) => {
+  // Memory draws power for as long as it is held, so charge the average RSS over the window
+  const memoryEnergyInfo = memoryPowerModel.estimate(
+    memoryUsageInfo.averageRssMB ?? memoryUsageInfo.peakRssMB ?? 0,
+    elapsedTime / 1000,
+  );
 
-  // Calculate the total power consumption in watts (assuming 3 watts for DDR4 memory)
-  const totalPowerConsumption = cpuUsageInfo.cpuUsage + (memoryUsageInfo.rssDeltaMB * 3);
-  // Convert power consumption from watts to kilowatt-hours
-  const powerConsumptionInKWh = totalPowerConsumption * timeInHours;
+  // Add the CPU and memory energy together
+  const energyWh = cpuEnergyInfo.energyWh + memoryEnergyInfo.energyWh;
 
-  return powerConsumptionInKWh;
+  return {
+    cpu: cpuEnergyInfo,
+    memory: memoryEnergyInfo,
+    energyWh,
+    energyKWh: energyWh / 1000,
+  };
 };
 
 export default PowerConsumptionMeasurement;
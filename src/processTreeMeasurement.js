@@ -0,0 +1,147 @@
+import PowerConsumptionMeasurement from './powerConsumptionMeasurement.js';
+import ProcessTreeUsageMeasurement, { DEFAULT_TREE_SAMPLE_INTERVAL } from './processTreeUsageMeasurement.js';
+import { hasProcfs } from './utils/procfs.js';
+
+// Default time between samples of the process tree, in milliseconds
+export const DEFAULT_SAMPLE_INTERVAL = DEFAULT_TREE_SAMPLE_INTERVAL;
+
+/**
+ * Function to average the RSS of samples over the time between them, as in MemoryUsageMeasurement: the RSS
+ * changes linearly between two samples, so that samples taken close together do not outweigh the others.
+ *
+ * @param {object[]} samples The samples, oldest first
+ * @returns {number} The time-weighted average RSS in MB, 0 without samples
+ */
+const averageRssMB = (samples) => {
+  if (samples.length === 0) return 0;
+
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  if (last.timestamp <= first.timestamp) return last.rssBytes / (1024 * 1024);
+
+  const rssIntegral = samples.slice(1).reduce((total, sample, index) => {
+    const previous = samples[index];
+    return total + ((previous.rssBytes + sample.rssBytes) / 2) * (sample.timestamp - previous.timestamp);
+  }, 0);
+  return rssIntegral / (last.timestamp - first.timestamp) / (1024 * 1024);
+};
+
+/**
+ * Class to measure the power consumption of another process and all of its descendants by
+ * sampling their CPU time and memory from /proc with a ProcessTreeUsageMeasurement. Processes that
+ * start and exit between two samples are counted through the parent that waited for them, but their
+ * memory is not seen, so use a short interval for commands that spawn short-lived processes.
+ */
+class ProcessTreeMeasurement {
+  /**
+   * Create a new ProcessTreeMeasurement object.
+   * @param {number} pid The process id of the root of the tree
+   * @param {object} [options] Measurement options
+   * @param {PowerConsumptionMeasurement} [options.measurement] Measurement providing the CPU power model
+   * and the carbon intensity of the current location
+   * @param {number} [options.interval] Time between samples, in milliseconds
+   * @param {boolean} [options.spawned] Whether the current process has just spawned the root, see
+   * ProcessTreeUsageMeasurement
+   * @param {string} [options.procRoot] Location of the proc filesystem
+   * @param {number} [options.clockTicks] Clock ticks per second of /proc/<pid>/stat times
+   * @param {number} [options.pageSize] Memory page size in bytes
+   */
+  constructor(pid, options = {}) {
+    const { measurement = new PowerConsumptionMeasurement(), interval = DEFAULT_SAMPLE_INTERVAL, ...usageOptions } = options;
+
+    this.pid = pid;
+    this.measurement = measurement;
+    this.usageMeasurement = new ProcessTreeUsageMeasurement({ pid, interval, ...usageOptions });
+    this.startTime = 0;
+    this.locationInfo = null;
+    this.energyReading = null;
+  }
+
+  /**
+   * The samples taken since start(), as { timestamp, cpuTimeInSeconds, rssBytes, processCount }.
+   * @returns {object[]} The samples
+   */
+  get samples() {
+    return this.usageMeasurement.samples;
+  }
+
+  /**
+   * Start sampling the process tree.
+   */
+  async start() {
+    const { procRoot } = this.usageMeasurement.procOptions;
+    if (!hasProcfs(procRoot)) {
+      throw new Error(`Cannot measure process ${this.pid}: ${procRoot} is not available`);
+    }
+
+    // Read the energy counters before the window starts
+    this.energyReading = await this.measurement.readEnergySource();
+
+    this.startTime = Date.now();
+    this.usageMeasurement.start();
+  }
+
+  /**
+   * Read the CPU time and memory of every process in the tree.
+   * @returns {object|null} The sample, or null when the tree is gone
+   */
+  sample() {
+    return this.usageMeasurement.sample();
+  }
+
+  /**
+   * Get the CPU time of every process seen in the tree since start(), including processes that exited.
+   * @returns {number} The CPU time in seconds
+   */
+  getCpuTime() {
+    return this.usageMeasurement.getCpuTime();
+  }
+
+  /**
+   * Stop sampling and return the results, in the same shape as PowerConsumptionMeasurement.stop().
+   * @returns {Promise<object>} An object containing the CPU usage information, memory usage information,
+   * energy breakdown, carbon emission in gCO2e, location information, elapsed time and the samples
+   */
+  async stop() {
+    const { cpuTimeInSeconds, processCount, processes } = this.usageMeasurement.stop();
+
+    const endTime = Date.now();
+    const elapsedTime = endTime - this.startTime;
+    const totalTimeInSeconds = elapsedTime / 1000;
+
+    const rssValues = this.samples.map((sample) => sample.rssBytes / (1024 * 1024));
+    const memoryUsageInfo = {
+      rssDeltaMB: rssValues.length > 0 ? rssValues[rssValues.length - 1] - rssValues[0] : 0, // The RSS delta in MB
+      peakRssMB: rssValues.length > 0 ? Math.max(...rssValues) : 0, // The peak RSS in MB
+      averageRssMB: averageRssMB(this.samples), // The time-weighted average RSS in MB
+      totalTimeInSeconds, // The total time in seconds
+    };
+
+    const energyInfo = await this.measurement.calculateEnergy(
+      this.energyReading, cpuTimeInSeconds, memoryUsageInfo, elapsedTime,
+    );
+
+    // Fetch the carbon intensity of the measurement window itself, as live intensity changes over time
+    this.locationInfo = await this.measurement.geoCarbonUsageMeasurement.fetchCarbonIntensity({
+      start: this.startTime,
+      end: endTime,
+    });
+
+    return {
+      cpuUsageInfo: {
+        cpuTimeInSeconds, // The CPU time of the tree in seconds
+        totalTimeInSeconds, // The total time in seconds
+        processCount, // The number of processes seen in the tree
+        processes, // The CPU time of every process in the tree, busiest first
+      },
+      memoryUsageInfo,
+      energyInfo,
+      carbonEmission: this.locationInfo.carbonIntensity * energyInfo.energyKWh,
+      locationInfo: this.locationInfo,
+      elapsedTime,
+      samples: this.samples,
+    };
+  }
+}
+
+export default ProcessTreeMeasurement;
@@ -0,0 +1,250 @@
+import { readProcessTree, readProcessStat, hasProcfs, DEFAULT_PROC_ROOT } from './utils/procfs.js';
+
+// Default time between samples of the process tree, in milliseconds. Every sample reads all of /proc
+export const DEFAULT_TREE_SAMPLE_INTERVAL = 1000;
+
+// Function to identify a process: pids are reused, the pid and start time together are not
+const processKey = (stat) => `${stat.pid}:${stat.startTime}`;
+
+// Function to get the CPU time of a process including the exited children it waited for, in seconds
+const totalCpuTime = (stat) => stat.userTimeInSeconds + stat.systemTimeInSeconds
+  + stat.childUserTimeInSeconds + stat.childSystemTimeInSeconds;
+
+/**
+ * Class to measure the CPU usage and memory of a process and all of its descendants, e.g. child
+ * processes started with child_process, by sampling /proc/<pid>/stat.
+ *
+ * The CPU time of a process includes the time of the exited children it waited for (cutime and
+ * cstime), so a child that starts and exits between two samples is still counted, through its parent.
+ * Only its memory and its entry in the breakdown are missed.
+ */
+class ProcessTreeUsageMeasurement {
+  /**
+   * Create a new ProcessTreeUsageMeasurement object.
+   * @param {object} [options] Measurement options
+   * @param {number} [options.pid] The process id of the root of the tree (defaults to the current process)
+   * @param {number} [options.interval] Time between samples, in milliseconds
+   * @param {boolean} [options.spawned] Whether the current process has just spawned the root: every process
+   * of the tree then counts from zero, and once the root has exited its CPU time is read from the exited
+   * children time of the current process. Create the measurement right after spawning, before the root
+   * can exit
+   * @param {string} [options.procRoot] Location of the proc filesystem
+   * @param {number} [options.clockTicks] Clock ticks per second of /proc/<pid>/stat times
+   * @param {number} [options.pageSize] Memory page size in bytes
+   */
+  constructor(options = {}) {
+    const {
+      pid = process.pid,
+      interval = DEFAULT_TREE_SAMPLE_INTERVAL,
+      spawned = false,
+      procRoot = DEFAULT_PROC_ROOT,
+      clockTicks,
+      pageSize,
+    } = options;
+
+    if (typeof interval !== 'number' || interval <= 0) {
+      throw new Error('Invalid interval: must be a positive number');
+    }
+
+    this.pid = pid;
+    this.interval = interval;
+    this.procOptions = { procRoot, clockTicks, pageSize };
+    this.spawned = spawned;
+    // The exited children time of the current process before the root could exit, when it spawned the root
+    this.spawnerCpuTime = spawned ? this.readSpawnerCpuTime() : 0;
+    this.rootKey = null; // "<pid>:<start time>" of the root
+    // "<pid>:<start time>" -> { pid, command, parentKey, cpuTimeInSeconds, reapedCpuTime, orphaned, exited } of
+    // the latest sample; reapedCpuTime is the CPU time of exited children counted in the process and in themselves
+    this.processes = new Map();
+    this.baseline = new Map(); // "<pid>:<start time>" -> CPU time of the process when measuring started
+    this.samples = []; // { timestamp, cpuTimeInSeconds, rssBytes, processCount }
+    this.rssBytes = null; // The RSS of the tree at the latest sample
+    this.timer = null;
+    this.startTime = null; // Stores the start time of the measurement
+  }
+
+  /**
+   * Start sampling the process tree.
+   */
+  start() {
+    if (!hasProcfs(this.procOptions.procRoot)) {
+      throw new Error(`Cannot measure process ${this.pid}: ${this.procOptions.procRoot} is not available`);
+    }
+
+    clearInterval(this.timer);
+    this.rootKey = null;
+    this.processes = new Map();
+    this.baseline = new Map();
+    this.samples = [];
+    this.startTime = Date.now();
+    this.sample(true);
+
+    this.timer = setInterval(() => this.sample(), this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Read the exited children time of the current process.
+   * @returns {number} The CPU time in seconds, 0 when it cannot be read
+   */
+  readSpawnerCpuTime() {
+    const stat = readProcessStat(process.pid, this.procOptions);
+    return stat ? stat.childUserTimeInSeconds + stat.childSystemTimeInSeconds : 0;
+  }
+
+  /**
+   * Read the CPU time and memory of every process in the tree.
+   * @param {boolean} [isBaseline] Whether the CPU times read are the starting point of the measurement
+   * @returns {object|null} The sample, or null when the tree is gone
+   */
+  sample(isBaseline = false) {
+    const tree = readProcessTree(this.pid, this.procOptions);
+    const keys = new Map(tree.map((stat) => [stat.pid, processKey(stat)]));
+
+    tree.forEach((stat) => {
+      const key = keys.get(stat.pid);
+      const entry = this.processes.get(key) || { pid: stat.pid, reapedCpuTime: 0, orphaned: false, exited: false };
+
+      entry.command = stat.command;
+      entry.parentKey = keys.get(stat.ppid) ?? null;
+      entry.cpuTimeInSeconds = totalCpuTime(stat);
+      this.processes.set(key, entry);
+
+      if (stat.pid === this.pid) this.rootKey = key;
+      // A tree the current process has just spawned used no CPU time before the measurement
+      if (isBaseline) this.baseline.set(key, this.spawned ? 0 : entry.cpuTimeInSeconds);
+    });
+
+    this.updateExitedProcesses(keys);
+    if (tree.length === 0) return null;
+    this.rssBytes = tree.reduce((total, stat) => total + stat.rssBytes, 0);
+
+    const sample = {
+      timestamp: Date.now(), // The time of the sample in milliseconds
+      cpuTimeInSeconds: this.getCpuTime(), // The CPU time of the tree since start() in seconds
+      rssBytes: this.rssBytes, // The RSS of the tree in bytes
+      processCount: tree.length, // The number of running processes in the tree
+    };
+
+    this.samples.push(sample);
+    return sample;
+  }
+
+  /**
+   * Update the processes seen before that are no longer in the tree.
+   * @param {Map} keys The pid of every process in the tree -> its key
+   */
+  updateExitedProcesses(keys) {
+    this.processes.forEach((entry, key) => {
+      if (entry.exited || keys.get(entry.pid) === key) return;
+
+      // Still running outside the tree: its parent exited and it was reparented, e.g. to init
+      const stat = readProcessStat(entry.pid, this.procOptions);
+      if (stat && processKey(stat) === key) {
+        entry.cpuTimeInSeconds = totalCpuTime(stat);
+        entry.orphaned = true;
+        return;
+      }
+
+      entry.exited = true;
+      if (key === this.rootKey) {
+        // The current process waited for the root, adding its CPU time to its own exited children time
+        if (this.spawned) {
+          const reapedCpuTime = this.readSpawnerCpuTime() - this.spawnerCpuTime;
+          entry.cpuTimeInSeconds = Math.max(entry.cpuTimeInSeconds, reapedCpuTime);
+        }
+      } else if (!entry.orphaned && this.processes.has(entry.parentKey)) {
+        // Its parent waited for it, so the CPU time of the process is now also in its parent's
+        this.processes.get(entry.parentKey).reapedCpuTime += entry.cpuTimeInSeconds;
+      }
+    });
+
+    // A spawned root that exited before the first sample was only seen by the current process
+    if (this.spawned && this.rootKey === null && this.processes.size === 0) {
+      const reapedCpuTime = this.readSpawnerCpuTime() - this.spawnerCpuTime;
+      if (reapedCpuTime > 0) {
+        this.rootKey = `${this.pid}:exited`;
+        this.processes.set(this.rootKey, {
+          pid: this.pid, command: null, parentKey: null, cpuTimeInSeconds: reapedCpuTime, reapedCpuTime: 0, orphaned: false, exited: true,
+        });
+      }
+    }
+  }
+
+  /**
+   * Get the CPU time of every process seen in the tree since start(), including processes that exited.
+   * The CPU time of exited children a process waited for is counted in the children, not in the process.
+   * @returns {object[]} The processes as { pid, command, cpuTimeInSeconds }, busiest first
+   */
+  getProcessTimes() {
+    return [...this.processes]
+      .map(([key, { pid, command, cpuTimeInSeconds, reapedCpuTime }]) => ({
+        pid, // The process id
+        command, // The command name of the process
+        cpuTimeInSeconds: cpuTimeInSeconds - reapedCpuTime - (this.baseline.get(key) || 0), // The CPU time in the window in seconds
+      }))
+      .sort((a, b) => b.cpuTimeInSeconds - a.cpuTimeInSeconds);
+  }
+
+  /**
+   * Get the processes that used CPU time since start().
+   * @returns {object[]} The processes as { pid, command, cpuTimeInSeconds }, busiest first
+   */
+  getProcesses() {
+    return this.getProcessTimes().filter(({ cpuTimeInSeconds }) => cpuTimeInSeconds > 0);
+  }
+
+  /**
+   * Get the CPU time of the tree since start().
+   * @returns {number} The CPU time in seconds
+   */
+  getCpuTime() {
+    return this.getProcessTimes().reduce((total, { cpuTimeInSeconds }) => total + cpuTimeInSeconds, 0);
+  }
+
+  /**
+   * Read the CPU time of the tree since start() at the latest sample, e.g. for sampling by a UsageSampler.
+   * Reading does not scan /proc, so the CPU time only changes at the samples of the tree.
+   * @returns {number} The CPU time in seconds
+   */
+  readCpuTime() {
+    return this.getCpuTime();
+  }
+
+  /**
+   * Read the memory used by the tree at the latest sample, for sampling by a MemoryUsageMeasurement.
+   * @returns {number} The RSS of the tree in bytes, or the RSS of the Node process before the first sample
+   */
+  readMemory() {
+    return this.rssBytes ?? process.memoryUsage.rss();
+  }
+
+  /**
+   * Stop sampling without taking a last sample, throwing away the results.
+   */
+  cancel() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Stop sampling and return the results.
+   * @returns {object} An object containing the CPU time of the tree, the total time, the number of processes
+   * seen and the CPU time of every process that used any, busiest first
+   */
+  stop() {
+    this.cancel();
+
+    // Take a last sample in case the tree is still running
+    this.sample();
+
+    return {
+      cpuTimeInSeconds: this.getCpuTime(), // The CPU time in seconds
+      totalTimeInSeconds: (Date.now() - this.startTime) / 1000, // The total time in seconds
+      processCount: this.processes.size, // The number of processes seen in the tree
+      processes: this.getProcesses(), // The CPU time of every process in the tree
+    };
+  }
+}
+
+export default ProcessTreeUsageMeasurement;
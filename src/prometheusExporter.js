@@ -0,0 +1,108 @@
+import PowerConsumptionMeasurement from './powerConsumptionMeasurement.js';
+
+// Default time between the interval measurements behind the metrics, in milliseconds
+export const DEFAULT_EXPORT_INTERVAL = 10000;
+
+// Content type of the Prometheus text exposition format
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Function to escape a label value: backslashes, double quotes and line feeds
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Function to format the running totals of a measurement in the Prometheus text exposition format.
+ *
+ * @param {object} totals The result of PowerConsumptionMeasurement.getTotals()
+ * @param {object|null} locationInfo The location of the measurement, with countryCode and carbonIntensity
+ * @returns {string} The metrics
+ */
+export const formatPrometheusMetrics = (totals, locationInfo) => {
+  const metrics = [
+    ['node_carbon_energy_kwh_total', 'counter', 'Energy used by the process in kWh.', totals.energyKWh],
+    ['node_carbon_emissions_grams_total', 'counter', 'Carbon emissions of the process in gCO2e.', totals.carbonEmission],
+    ['node_carbon_cpu_seconds_total', 'counter', 'CPU time of the process in seconds.', totals.cpuTimeInSeconds],
+  ];
+
+  const lines = [];
+  metrics.forEach(([name, type, help, value]) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, `${name} ${value}`);
+  });
+
+  // The grid intensity is only known once the location has been looked up
+  if (locationInfo) {
+    const name = 'node_carbon_grid_intensity_gco2_per_kwh';
+    const country = escapeLabel(locationInfo.countryCode ?? 'unknown');
+    lines.push(
+      `# HELP ${name} Carbon intensity of the electricity grid in gCO2e/kWh.`,
+      `# TYPE ${name} gauge`,
+      `${name}{country="${country}"} ${locationInfo.carbonIntensity}`,
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Class to expose the running totals of a measurement to Prometheus. The totals come from the
+ * interval measurements of the PowerConsumptionMeasurement, which start() begins if needed.
+ */
+class PrometheusExporter {
+  /**
+   * Create a new PrometheusExporter object.
+   * @param {PowerConsumptionMeasurement} [measurement] The measurement whose totals are exported
+   * @param {object} [options] Exporter options
+   * @param {number} [options.interval] Time between interval measurements, in milliseconds
+   */
+  constructor(measurement = new PowerConsumptionMeasurement(), { interval = DEFAULT_EXPORT_INTERVAL } = {}) {
+    if (typeof interval !== 'number' || interval <= 0) {
+      throw new Error('Invalid interval: must be a positive number');
+    }
+
+    this.measurement = measurement;
+    this.interval = interval;
+    this.ownsSampler = false;
+  }
+
+  /**
+   * Start the interval measurements, unless they are running already.
+   */
+  async start() {
+    if (this.measurement.timer) return;
+
+    this.ownsSampler = true;
+    await this.measurement.startMeasurementWithInterval(this.interval);
+  }
+
+  /**
+   * Stop the interval measurements, if they were started by start().
+   */
+  stop() {
+    if (!this.ownsSampler) return;
+
+    this.ownsSampler = false;
+    this.measurement.stopPowerMeasurement();
+  }
+
+  /**
+   * Get the metrics in the Prometheus text exposition format.
+   * @returns {string} The metrics
+   */
+  metrics() {
+    return formatPrometheusMetrics(this.measurement.getTotals(), this.measurement.locationInfo);
+  }
+
+  /**
+   * Returns a request handler that responds with the metrics. Works with Node's http module and
+   * Express, e.g. app.get('/metrics', exporter.handler()).
+   * @returns {Function} The (req, res) handler
+   */
+  handler() {
+    return (_req, res) => {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', PROMETHEUS_CONTENT_TYPE);
+      res.end(this.metrics());
+    };
+  }
+}
+
+export default PrometheusExporter;
@@ -0,0 +1,267 @@
+import { toMeasurementRecord, matchesQuery } from './utils/measurementRecords.js';
+import {
+  getCarbonIntensityInfo, getEmissionFactorSources, getEnergyMixYear, getWorldAverageCarbonUsage,
+} from './utils/lib.js';
+import { getRegionInfo } from './utils/regions.js';
+import { toCsv } from './utils/csv.js';
+
+// Columns of the CSV report, one row per measurement
+const CSV_COLUMNS = [
+  'timestamp', 'run_id', 'tags', 'country', 'carbon_intensity_gco2e_per_kwh',
+  'cpu_seconds', 'energy_kwh', 'carbon_gco2e', 'elapsed_ms',
+];
+
+// Where the country intensities reported in the bundled energy data come from
+const COUNTRY_INTENSITY_SOURCE = 'https://github.com/owid/energy-data';
+
+// Function to get how the intensity of a record was determined. Records stored before the method was
+// kept used the bundled country data
+const getIntensityMethod = (record) => record.intensityMethod
+  ?? (record.country ? getCarbonIntensityInfo(record.country).method : 'world_average');
+
+/**
+ * Class to turn stored or in-memory measurements into CSV, JSON and GHG Protocol Scope 2 style reports.
+ */
+class ReportGenerator {
+  /**
+   * Create a new ReportGenerator object.
+   * @param {JsonLinesStore|SqliteStore|object[]} source A store, or an array of stored records or
+   * results of PowerConsumptionMeasurement.stop()
+   */
+  constructor(source) {
+    if (!Array.isArray(source) && typeof source?.query !== 'function') {
+      throw new Error('Invalid source: must be a store or an array of measurements');
+    }
+
+    this.source = source;
+  }
+
+  /**
+   * Get the records matching a query.
+   * @param {object} [query] The query: from, to, tags and runId, see normalizeQuery()
+   * @returns {Promise<object[]>} The records, oldest first
+   */
+  async getRecords(query = {}) {
+    if (!Array.isArray(this.source)) {
+      return this.source.query(query);
+    }
+
+    // Results of stop() become records; they have no time of their own, so they count as now
+    return this.source
+      .map((measurement) => (measurement.energyInfo ? toMeasurementRecord(measurement) : measurement))
+      .filter((record) => matchesQuery(record, query))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Add up the records matching a query, in total and per country.
+   * @param {object} [query] The query, see getRecords()
+   * @returns {Promise<object>} An object containing the reporting period, the number of measurements,
+   * CPU time in seconds, energy in kWh, carbon emission in gCO2e and the same totals per country, with
+   * the intensities, intensity methods and regions used in the country
+   */
+  async summarize(query = {}) {
+    const records = await this.getRecords(query);
+    const countries = new Map();
+
+    records.forEach((record) => {
+      const country = record.country ?? 'unknown';
+      if (!countries.has(country)) {
+        countries.set(country, {
+          country,
+          count: 0,
+          energyKWh: 0,
+          carbonEmission: 0,
+          carbonIntensities: new Set(),
+          intensityMethods: new Set(),
+          regions: new Set(),
+        });
+      }
+
+      const totals = countries.get(country);
+      totals.count += 1;
+      totals.energyKWh += record.energyKWh;
+      totals.carbonEmission += record.carbonEmission;
+      if (record.carbonIntensity !== null) totals.carbonIntensities.add(record.carbonIntensity);
+      totals.intensityMethods.add(getIntensityMethod(record));
+      if (record.region) totals.regions.add(record.region);
+    });
+
+    const sum = (key) => records.reduce((total, record) => total + record[key], 0);
+
+    return {
+      from: records.length > 0 ? new Date(records[0].timestamp).toISOString() : null,
+      to: records.length > 0 ? new Date(records[records.length - 1].timestamp).toISOString() : null,
+      measurementCount: records.length,
+      cpuTimeInSeconds: sum('cpuTimeInSeconds'),
+      energyKWh: sum('energyKWh'),
+      carbonEmission: sum('carbonEmission'),
+      countries: [...countries.values()].map(({ carbonIntensities, intensityMethods, regions, ...totals }) => ({
+        ...totals,
+        carbonIntensities: [...carbonIntensities], // The intensities used, in gCO2e/kWh
+        intensityMethods: [...intensityMethods], // How the intensities were determined, e.g. "reported" or "region"
+        regions: [...regions], // The cloud regions and grid zones whose intensity was used
+      })),
+    };
+  }
+
+  /**
+   * Format the records matching a query as CSV, one row per measurement.
+   * @param {object} [query] The query, see getRecords()
+   * @returns {Promise<string>} The CSV text
+   */
+  async toCsv(query = {}) {
+    const records = await this.getRecords(query);
+
+    return toCsv(records.map((record) => ({
+      timestamp: new Date(record.timestamp).toISOString(),
+      run_id: record.runId,
+      tags: Object.entries(record.tags || {}).map(([key, value]) => `${key}=${value}`).join(';'),
+      country: record.country,
+      carbon_intensity_gco2e_per_kwh: record.carbonIntensity,
+      cpu_seconds: record.cpuTimeInSeconds,
+      energy_kwh: record.energyKWh,
+      carbon_gco2e: record.carbonEmission,
+      elapsed_ms: record.elapsedTime,
+    })), CSV_COLUMNS);
+  }
+
+  /**
+   * Format the summary and the records matching a query as JSON.
+   * @param {object} [query] The query, see getRecords()
+   * @returns {Promise<string>} The JSON text
+   */
+  async toJson(query = {}) {
+    return JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      summary: await this.summarize(query),
+      measurements: await this.getRecords(query),
+    }, null, 2);
+  }
+
+  /**
+   * Create a GHG Protocol Scope 2 style report of the records matching a query. Emissions are
+   * location-based: grid-average intensities of the cloud region, grid zone or country the process ran
+   * in. The methodology and emission factor sources describe the intensity methods the records used.
+   * @param {object} [query] The query, see getRecords()
+   * @param {object} [options] Report options
+   * @param {string} [options.organization] Name of the reporting organization
+   * @returns {Promise<object>} The report: reporting period, totals in kWh/MWh and gCO2e/tCO2e, totals per
+   * country with the emission factor and its data year, methodology, emission factor sources and uncertainty notes
+   */
+  async toScope2(query = {}, { organization = null } = {}) {
+    const summary = await this.summarize(query);
+    const worldAverage = getWorldAverageCarbonUsage();
+
+    // The countries and regions per intensity method, e.g. "reported" -> ["DEU"]
+    const methods = new Map();
+    summary.countries.forEach(({ country, intensityMethods, regions }) => {
+      intensityMethods.forEach((method) => {
+        if (!methods.has(method)) methods.set(method, new Set());
+        (method === 'region' ? regions : [country]).forEach((location) => methods.get(method).add(location));
+      });
+    });
+    const locationsOf = (method) => [...(methods.get(method) || [])].join(', ');
+
+    const fuelSources = getEmissionFactorSources();
+    const [{ unit }] = fuelSources; // All bundled factors are in the same unit
+    const emissionFactorSources = [
+      ...[...(methods.get('region') || [])].map(getRegionInfo).filter(Boolean).map((region) => ({
+        source: region.id, factor: region.carbonIntensity, unit, url: region.source,
+      })),
+      ...[...(methods.get('reported') || [])].map((country) => ({
+        source: country, factor: getCarbonIntensityInfo(country).carbonIntensity, unit, url: COUNTRY_INTENSITY_SOURCE,
+      })),
+      ...(methods.has('derived') ? fuelSources.filter(({ source }) => source !== 'world_average') : []),
+      ...(methods.has('world_average') ? fuelSources.filter(({ source }) => source === 'world_average') : []),
+    ];
+
+    return {
+      title: 'Scope 2 electricity emissions (location-based)',
+      organization,
+      generatedAt: new Date().toISOString(),
+      reportingPeriod: { from: query.from ?? summary.from, to: query.to ?? summary.to },
+      totals: {
+        measurementCount: summary.measurementCount,
+        energyKWh: summary.energyKWh,
+        energyMWh: summary.energyKWh / 1000,
+        emissionsGCO2e: summary.carbonEmission,
+        emissionsTCO2e: summary.carbonEmission / 1e6,
+      },
+      countries: summary.countries.map((country) => ({
+        ...country,
+        dataYear: getEnergyMixYear(country.country), // Null when the world average was used
+      })),
+      methodology: [
+        'Scope 2, location-based method of the GHG Protocol Scope 2 Guidance: purchased electricity times the average emission factor of the grid it was drawn from.',
+        'Electricity use is estimated from the CPU time of the process (CPU TDP and load curve) and its average resident memory; it is not metered unless an energy source such as RAPL was configured.',
+        ...(methods.has('region') ? [
+          `Grid emission factors of cloud regions and grid zones (${locationsOf('region')}) are annual averages from the bundled regional dataset, citing Cloud Carbon Footprint, eGRID and national inventories.`,
+        ] : []),
+        ...(methods.has('reported') ? [
+          `Grid emission factors of countries (${locationsOf('reported')}) are the annual carbon intensities reported in the Our World in Data energy dataset.`,
+        ] : []),
+        ...(methods.has('derived') ? [
+          `Grid emission factors of countries without a reported intensity (${locationsOf('derived')}) are derived from their electricity generation mix and the emission factor of each energy source.`,
+        ] : []),
+        ...(methods.has('live') ? [
+          `Grid emission factors for ${locationsOf('live')} are the intensities of a live intensity provider for the time of each measurement.`,
+        ] : []),
+        ...(methods.has('world_average') ? [
+          `Where the location is unknown or has no data, the world average of ${worldAverage} gCO2e/kWh is used.`,
+        ] : []),
+        'Contractual instruments (renewable energy certificates, PPAs) are not considered, so no market-based figure is given.',
+      ],
+      emissionFactorSources,
+      uncertainty: [
+        'CPU power is modelled from the TDP of the detected or configured CPU model; a fuzzy or average TDP match lowers accuracy.',
+        'Memory power is the average resident memory of the process times a per-GB coefficient (0.375 W/GB for DDR4 by default); shared and swapped memory are not separated.',
+        'Storage, network, cooling (PUE) and embodied emissions are not included.',
+        'Grid factors are annual averages and do not reflect the time of day or month of use, unless a live intensity provider was used.',
+        'Measurements that overlap in time (e.g. nested measure() calls) are counted more than once.',
+      ],
+    };
+  }
+
+  /**
+   * Format a Scope 2 style report as plain text.
+   * @param {object} [query] The query, see getRecords()
+   * @param {object} [options] Report options, see toScope2()
+   * @returns {Promise<string>} The report text
+   */
+  async toScope2Text(query = {}, options = {}) {
+    const report = await this.toScope2(query, options);
+    const list = (items) => items.map((item) => `- ${item}`);
+
+    return [
+      report.title,
+      ...(report.organization ? [`Organization: ${report.organization}`] : []),
+      `Reporting period: ${report.reportingPeriod.from ?? '-'} to ${report.reportingPeriod.to ?? '-'}`,
+      `Generated at: ${report.generatedAt}`,
+      '',
+      'Totals',
+      `- Electricity: ${report.totals.energyMWh} MWh (${report.totals.energyKWh} kWh)`,
+      `- Emissions: ${report.totals.emissionsTCO2e} tCO2e (${report.totals.emissionsGCO2e} gCO2e)`,
+      `- Measurements: ${report.totals.measurementCount}`,
+      '',
+      'By country',
+      ...list(report.countries.map((country) => (
+        `${country.country}: ${country.energyKWh} kWh, ${country.carbonEmission} gCO2e, `
+          + `factor ${country.carbonIntensities.join('/') || '-'} gCO2e/kWh, data year ${country.dataYear ?? '-'}`
+          + (country.regions.length > 0 ? `, regions ${country.regions.join('/')}` : '')
+      ))),
+      '',
+      'Methodology',
+      ...list(report.methodology),
+      '',
+      'Emission factor sources',
+      ...list(report.emissionFactorSources.map((source) => `${source.source}: ${source.factor} ${source.unit} (${source.url})`)),
+      '',
+      'Uncertainty',
+      ...list(report.uncertainty),
+      '',
+    ].join('\n');
+  }
+}
+
+export default ReportGenerator;
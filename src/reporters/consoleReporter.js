@@ -0,0 +1,16 @@
+/**
+ * Reporter that logs a power consumption measurement to the console.
+ *
+ * @param {object} powerConsumptionInfo The result of PowerConsumptionMeasurement.stop()
+ */
+const consoleReporter = (powerConsumptionInfo) => {
+  // Log the power consumption information to the console
+  console.log('Power Consumption Report:');
+  console.log('CPU Usage:', powerConsumptionInfo.cpuUsageInfo);
+  console.log('Memory Usage:', powerConsumptionInfo.memoryUsageInfo);
+  console.log('Energy:', powerConsumptionInfo.energyInfo);
+  console.log('Carbon Emission:', powerConsumptionInfo.carbonEmission);
+  console.log('Elapsed Time:', powerConsumptionInfo.elapsedTime);
+};
+
+export default consoleReporter;
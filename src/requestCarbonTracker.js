@@ -0,0 +1,256 @@
+import { AsyncLocalStorage, createHook } from 'async_hooks';
+import PowerConsumptionMeasurement from './powerConsumptionMeasurement.js';
+
+// Number of recent requests per route kept to compute percentiles
+export const DEFAULT_SAMPLE_SIZE = 1000;
+
+/**
+ * Class to attribute CPU time, energy and emissions to individual requests.
+ *
+ * Every request runs in its own async context. CPU time is charged to the context whose callbacks
+ * are executing, so concurrent requests never share CPU time. The energy of a request is its share
+ * of the CPU power (per-core power at full load times the CPU time of the request).
+ *
+ * Tracking uses a process-wide async hook, enabled by the first begin(). The CPU time is only read when
+ * the executing context changes, so callbacks outside requests cost little, but call disable() once no
+ * more requests are tracked, e.g. when the server closes.
+ */
+class RequestCarbonTracker {
+  /**
+   * Create a new RequestCarbonTracker object.
+   * @param {PowerConsumptionMeasurement} [measurement] Measurement providing the CPU power model and the
+   * carbon intensity of the current location
+   * @param {object} [options] Tracker options
+   * @param {number} [options.sampleSize] Number of recent requests per route kept to compute percentiles
+   */
+  constructor(measurement = new PowerConsumptionMeasurement(), { sampleSize = DEFAULT_SAMPLE_SIZE } = {}) {
+    this.measurement = measurement;
+    this.sampleSize = sampleSize;
+    this.storage = new AsyncLocalStorage();
+    this.routes = new Map(); // route -> aggregate statistics
+    this.locationInfo = null; // Promise of the location and carbon intensity
+    this.carbonIntensity = null; // The carbon intensity in gCO2e/kWh, once known
+
+    // The context charged for the CPU time since segmentStart, and the contexts of the enclosing callbacks
+    this.current = null;
+    this.segmentStart = null;
+    this.stack = [];
+    this.enabled = false;
+
+    this.hook = createHook({
+      before: () => {
+        this.stack.push(this.current);
+        this.switchTo(this.storage.getStore() || null);
+      },
+      after: () => {
+        this.switchTo(this.stack.length > 0 ? this.stack.pop() : null);
+      },
+    });
+  }
+
+  /**
+   * Start tracking async contexts. Called automatically by begin().
+   */
+  enable() {
+    if (this.enabled) return;
+
+    this.hook.enable();
+    this.enabled = true;
+  }
+
+  /**
+   * Stop tracking async contexts and remove the async hook. Requests still running are no longer
+   * charged; the next begin() enables tracking again.
+   */
+  disable() {
+    if (!this.enabled) return;
+
+    this.hook.disable();
+    this.enabled = false;
+    this.switchTo(null);
+    this.stack = [];
+  }
+
+  /**
+   * Charge the CPU time of the current segment to the current context and start a new segment.
+   */
+  charge() {
+    const now = process.cpuUsage();
+
+    if (this.current && this.segmentStart) {
+      this.current.cpuMicros += (now.user - this.segmentStart.user) + (now.system - this.segmentStart.system);
+    }
+
+    this.segmentStart = now;
+  }
+
+  /**
+   * Charge the CPU time so far to the current context and charge another context from now on. Nothing
+   * is read when the context does not change, e.g. between two callbacks outside any request.
+   * @param {object|null} context The context to charge from now on
+   */
+  switchTo(context) {
+    if (context === this.current) return;
+
+    this.charge();
+    this.current = context;
+  }
+
+  /**
+   * Begin tracking a request.
+   * @returns {Promise<object>} The request context, to be passed to run() and end()
+   */
+  async begin() {
+    this.enable();
+
+    // Look up the carbon intensity once for all requests, and again for the next request when it failed
+    if (!this.locationInfo) {
+      this.locationInfo = this.measurement.geoCarbonUsageMeasurement.fetchCarbonIntensity()
+        .catch((error) => {
+          this.locationInfo = null;
+          throw error;
+        });
+    }
+    ({ carbonIntensity: this.carbonIntensity } = await this.locationInfo);
+
+    return { cpuMicros: 0, startTime: process.hrtime.bigint() };
+  }
+
+  /**
+   * Run a function in the async context of a request, so that the CPU time of the function
+   * and of everything it schedules is charged to the request.
+   * @param {object} context The request context from begin()
+   * @param {Function} fn The function to run
+   * @returns {*} The return value of the function
+   */
+  run(context, fn) {
+    const previous = this.current;
+    this.switchTo(context);
+
+    try {
+      return this.storage.run(context, fn);
+    } finally {
+      this.switchTo(previous);
+    }
+  }
+
+  /**
+   * Get the footprint of a request so far.
+   * @param {object} context The request context from begin()
+   * @returns {object} An object containing the CPU time, energy and carbon emission of the request
+   */
+  snapshot(context) {
+    // Bring the CPU time of a request that is executing right now up to date
+    if (this.current === context) {
+      this.charge();
+    }
+
+    const elapsedTime = Number(process.hrtime.bigint() - context.startTime) / 1e6;
+    const cpuTimeInSeconds = context.cpuMicros / 1e6;
+    const energyInfo = this.measurement.cpuPowerModel.attribute(cpuTimeInSeconds);
+
+    return {
+      cpuTimeInSeconds, // The CPU time charged to the request in seconds
+      energyInfo, // The energy of the request
+      carbonEmission: this.carbonIntensity * energyInfo.energyKWh, // The emissions in gCO2e
+      elapsedTime, // The duration of the request in milliseconds
+    };
+  }
+
+  /**
+   * End tracking a request and add it to the statistics of its route.
+   * @param {object} context The request context from begin()
+   * @param {string} route The route of the request, e.g. "GET /users/:id"
+   * @returns {object} The footprint of the request, see snapshot()
+   */
+  end(context, route) {
+    const footprint = this.snapshot(context);
+    this.record(route, footprint);
+    return footprint;
+  }
+
+  /**
+   * Add the footprint of a request to the statistics of its route.
+   * @param {string} route The route of the request
+   * @param {object} footprint The footprint of the request
+   */
+  record(route, footprint) {
+    if (!this.routes.has(route)) {
+      this.routes.set(route, {
+        count: 0,
+        cpuTimeInSeconds: 0,
+        energyKWh: 0,
+        carbonEmission: 0,
+        energySamples: [],
+        emissionSamples: [],
+      });
+    }
+
+    const stats = this.routes.get(route);
+    stats.count += 1;
+    stats.cpuTimeInSeconds += footprint.cpuTimeInSeconds;
+    stats.energyKWh += footprint.energyInfo.energyKWh;
+    stats.carbonEmission += footprint.carbonEmission;
+
+    // Keep the most recent requests for the percentiles
+    stats.energySamples.push(footprint.energyInfo.energyKWh);
+    stats.emissionSamples.push(footprint.carbonEmission);
+    if (stats.energySamples.length > this.sampleSize) {
+      stats.energySamples.shift();
+      stats.emissionSamples.shift();
+    }
+  }
+
+  /**
+   * Get the aggregate footprint of every route.
+   * @returns {object} An object keyed by route, containing the request count, the total CPU time and the
+   * total, average and 95th percentile energy (kWh) and emissions (gCO2e)
+   */
+  getStats() {
+    return Object.fromEntries([...this.routes].map(([route, stats]) => [route, {
+      count: stats.count,
+      cpuTimeInSeconds: stats.cpuTimeInSeconds,
+      energyKWh: {
+        total: stats.energyKWh,
+        avg: stats.energyKWh / stats.count,
+        p95: percentile(stats.energySamples, 0.95),
+      },
+      carbonEmission: {
+        total: stats.carbonEmission,
+        avg: stats.carbonEmission / stats.count,
+        p95: percentile(stats.emissionSamples, 0.95),
+      },
+    }]));
+  }
+
+  /**
+   * Remove the statistics of every route.
+   */
+  reset() {
+    this.routes.clear();
+  }
+
+  /**
+   * Create an HTTP handler that responds with the route statistics as JSON. It works with
+   * Node's http module and Express, e.g. app.get('/carbon', tracker.statsHandler()).
+   * @returns {Function} The (req, res) handler
+   */
+  statsHandler() {
+    return (_req, res) => {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(this.getStats()));
+    };
+  }
+}
+
+// Function to get a percentile of a list of numbers (nearest rank)
+const percentile = (values, fraction) => {
+  if (values.length === 0) return 0;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil(fraction * sorted.length) - 1;
+  return sorted[Math.min(Math.max(rank, 0), sorted.length - 1)];
+};
+
+export default RequestCarbonTracker;
@@ -0,0 +1,105 @@
+import fs from 'fs';
+import { toMeasurementRecord, matchesQuery, rollupRecords } from '../utils/measurementRecords.js';
+
+// Function to parse a line of the file, returning null when it is not a valid record
+const parseLine = (line) => {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Class to keep a history of measurements in a JSON-lines file, one record per line.
+ */
+class JsonLinesStore {
+  /**
+   * Create a new JsonLinesStore object.
+   * @param {string} file Path of the JSON-lines file, created on the first append
+   */
+  constructor(file) {
+    if (!file) {
+      throw new Error('Invalid file: must be a path');
+    }
+
+    this.file = file;
+    this.writing = null; // Promise of the last append, so that lines are written in order
+  }
+
+  /**
+   * Store the results of a measurement.
+   * @param {object} powerConsumptionInfo The results of PowerConsumptionMeasurement.stop()
+   * @param {object} [options] Record options, see toMeasurementRecord()
+   * @returns {Promise<object>} The stored record
+   */
+  async record(powerConsumptionInfo, options) {
+    const record = toMeasurementRecord(powerConsumptionInfo, options);
+    await this.append(record);
+    return record;
+  }
+
+  /**
+   * Append a record to the file.
+   * @param {object} record The record, see toMeasurementRecord()
+   * @returns {Promise<void>}
+   */
+  append(record) {
+    const previousWrite = this.writing || Promise.resolve();
+
+    this.writing = previousWrite.catch(() => {}).then(() => (
+      fs.promises.appendFile(this.file, `${JSON.stringify(record)}\n`)
+    ));
+
+    return this.writing;
+  }
+
+  /**
+   * Read the records matching a query.
+   * @param {object} [query] The query: from, to, tags and runId, see normalizeQuery()
+   * @returns {Promise<object[]>} The records, oldest first
+   */
+  async query(query = {}) {
+    // Wait for pending appends so that they are included
+    await (this.writing || Promise.resolve()).catch(() => {});
+
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    // Skip lines that cannot be parsed, e.g. a last line cut off by a crash while appending
+    const lines = contents.split('\n').filter((line) => line.trim() !== '');
+    const records = lines.map(parseLine).filter(Boolean);
+    if (records.length < lines.length) {
+      console.error(`Skipped ${lines.length - records.length} invalid line(s) in ${this.file}`);
+    }
+
+    return records
+      .filter((record) => matchesQuery(record, query))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Add up the records matching a query per day, week or month.
+   * @param {string} period "daily", "weekly" or "monthly"
+   * @param {object} [query] The query, see query()
+   * @returns {Promise<object[]>} The totals per period, see rollupRecords()
+   */
+  async rollup(period, query = {}) {
+    return rollupRecords(await this.query(query), period);
+  }
+
+  /**
+   * Wait for pending appends.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await (this.writing || Promise.resolve());
+  }
+}
+
+export default JsonLinesStore;
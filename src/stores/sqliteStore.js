@@ -0,0 +1,176 @@
+import { toMeasurementRecord, normalizeQuery, rollupRecords } from '../utils/measurementRecords.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS measurements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp INTEGER NOT NULL,
+    run_id TEXT,
+    tags TEXT NOT NULL DEFAULT '{}',
+    country TEXT,
+    region TEXT,
+    carbon_intensity REAL,
+    intensity_method TEXT,
+    cpu_time_seconds REAL NOT NULL,
+    energy_kwh REAL NOT NULL,
+    carbon_emission REAL NOT NULL,
+    elapsed_time INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS measurements_timestamp ON measurements (timestamp);
+`;
+
+// Columns added after the first version of the table, added to older databases when they are opened
+const ADDED_COLUMNS = { region: 'TEXT', intensity_method: 'TEXT' };
+
+// Function to turn a row of the measurements table back into a record
+const fromRow = (row) => ({
+  timestamp: row.timestamp,
+  runId: row.run_id,
+  tags: JSON.parse(row.tags),
+  country: row.country,
+  region: row.region,
+  carbonIntensity: row.carbon_intensity,
+  intensityMethod: row.intensity_method,
+  cpuTimeInSeconds: row.cpu_time_seconds,
+  energyKWh: row.energy_kwh,
+  carbonEmission: row.carbon_emission,
+  elapsedTime: row.elapsed_time,
+});
+
+/**
+ * Class to keep a history of measurements in a SQLite database. Needs the better-sqlite3 package,
+ * which is loaded on first use.
+ */
+class SqliteStore {
+  /**
+   * Create a new SqliteStore object.
+   * @param {string} file Path of the database file, or ":memory:"
+   */
+  constructor(file) {
+    if (!file) {
+      throw new Error('Invalid file: must be a path');
+    }
+
+    this.file = file;
+    this.db = null; // Promise of the opened database
+  }
+
+  /**
+   * Open the database and create the measurements table if needed.
+   * @returns {Promise<object>} The better-sqlite3 database
+   */
+  open() {
+    if (!this.db) {
+      this.db = import('better-sqlite3')
+        .catch((error) => {
+          throw new Error(`SqliteStore needs the better-sqlite3 package: ${error.message}`);
+        })
+        .then(({ default: Database }) => {
+          const db = new Database(this.file);
+          db.exec(SCHEMA);
+
+          const columns = db.prepare('PRAGMA table_info(measurements)').all().map(({ name }) => name);
+          Object.entries(ADDED_COLUMNS)
+            .filter(([name]) => !columns.includes(name))
+            .forEach(([name, type]) => db.exec(`ALTER TABLE measurements ADD COLUMN ${name} ${type}`));
+          return db;
+        });
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Store the results of a measurement.
+   * @param {object} powerConsumptionInfo The results of PowerConsumptionMeasurement.stop()
+   * @param {object} [options] Record options, see toMeasurementRecord()
+   * @returns {Promise<object>} The stored record
+   */
+  async record(powerConsumptionInfo, options) {
+    const record = toMeasurementRecord(powerConsumptionInfo, options);
+    await this.append(record);
+    return record;
+  }
+
+  /**
+   * Insert a record into the database.
+   * @param {object} record The record, see toMeasurementRecord()
+   * @returns {Promise<void>}
+   */
+  async append(record) {
+    const db = await this.open();
+
+    db.prepare(`
+      INSERT INTO measurements (timestamp, run_id, tags, country, region, carbon_intensity, intensity_method,
+        cpu_time_seconds, energy_kwh, carbon_emission, elapsed_time)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      record.timestamp,
+      record.runId,
+      JSON.stringify(record.tags || {}),
+      record.country,
+      record.region ?? null,
+      record.carbonIntensity,
+      record.intensityMethod ?? null,
+      record.cpuTimeInSeconds,
+      record.energyKWh,
+      record.carbonEmission,
+      record.elapsedTime,
+    );
+  }
+
+  /**
+   * Read the records matching a query.
+   * @param {object} [query] The query: from, to, tags and runId, see normalizeQuery()
+   * @returns {Promise<object[]>} The records, oldest first
+   */
+  async query(query = {}) {
+    const db = await this.open();
+    const { from, to, tags, runId } = normalizeQuery(query);
+
+    const conditions = [];
+    const params = [];
+    if (from !== null) {
+      conditions.push('timestamp >= ?');
+      params.push(from);
+    }
+    if (to !== null) {
+      conditions.push('timestamp < ?');
+      params.push(to);
+    }
+    if (runId !== null) {
+      conditions.push('run_id = ?');
+      params.push(runId);
+    }
+    Object.entries(tags).forEach(([key, value]) => {
+      conditions.push('json_extract(tags, ?) = ?');
+      params.push(`$.${JSON.stringify(key)}`, value);
+    });
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT * FROM measurements ${where} ORDER BY timestamp, id`).all(...params).map(fromRow);
+  }
+
+  /**
+   * Add up the records matching a query per day, week or month.
+   * @param {string} period "daily", "weekly" or "monthly"
+   * @param {object} [query] The query, see query()
+   * @returns {Promise<object[]>} The totals per period, see rollupRecords()
+   */
+  async rollup(period, query = {}) {
+    return rollupRecords(await this.query(query), period);
+  }
+
+  /**
+   * Close the database.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.db) return;
+
+    const db = await this.db;
+    db.close();
+    this.db = null;
+  }
+}
+
+export default SqliteStore;
@@ -0,0 +1,113 @@
+import fs from 'fs';
+
+// Default number of tests listed in the summary table
+export const DEFAULT_TOP = 10;
+
+/**
+ * Class to collect the footprint of every test of a test run and summarise it per test and per suite.
+ */
+class TestCarbonRecorder {
+  /**
+   * Create a new TestCarbonRecorder object.
+   * @param {object} [options] Recorder options
+   * @param {number} [options.budget] Maximum total emissions of the run in gCO2e
+   * @param {string} [options.output] Path of the JSON summary to write
+   * @param {number} [options.top] Number of the most carbon-heavy tests to list
+   */
+  constructor({ budget = null, output = null, top = DEFAULT_TOP } = {}) {
+    if (budget !== null && !(budget >= 0)) {
+      throw new Error('Invalid budget: must be a non-negative number of gCO2e');
+    }
+
+    this.budget = budget;
+    this.output = output;
+    this.top = top;
+    this.tests = [];
+  }
+
+  /**
+   * Record the footprint of a test.
+   * @param {object} test The test, with its title, suite, file and state
+   * @param {object} powerConsumptionInfo The result of PowerConsumptionMeasurement.stop() for the test
+   */
+  record(test, powerConsumptionInfo) {
+    this.tests.push({
+      title: test.title, // The title of the test
+      suite: test.suite, // The full title of the suite of the test
+      file: test.file || null, // The file the test is in
+      state: test.state || null, // passed, failed or pending
+      elapsedTime: powerConsumptionInfo.elapsedTime, // The duration in milliseconds
+      cpuTimeInSeconds: powerConsumptionInfo.energyInfo.cpu.cpuTimeInSeconds, // The CPU time in seconds
+      energyKWh: powerConsumptionInfo.energyInfo.energyKWh, // The energy in kWh
+      carbonEmission: powerConsumptionInfo.carbonEmission, // The emissions in gCO2e
+    });
+  }
+
+  /**
+   * Summarise the recorded tests.
+   * @returns {object} An object containing the totals, the per-suite totals, the most carbon-heavy
+   * tests and the budget status
+   */
+  getSummary() {
+    const suites = {};
+    this.tests.forEach((test) => {
+      const suite = suites[test.suite] || { tests: 0, energyKWh: 0, carbonEmission: 0 };
+      suite.tests += 1;
+      suite.energyKWh += test.energyKWh;
+      suite.carbonEmission += test.carbonEmission;
+      suites[test.suite] = suite;
+    });
+
+    const totalEmission = this.tests.reduce((total, test) => total + test.carbonEmission, 0);
+
+    return {
+      testCount: this.tests.length, // The number of tests measured
+      energyKWh: this.tests.reduce((total, test) => total + test.energyKWh, 0), // The total energy in kWh
+      carbonEmission: totalEmission, // The total emissions in gCO2e
+      budget: this.budget, // The budget in gCO2e, or null
+      overBudget: this.isOverBudget(), // Whether the total is over the budget
+      suites, // The totals per suite
+      heaviestTests: [...this.tests]
+        .sort((a, b) => b.carbonEmission - a.carbonEmission)
+        .slice(0, this.top), // The most carbon-heavy tests
+    };
+  }
+
+  /**
+   * Check whether the total emissions are over the budget.
+   * @returns {boolean} True when a budget is set and the total is over it
+   */
+  isOverBudget() {
+    if (this.budget === null) return false;
+    return this.tests.reduce((total, test) => total + test.carbonEmission, 0) > this.budget;
+  }
+
+  /**
+   * Print a table of the most carbon-heavy tests and the totals to the console.
+   * @param {object} [summary] The summary to print, see getSummary()
+   */
+  print(summary = this.getSummary()) {
+    console.log(`\nCarbon footprint of the ${summary.heaviestTests.length} most carbon-heavy tests:`);
+    console.table(summary.heaviestTests.map((test) => ({
+      'Test': `${test.suite} ${test.title}`.trim(),
+      'Time (ms)': test.elapsedTime,
+      'Energy (kWh)': test.energyKWh,
+      'Carbon (gCO2e)': test.carbonEmission,
+    })));
+
+    const budget = summary.budget === null ? '' : ` (budget ${summary.budget} gCO2e)`;
+    console.log(`Total: ${summary.testCount} tests, ${summary.energyKWh} kWh, ${summary.carbonEmission} gCO2e${budget}`);
+  }
+
+  /**
+   * Write the summary as JSON to the output file, if one is set.
+   * @param {object} [summary] The summary to write, see getSummary()
+   * @returns {Promise<void>}
+   */
+  async write(summary = this.getSummary()) {
+    if (!this.output) return;
+    await fs.promises.writeFile(this.output, JSON.stringify({ ...summary, tests: this.tests }, null, 2));
+  }
+}
+
+export default TestCarbonRecorder;
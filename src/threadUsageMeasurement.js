@@ -0,0 +1,161 @@
+import { threadId } from 'worker_threads';
+import { readProcessStat, DEFAULT_PROC_ROOT } from './utils/procfs.js';
+
+// Message types of the thread CPU time protocol between a measurement and a worker
+export const THREAD_CPU_USAGE_REQUEST = 'node-carbon:thread-cpu-usage';
+export const THREAD_CPU_USAGE_RESPONSE = 'node-carbon:thread-cpu-usage-result';
+
+// Default time to wait for a worker to report its CPU time, in milliseconds
+export const DEFAULT_WORKER_TIMEOUT = 1000;
+
+// Id of the latest CPU time request, to match responses on a shared port
+let lastRequestId = 0;
+
+/**
+ * Function to read the CPU time of the current thread, with process.threadCpuUsage() (Node.js 23.9 or
+ * later) or from /proc/thread-self/stat, which works in worker threads too.
+ *
+ * @param {object} [options] Options
+ * @param {string} [options.procRoot] Location of the proc filesystem
+ * @returns {number} The user + system CPU time of the thread in seconds
+ */
+export const readThreadCpuUsage = ({ procRoot = DEFAULT_PROC_ROOT } = {}) => {
+  if (typeof process.threadCpuUsage === 'function') {
+    const { user, system } = process.threadCpuUsage();
+    return (user + system) / 1e6;
+  }
+
+  // Synchronous reads run on the calling thread, so thread-self is the current thread
+  const stat = readProcessStat('thread-self', { procRoot });
+  if (!stat) {
+    throw new Error('Cannot read the CPU time of this thread: needs process.threadCpuUsage() or /proc');
+  }
+
+  return stat.userTimeInSeconds + stat.systemTimeInSeconds;
+};
+
+/**
+ * Function to answer requests for the CPU time of the current thread on a MessagePort, so that a
+ * measurement in another thread can break its CPU time down per worker (see
+ * PowerConsumptionMeasurement.trackWorker()). Call it in the worker with a port it received from the
+ * measuring thread. The port does not keep the worker alive.
+ *
+ * @param {MessagePort} port The port to answer on
+ * @returns {Function} Function that stops answering
+ */
+export const serveThreadCpuUsage = (port) => {
+  const onMessage = (message) => {
+    if (message?.type !== THREAD_CPU_USAGE_REQUEST) return;
+
+    try {
+      port.postMessage({ type: THREAD_CPU_USAGE_RESPONSE, id: message.id, cpuTimeInSeconds: readThreadCpuUsage() });
+    } catch (error) {
+      port.postMessage({ type: THREAD_CPU_USAGE_RESPONSE, id: message.id, error: error.message });
+    }
+  };
+
+  port.on('message', onMessage);
+  port.unref();
+
+  return () => port.off('message', onMessage);
+};
+
+// Function to ask a worker for its CPU time on a port answered with serveThreadCpuUsage()
+const requestThreadCpuUsage = (port, timeout) => new Promise((resolve, reject) => {
+  lastRequestId += 1;
+  const id = lastRequestId;
+
+  const cleanup = () => {
+    clearTimeout(timer);
+    port.off('message', onMessage);
+    port.unref();
+  };
+  const onMessage = (message) => {
+    if (message?.type !== THREAD_CPU_USAGE_RESPONSE || message.id !== id) return;
+    cleanup();
+    if (message.error) {
+      reject(new Error(message.error));
+    } else {
+      resolve(message.cpuTimeInSeconds);
+    }
+  };
+  const timer = setTimeout(() => {
+    cleanup();
+    reject(new Error(`The worker did not report its CPU time within ${timeout} ms`));
+  }, timeout);
+
+  port.on('message', onMessage);
+  port.postMessage({ type: THREAD_CPU_USAGE_REQUEST, id });
+});
+
+/**
+ * Function to read the CPU time of a worker thread, with worker.cpuUsage() (Node.js 24.6 or later) or by
+ * asking the worker on a port it answers with serveThreadCpuUsage().
+ *
+ * @param {Worker} worker The worker
+ * @param {object} [options] Options
+ * @param {MessagePort} [options.port] Port the worker answers CPU time requests on
+ * @param {number} [options.timeout] Time to wait for the worker to answer, in milliseconds
+ * @returns {Promise<number>} The user + system CPU time of the worker in seconds
+ */
+export const readWorkerCpuUsage = async (worker, { port, timeout = DEFAULT_WORKER_TIMEOUT } = {}) => {
+  if (typeof worker.cpuUsage === 'function') {
+    const { user, system } = await worker.cpuUsage();
+    return (user + system) / 1e6;
+  }
+
+  if (!port) {
+    throw new Error('Cannot read the CPU time of the worker: needs worker.cpuUsage() or a port answered with serveThreadCpuUsage()');
+  }
+
+  return requestThreadCpuUsage(port, timeout);
+};
+
+/**
+ * Class to measure the CPU usage of the current thread only, e.g. the main thread of a service that
+ * also runs worker threads.
+ */
+class ThreadUsageMeasurement {
+  /**
+   * Create a new ThreadUsageMeasurement object.
+   * @param {object} [options] Measurement options
+   * @param {string} [options.procRoot] Location of the proc filesystem
+   */
+  constructor({ procRoot = DEFAULT_PROC_ROOT } = {}) {
+    this.procRoot = procRoot;
+    this.startCpuTime = 0; // Stores the CPU time of the thread at the start of the measurement
+    this.startTime = null; // Stores the start time of the measurement
+  }
+
+  /**
+   * Start measuring the CPU usage of the thread.
+   */
+  start() {
+    this.startCpuTime = this.readCpuTime();
+    this.startTime = Date.now();
+  }
+
+  /**
+   * Read the CPU time the thread used so far, e.g. for sampling by a UsageSampler.
+   * @returns {number} The CPU time in seconds
+   */
+  readCpuTime() {
+    return readThreadCpuUsage({ procRoot: this.procRoot });
+  }
+
+  /**
+   * Stop measuring and return the results.
+   * @returns {object} An object containing the CPU time of the thread, the total time and the thread id
+   */
+  stop() {
+    const endTime = Date.now(); // Get the end time of the measurement
+
+    return {
+      cpuTimeInSeconds: this.readCpuTime() - this.startCpuTime, // The CPU time in seconds
+      totalTimeInSeconds: (endTime - this.startTime) / 1000, // The total time in seconds
+      threadId, // The worker_threads id of the thread, 0 for the main thread
+    };
+  }
+}
+
+export default ThreadUsageMeasurement;
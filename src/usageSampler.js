@@ -0,0 +1,195 @@
+import { performance } from 'perf_hooks';
+import CpuPowerModel from './cpuPowerModel.js';
+import MemoryPowerModel from './memoryPowerModel.js';
+import RingBuffer from './utils/ringBuffer.js';
+
+// Default time between samples, in milliseconds
+export const DEFAULT_SAMPLER_INTERVAL = 100;
+
+// Default number of samples kept, 10 minutes at the default interval
+export const DEFAULT_SAMPLER_CAPACITY = 6000;
+
+// Function to read the CPU time of the Node process, the default CPU time of a sampler
+const readProcessCpuTime = () => {
+  const { user, system } = process.cpuUsage();
+  return { userTimeInSeconds: user / 1e6, systemTimeInSeconds: system / 1e6 };
+};
+
+// Function to split a CPU time reading into user and system time; readings of a number do not split them
+const toCpuTimes = (reading) => (typeof reading === 'number'
+  ? { userTimeInSeconds: null, systemTimeInSeconds: null, cpuTimeInSeconds: reading }
+  : { ...reading, cpuTimeInSeconds: reading.userTimeInSeconds + reading.systemTimeInSeconds });
+
+/**
+ * Class to sample the CPU time, memory and event loop utilization of the Node process in the
+ * background, keeping the latest samples in a ring buffer. Each sample holds the usage since the
+ * previous one and its energy, so spikes that a single start/stop delta averages away stay visible.
+ *
+ * The CPU time and memory can be read from what a measurement covers instead, e.g. its thread, process
+ * tree or cgroup, so that the series adds up to the measured energy. The heap and the event loop are
+ * always those of the current thread.
+ */
+class UsageSampler {
+  /**
+   * Create a new UsageSampler object.
+   * @param {object} [options] Sampler options
+   * @param {number} [options.interval] Time between samples, in milliseconds
+   * @param {number} [options.capacity] Number of samples to keep; older samples are dropped, but still count
+   * towards the energy
+   * @param {CpuPowerModel} [options.cpuPowerModel] Model that turns the CPU time of a sample into energy
+   * @param {MemoryPowerModel} [options.memoryPowerModel] Model that turns the RSS of a sample into energy
+   * @param {Function} [options.readCpuTime] Function returning the CPU time used so far, in seconds, as a number or
+   * as { userTimeInSeconds, systemTimeInSeconds } (defaults to the CPU time of the Node process)
+   * @param {Function} [options.readMemory] Function returning the memory in bytes (defaults to the RSS of the Node process)
+   * @param {Function} [options.readCpuLimit] Function returning the cores available, see CpuPowerModel.estimate(),
+   * read when sampling starts (defaults to no limit)
+   */
+  constructor(options = {}) {
+    const {
+      interval = DEFAULT_SAMPLER_INTERVAL,
+      capacity = DEFAULT_SAMPLER_CAPACITY,
+      cpuPowerModel = new CpuPowerModel(),
+      memoryPowerModel = new MemoryPowerModel(),
+      readCpuTime = readProcessCpuTime,
+      readMemory = () => process.memoryUsage.rss(),
+      readCpuLimit = () => null,
+    } = options;
+
+    if (typeof interval !== 'number' || interval <= 0) {
+      throw new Error('Invalid interval: must be a positive number');
+    }
+
+    this.interval = interval;
+    this.cpuPowerModel = cpuPowerModel;
+    this.memoryPowerModel = memoryPowerModel;
+    this.readCpuTime = readCpuTime;
+    this.readMemory = readMemory;
+    this.readCpuLimit = readCpuLimit;
+    this.samples = new RingBuffer(capacity);
+    this.timer = null;
+    this.begin();
+  }
+
+  /**
+   * Reset the samples, the energy and the readings the next sample is taken against.
+   */
+  begin() {
+    this.samples.clear();
+    this.sampleCount = 0; // The number of samples taken, including dropped ones
+    this.droppedCount = 0; // The number of samples dropped from the buffer
+    this.energy = { cpuJoules: 0, memoryJoules: 0 }; // The energy of all samples
+    this.lastCpuTime = toCpuTimes(this.readCpuTime()); // The CPU time at the previous sample
+    this.cpuLimit = this.readCpuLimit(); // The cores available, null when not limited
+    this.lastHrtime = process.hrtime.bigint(); // The monotonic time of the previous sample, in nanoseconds
+    this.lastEventLoop = performance.eventLoopUtilization(); // The event loop utilization at the previous sample
+  }
+
+  /**
+   * Start sampling.
+   */
+  start() {
+    this.begin();
+    clearInterval(this.timer);
+
+    this.timer = setInterval(() => this.sample(), this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Take a sample of the usage since the previous one.
+   * @returns {object} The sample
+   */
+  sample() {
+    const hrtime = process.hrtime.bigint();
+    const cpuTime = toCpuTimes(this.readCpuTime());
+    const eventLoop = performance.eventLoopUtilization();
+    const { heapUsed, heapTotal } = process.memoryUsage();
+
+    // Readings without user and system time give null for both
+    const since = (key) => (cpuTime[key] === null ? null : cpuTime[key] - this.lastCpuTime[key]);
+    const intervalInSeconds = Number(hrtime - this.lastHrtime) / 1e9;
+    const cpuTimeInSeconds = since('cpuTimeInSeconds');
+    const rssMB = this.readMemory() / (1024 * 1024);
+    const cpu = this.cpuPowerModel.estimate(cpuTimeInSeconds, intervalInSeconds, this.cpuLimit);
+    const memory = this.memoryPowerModel.estimate(rssMB, intervalInSeconds);
+
+    const sample = {
+      timestamp: Date.now(), // The time of the sample in milliseconds
+      intervalInSeconds, // The time since the previous sample in seconds
+      userTimeInSeconds: since('userTimeInSeconds'), // The user CPU time since the previous sample in seconds
+      systemTimeInSeconds: since('systemTimeInSeconds'), // The system CPU time since the previous sample in seconds
+      cpuTimeInSeconds, // The CPU time since the previous sample in seconds
+      cpuUtilization: cpu.utilization, // The utilization of the available cores, 0..1
+      eventLoopUtilization: performance.eventLoopUtilization(eventLoop, this.lastEventLoop).utilization, // The share of the time the event loop was busy, 0..1
+      rssMB, // The RSS, or the memory of what is sampled, in MB
+      heapUsedMB: heapUsed / (1024 * 1024), // The heap used in MB
+      heapTotalMB: heapTotal / (1024 * 1024), // The heap total in MB
+      cpuPowerWatts: cpu.powerWatts, // The average CPU power draw since the previous sample in watts
+      memoryPowerWatts: memory.powerWatts, // The memory power draw in watts
+      energyJoules: cpu.energyJoules + memory.energyJoules, // The energy since the previous sample in joules
+    };
+
+    this.lastCpuTime = cpuTime;
+    this.lastHrtime = hrtime;
+    this.lastEventLoop = eventLoop;
+
+    this.energy.cpuJoules += cpu.energyJoules;
+    this.energy.memoryJoules += memory.energyJoules;
+    this.sampleCount += 1;
+    if (this.samples.push(sample)) this.droppedCount += 1;
+
+    return sample;
+  }
+
+  /**
+   * Get the samples kept in the buffer.
+   * @returns {object[]} The samples, oldest first
+   */
+  getSeries() {
+    return this.samples.toArray();
+  }
+
+  /**
+   * Get the energy of all samples, integrated over the sampled time.
+   * @returns {object} An object containing the CPU and memory energy in joules and the total energy in J, Wh and kWh
+   */
+  getEnergy() {
+    const energyJoules = this.energy.cpuJoules + this.energy.memoryJoules;
+
+    return {
+      cpuJoules: this.energy.cpuJoules, // The CPU energy in joules
+      memoryJoules: this.energy.memoryJoules, // The memory energy in joules
+      energyJoules, // The energy in joules
+      energyWh: energyJoules / 3600, // The energy in watt-hours
+      energyKWh: energyJoules / 3600000, // The energy in kilowatt-hours
+    };
+  }
+
+  /**
+   * Stop sampling without taking a last sample, throwing away the time series.
+   */
+  cancel() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Take a last sample, stop sampling and return the time series.
+   * @returns {object} An object containing the interval, the samples kept, the number of samples taken and
+   * dropped, and the integrated energy
+   */
+  stop() {
+    this.cancel();
+    this.sample();
+
+    return {
+      interval: this.interval, // The time between samples in milliseconds
+      samples: this.getSeries(), // The samples kept, oldest first
+      sampleCount: this.sampleCount, // The number of samples taken
+      droppedCount: this.droppedCount, // The number of samples dropped from the buffer
+      energy: this.getEnergy(), // The energy integrated over the samples
+    };
+  }
+}
+
+export default UsageSampler;
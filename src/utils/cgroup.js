@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_PROC_ROOT } from './procfs.js';
+
+// Default mount point of the cgroup filesystem
+export const DEFAULT_CGROUP_ROOT = '/sys/fs/cgroup';
+
+// Function to read a file, or null when it does not exist
+const readFileOrNull = (file) => {
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Function to join the cgroup of a process to its mount point; inside a container the cgroup is often
+// named as seen from the host while the mount point is the container's own cgroup
+const resolveCgroupDir = (mountPoint, cgroupPath) => {
+  const dir = path.resolve(mountPoint, `.${cgroupPath || '/'}`);
+  return fs.existsSync(dir) ? dir : mountPoint;
+};
+
+/**
+ * Function to find the cgroup of the current process.
+ *
+ * @param {object} [options] Reading options
+ * @param {string} [options.cgroupRoot] Mount point of the cgroup filesystem
+ * @param {string} [options.procRoot] Location of the proc filesystem
+ * @returns {object|null} An object containing the cgroup version (1 or 2) and the directories of the
+ * cpu, cpuacct and memory controllers (one directory for version 2), or null without cgroups
+ */
+export const findCgroup = ({ cgroupRoot = DEFAULT_CGROUP_ROOT, procRoot = DEFAULT_PROC_ROOT } = {}) => {
+  const contents = readFileOrNull(path.join(procRoot, 'self', 'cgroup'));
+  if (contents === null) return null;
+
+  // Lines are "<hierarchy id>:<controllers>:<path>"; version 2 has a single "0::<path>" line
+  const entries = contents.split('\n').filter(Boolean).map((line) => {
+    const [, controllers, cgroupPath] = line.match(/^\d+:([^:]*):(.*)$/) || [];
+    return { controllers: controllers ? controllers.split(',') : [], cgroupPath };
+  });
+
+  if (fs.existsSync(path.join(cgroupRoot, 'cgroup.controllers'))) {
+    const unified = entries.find(({ controllers }) => controllers.length === 0);
+    const dir = resolveCgroupDir(cgroupRoot, unified?.cgroupPath);
+    return { version: 2, cpu: dir, cpuacct: dir, memory: dir };
+  }
+
+  // Version 1 mounts every controller (or a group of them) on its own hierarchy, e.g. cpu,cpuacct
+  const controllerDir = (controller) => {
+    const entry = entries.find(({ controllers }) => controllers.includes(controller));
+    const mountPoint = [controller, entry?.controllers.join(',')]
+      .filter(Boolean)
+      .map((name) => path.join(cgroupRoot, name))
+      .find((dir) => fs.existsSync(dir));
+    return entry && mountPoint ? resolveCgroupDir(mountPoint, entry.cgroupPath) : null;
+  };
+
+  const cgroup = {
+    version: 1,
+    cpu: controllerDir('cpu'),
+    cpuacct: controllerDir('cpuacct'),
+    memory: controllerDir('memory'),
+  };
+  return cgroup.cpuacct ? cgroup : null;
+};
+
+/**
+ * Function to read the CPU time used by all processes of a cgroup, from cpu.stat (version 2) or
+ * cpuacct.usage (version 1).
+ *
+ * @param {object} cgroup The result of findCgroup()
+ * @returns {number} The CPU time in seconds
+ */
+export const readCgroupCpuTime = (cgroup) => {
+  if (cgroup.version === 2) {
+    const stat = readFileOrNull(path.join(cgroup.cpuacct, 'cpu.stat')) || '';
+    const usage = stat.match(/^usage_usec (\d+)$/m);
+    if (!usage) {
+      throw new Error(`No usage_usec in ${path.join(cgroup.cpuacct, 'cpu.stat')}`);
+    }
+    return Number(usage[1]) / 1e6;
+  }
+
+  const usage = Number(readFileOrNull(path.join(cgroup.cpuacct, 'cpuacct.usage')));
+  if (!Number.isFinite(usage)) {
+    throw new Error(`No CPU usage in ${path.join(cgroup.cpuacct, 'cpuacct.usage')}`);
+  }
+  return usage / 1e9;
+};
+
+/**
+ * Function to read the memory used by all processes of a cgroup, from memory.current (version 2) or
+ * memory.usage_in_bytes (version 1). It includes the page cache of the cgroup.
+ *
+ * @param {object} cgroup The result of findCgroup()
+ * @returns {number|null} The memory in bytes, or null when it is not available
+ */
+export const readCgroupMemory = (cgroup) => {
+  if (!cgroup.memory) return null;
+
+  const file = cgroup.version === 2 ? 'memory.current' : 'memory.usage_in_bytes';
+  const memory = Number(readFileOrNull(path.join(cgroup.memory, file)) ?? NaN);
+  return Number.isFinite(memory) ? memory : null;
+};
+
+/**
+ * Function to read the CPU limit of a cgroup from its CFS quota and period, cpu.max (version 2) or
+ * cpu.cfs_quota_us and cpu.cfs_period_us (version 1).
+ *
+ * @param {object} cgroup The result of findCgroup()
+ * @returns {number|null} The limit in cores, e.g. 1.5, or null when the cgroup is not limited
+ */
+export const readCgroupCpuLimit = (cgroup) => {
+  if (!cgroup.cpu) return null;
+
+  const [quota, period] = cgroup.version === 2
+    ? (readFileOrNull(path.join(cgroup.cpu, 'cpu.max')) || 'max').split(/\s+/)
+    : ['cpu.cfs_quota_us', 'cpu.cfs_period_us'].map((file) => readFileOrNull(path.join(cgroup.cpu, file)));
+
+  // "max" (version 2) and -1 (version 1) mean no quota
+  const limit = Number(quota) / Number(period || 100000);
+  return Number.isFinite(limit) && limit > 0 ? limit : null;
+};
@@ -0,0 +1,157 @@
+// Vendors that have their own average TDP fallback
+const VENDORS = ['intel', 'amd', 'apple'];
+
+// Minimum confidence for a fuzzy match to be accepted
+export const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+/**
+ * Function to normalise a CPU model string so that vendor spellings can be compared,
+ * e.g. "Intel(R) Core(TM) i7-8650U CPU @ 1.90GHz" becomes "intel core i7-8650u".
+ *
+ * @param {string} name The CPU model string
+ * @returns {string} The normalised model string
+ */
+export const normalizeCpuName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/\((r|tm|c)\)/g, ' ') // Drop trademark markers
+  .replace(/@?\s*\d+(\.\d+)?\s*[gm]hz/g, ' ') // Drop frequency suffixes
+  .replace(/\b\d+-core\b/g, ' ') // Drop "8-Core" style core counts
+  .replace(/\b(cpu|processor|apu|with radeon.*|w\/ radeon.*)\b/g, ' ')
+  .replace(/\bgenuineintel\b/g, 'intel')
+  .replace(/\bauthenticamd\b/g, 'amd')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Function to split a normalised CPU model string into tokens. Model numbers such as
+ * "i7-8650u" are split into "i7" and "8650u" so that they also match "i7 8650u".
+ *
+ * @param {string} name The normalised CPU model string
+ * @returns {string[]} The tokens
+ */
+export const tokenizeCpuName = (name) => name.split(/[\s-]+/).filter(Boolean);
+
+/**
+ * Function to detect the vendor of a CPU from its model string.
+ *
+ * @param {string} name The CPU model string
+ * @returns {string|null} The vendor ("intel", "amd" or "apple"), or null when unknown
+ */
+export const detectCpuVendor = (name) => {
+  const [firstToken] = tokenizeCpuName(normalizeCpuName(name));
+  return VENDORS.includes(firstToken) ? firstToken : null;
+};
+
+// Function to count the longest run of digits in a token
+const digitCount = (token) => Math.max(0, ...(token.match(/\d+/g) || []).map((digits) => digits.length));
+
+/**
+ * Function to find the model number among the tokens of a CPU model string: the token with the
+ * longest run of digits, the last one on a tie. Family tokens such as "i9" or the "9" of "ryzen 9"
+ * have fewer digits than the model number, e.g. "14900k" or "9950x".
+ *
+ * @param {string[]} tokens The tokens of a normalised CPU model string
+ * @returns {string|null} The model number token, or null when no token has digits
+ */
+export const findModelNumber = (tokens) => tokens.reduce((modelNumber, token) => {
+  const digits = digitCount(token);
+  return digits > 0 && digits >= digitCount(modelNumber || '') ? token : modelNumber;
+}, null);
+
+// Words that tell a tier of a model apart from the base model, e.g. "apple m1 pro" from "apple m1"
+const TIER_WORDS = ['pro', 'max', 'ultra', 'plus'];
+
+// Function to find the family ("i7") and the version suffix ("v3") tokens of a model string
+const findToken = (tokens, pattern) => tokens.find((token) => pattern.test(token)) ?? null;
+
+/**
+ * Function to check that two model strings with the same model number are the same CPU: the family
+ * (e.g. "i5" and "i7") and the version suffix (e.g. "v2" and "v3") must not differ where both have one,
+ * and both must have the same tier words (e.g. "pro" or "max").
+ *
+ * @param {string[]} queryTokens The tokens of the model string to match
+ * @param {string[]} candidateTokens The tokens of a known CPU
+ * @returns {boolean} True when nothing tells the two CPUs apart
+ */
+const qualifiersAgree = (queryTokens, candidateTokens) => {
+  const agree = (pattern) => {
+    const queryToken = findToken(queryTokens, pattern);
+    const candidateToken = findToken(candidateTokens, pattern);
+    return !queryToken || !candidateToken || queryToken === candidateToken;
+  };
+  const tiers = (tokens) => tokens.filter((token) => TIER_WORDS.includes(token)).sort().join(' ');
+
+  return agree(/^i[3579]$/) && agree(/^v\d+$/) && tiers(queryTokens) === tiers(candidateTokens);
+};
+
+// Function to weigh the tokens of a list: the model number identifies the CPU and counts double
+const weighTokens = (tokens) => {
+  const modelNumber = findModelNumber(tokens);
+  return tokens.map((token) => (token === modelNumber ? 2 : 1));
+};
+
+// Function to score how similar two token lists are, from 0 to 1 (weighted Dice coefficient)
+const scoreTokens = (queryTokens, candidateTokens) => {
+  const candidateSet = new Set(candidateTokens);
+  const queryWeights = weighTokens(queryTokens);
+  const sharedWeight = queryTokens
+    .reduce((total, token, index) => total + (candidateSet.has(token) ? queryWeights[index] : 0), 0);
+  const totalWeight = [...queryWeights, ...weighTokens(candidateTokens)]
+    .reduce((total, weight) => total + weight, 0);
+
+  return totalWeight > 0 ? (2 * sharedWeight) / totalWeight : 0;
+};
+
+// Function to average the TDP of a list of CPUs
+const averageTdp = (cpus) => cpus.reduce((total, cpu) => total + cpu.tdp, 0) / cpus.length;
+
+/**
+ * Function to find the CPU in a list of known CPUs that best matches a model string.
+ * Falls back to the vendor's average TDP, then to the average TDP of all CPUs.
+ *
+ * @param {string} model The CPU model string, e.g. from os.cpus()[0].model
+ * @param {Array<{name: string, tdp: number}>} cpus The known CPUs
+ * @param {object} [options] Matching options
+ * @param {number} [options.minConfidence] Minimum confidence for a fuzzy match, 0..1
+ * @returns {object} An object containing the matched name, TDP, confidence, vendor and the method
+ * used ("exact", "fuzzy", "vendor_average" or "global_average")
+ */
+export const matchCpu = (model, cpus, { minConfidence = DEFAULT_MIN_CONFIDENCE } = {}) => {
+  const normalizedModel = normalizeCpuName(model);
+  const vendor = detectCpuVendor(model);
+  const vendorCpus = vendor ? cpus.filter((cpu) => detectCpuVendor(cpu.name) === vendor) : cpus;
+
+  // Look for an exact match on the normalised names first
+  const exactMatch = vendorCpus.find((cpu) => normalizeCpuName(cpu.name) === normalizedModel);
+  if (normalizedModel && exactMatch) {
+    return { name: exactMatch.name, tdp: exactMatch.tdp, confidence: 1, vendor, method: 'exact' };
+  }
+
+  // Otherwise score every candidate that has the model number of the query and is not another family,
+  // version or tier of it
+  const queryTokens = tokenizeCpuName(normalizedModel);
+  const queryModelNumber = findModelNumber(queryTokens);
+  let bestMatch = null;
+
+  vendorCpus.forEach((cpu) => {
+    const candidateTokens = tokenizeCpuName(normalizeCpuName(cpu.name));
+    if (!queryModelNumber || !candidateTokens.includes(queryModelNumber)) return;
+    if (!qualifiersAgree(queryTokens, candidateTokens)) return;
+
+    const confidence = scoreTokens(queryTokens, candidateTokens);
+    if (!bestMatch || confidence > bestMatch.confidence) {
+      bestMatch = { name: cpu.name, tdp: cpu.tdp, confidence, vendor, method: 'fuzzy' };
+    }
+  });
+
+  if (bestMatch && bestMatch.confidence >= minConfidence) {
+    return bestMatch;
+  }
+
+  // Fall back to the vendor average, then to the global average
+  if (vendor && vendorCpus.length > 0) {
+    return { name: null, tdp: averageTdp(vendorCpus), confidence: 0, vendor, method: 'vendor_average' };
+  }
+
+  return { name: null, tdp: averageTdp(cpus), confidence: 0, vendor, method: 'global_average' };
+};
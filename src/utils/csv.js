@@ -0,0 +1,62 @@
+// Function to quote a CSV value that contains separators, quotes or line breaks
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Function to format rows as CSV, with a header row taken from the keys of the first row.
+ *
+ * @param {object[]} rows The rows, objects with the same keys
+ * @param {string[]} [columns] The columns, in order (defaults to the keys of the first row)
+ * @returns {string} The CSV text
+ */
+export const toCsv = (rows, columns = Object.keys(rows[0] || {})) => {
+  const lines = [columns, ...rows.map((row) => columns.map((column) => row[column]))];
+  return `${lines.map((line) => line.map(escapeCsvValue).join(',')).join('\n')}\n`;
+};
+
+/**
+ * Function to parse CSV text with a header row into objects keyed by the header. Quoted values may
+ * contain separators, doubled quotes and line breaks.
+ *
+ * @param {string} text The CSV text
+ * @returns {object[]} The rows, with string values
+ */
+export const parseCsv = (text) => {
+  const lines = [];
+  let line = [];
+  let value = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        value += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      line.push(value);
+      value = '';
+    } else if (char === '\n') {
+      lines.push([...line, value.replace(/\r$/, '')]);
+      line = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || line.length > 0) {
+    lines.push([...line, value]);
+  }
+
+  const [header = [], ...rows] = lines.filter((fields) => fields.some((field) => field !== ''));
+  return rows.map((fields) => Object.fromEntries(header.map((column, index) => [column.trim(), fields[index] ?? ''])));
+};
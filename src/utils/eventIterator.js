@@ -0,0 +1,77 @@
+/**
+ * Function to create an async iterator over the events of an emitter. Values are buffered until
+ * they are read; the iteration ends on the end event and throws on the error event.
+ *
+ * @param {EventEmitter} emitter The event emitter
+ * @param {string} event The event whose first argument is yielded
+ * @param {string} endEvent The event that ends the iteration
+ * @returns {AsyncIterableIterator<*>} The async iterator
+ */
+const createEventIterator = (emitter, event, endEvent) => {
+  const values = []; // Values emitted but not read yet
+  const readers = []; // Pending next() calls waiting for a value
+  let finished = false;
+  let failure = null;
+
+  const onValue = (value) => {
+    if (readers.length > 0) {
+      readers.shift().resolve({ value, done: false });
+    } else {
+      values.push(value);
+    }
+  };
+
+  const cleanup = () => {
+    emitter.off(event, onValue);
+    emitter.off(endEvent, onEnd);
+    emitter.off('error', onError);
+  };
+
+  function onEnd() {
+    finished = true;
+    cleanup();
+    readers.splice(0).forEach((reader) => reader.resolve({ value: undefined, done: true }));
+  }
+
+  function onError(error) {
+    failure = error;
+    cleanup();
+    readers.splice(0).forEach((reader) => reader.reject(error));
+  }
+
+  emitter.on(event, onValue);
+  emitter.on(endEvent, onEnd);
+  emitter.on('error', onError);
+
+  return {
+    next() {
+      // Hand out buffered values first, then report the end or the error
+      if (values.length > 0) {
+        return Promise.resolve({ value: values.shift(), done: false });
+      }
+      if (failure) {
+        const error = failure;
+        failure = null;
+        finished = true;
+        return Promise.reject(error);
+      }
+      if (finished) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+
+      return new Promise((resolve, reject) => readers.push({ resolve, reject }));
+    },
+
+    return() {
+      onEnd();
+      values.length = 0;
+      return Promise.resolve({ value: undefined, done: true });
+    },
+
+    [Symbol.asyncIterator]() {
+      return this;
+    },
+  };
+};
+
+export default createEventIterator;
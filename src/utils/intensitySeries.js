@@ -0,0 +1,86 @@
+// Default time a point of an intensity series is valid for when no later point follows, in milliseconds
+export const DEFAULT_POINT_DURATION = 60 * 60 * 1000;
+
+/**
+ * Function to parse a carbon intensity time series, shaped like the history of Electricity Maps:
+ * an array of points with a datetime (ISO string or milliseconds) and a carbonIntensity in gCO2e/kWh.
+ *
+ * @param {object[]} points The points of the series
+ * @returns {object[]} The points as { time, carbonIntensity }, oldest first
+ */
+export const parseIntensitySeries = (points) => {
+  if (!Array.isArray(points)) {
+    throw new Error('Invalid intensity series: must be an array of points');
+  }
+
+  return points
+    .map((point) => ({ time: new Date(point.datetime).getTime(), carbonIntensity: point.carbonIntensity }))
+    .filter((point) => !Number.isNaN(point.time) && Number.isFinite(point.carbonIntensity))
+    .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Function to get the carbon intensity of a time window from a series. Every point is valid until
+ * the next one, the last one for the default duration. The intensity of a window is the
+ * time-weighted average of the points it overlaps; a window after the series uses the last point.
+ *
+ * @param {object[]} series The series, see parseIntensitySeries()
+ * @param {number} start Start of the window in milliseconds
+ * @param {number} [end] End of the window in milliseconds (defaults to the start)
+ * @param {object} [options] Options
+ * @param {number} [options.pointDuration] Time the last point is valid for, in milliseconds
+ * @returns {object|null} An object containing the carbon intensity in gCO2e/kWh and the time range
+ * of the points used (validFrom, validTo, in milliseconds), or null when the series does not cover the window
+ */
+export const averageIntensity = (series, start, end = start, { pointDuration = DEFAULT_POINT_DURATION } = {}) => {
+  const segments = series.map((point, index) => ({
+    from: point.time,
+    to: index + 1 < series.length ? series[index + 1].time : point.time + pointDuration,
+    carbonIntensity: point.carbonIntensity,
+  }));
+
+  // An instant uses the point it falls in
+  if (end <= start) {
+    const segment = segments.find(({ from, to }) => from <= start && start < to);
+    if (segment) {
+      return { carbonIntensity: segment.carbonIntensity, validFrom: segment.from, validTo: segment.to };
+    }
+  } else {
+    const overlaps = segments
+      .map((segment) => ({ ...segment, overlap: Math.min(end, segment.to) - Math.max(start, segment.from) }))
+      .filter(({ overlap }) => overlap > 0);
+
+    if (overlaps.length > 0) {
+      const totalTime = overlaps.reduce((total, { overlap }) => total + overlap, 0);
+      return {
+        carbonIntensity: overlaps.reduce((total, { overlap, carbonIntensity }) => total + overlap * carbonIntensity, 0) / totalTime,
+        validFrom: overlaps[0].from,
+        validTo: overlaps[overlaps.length - 1].to,
+      };
+    }
+  }
+
+  // A window after the end of the series uses the latest point
+  const latest = segments[segments.length - 1];
+  if (latest && latest.from <= start) {
+    return { carbonIntensity: latest.carbonIntensity, validFrom: latest.from, validTo: latest.to };
+  }
+
+  return null;
+};
+
+/**
+ * Function to get the points of a series that overlap a time range, including the point the range starts in.
+ *
+ * @param {object[]} series The series, see parseIntensitySeries()
+ * @param {number} from Start of the range in milliseconds
+ * @param {number} to End of the range in milliseconds
+ * @param {object} [options] Options
+ * @param {number} [options.pointDuration] Time the last point is valid for, in milliseconds
+ * @returns {object[]} The points overlapping the range
+ */
+export const sliceIntensitySeries = (series, from, to, { pointDuration = DEFAULT_POINT_DURATION } = {}) => (
+  series.filter((point, index) => (
+    point.time < to && (index + 1 < series.length ? series[index + 1].time : point.time + pointDuration) > from
+  ))
+);
@@ -4,9 +4,10 @@ import * as cpuData from '../data/cpu_power.json' assert { type: 'json' };
 import * as globalEnergyData from '../data/global_energy_mix.json' assert { type: 'json' };
 import * as carbonIntensityData from '../data/carbon_intesity_per_source.json' assert {type: 'json'};
 import https from 'https';
+import { matchCpu } from './cpuMatcher.js';
 
 // Function to make an asynchronous HTTP request to get geographic information based on the IP address
-const makeRequest = async () => {
+const makeRequest = async (timeout) => {
   // Define options for the HTTP request
   const options = {
     hostname: 'get.geojs.io',
@@ -35,37 +36,45 @@ const makeRequest = async () => {
       reject(error);
     });
 
+    // Abort the request if it takes too long
+    if (timeout) {
+      req.setTimeout(timeout, () => {
+        req.destroy(new Error(`Geolocation request timed out after ${timeout}ms`));
+      });
+    }
+
     // End the request
     req.end();
   });
 
-  try {
-    // Attempt to make the HTTP request and parse the JSON response
-    const response = await makeHttpRequest();
-    return JSON.parse(response); // Parse the JSON response and return it
-  } catch (error) {
-    // Handle errors during the HTTP request
-    console.error(`Error: ${error.message}`);
-    throw error; // Re-throw the error for the caller to handle if needed
-  }
+  // Make the HTTP request and parse the JSON response, errors are left for the caller to handle
+  const response = await makeHttpRequest();
+  return JSON.parse(response);
 };
 
-// Function to fetch geographic information using the makeRequest function
-export const fetchGeoInfo = async () => {
-    try {
-      const result = await makeRequest();
-      return result;
-    } catch (error) {
-      // Handle errors here if needed
-      console.error(`Error in fetchGeoInfo: ${error.message}`);
-      throw error;
-    }
+/**
+ * Function to fetch geographic information for the current IP address from get.geojs.io.
+ * This is the default geolocation provider.
+ *
+ * @param {object} [options] Request options
+ * @param {number} [options.timeout] Request timeout in milliseconds
+ * @returns {Promise<object>} The geographic information, including country_code3
+ */
+export const fetchGeoInfo = async ({ timeout } = {}) => {
+    const result = await makeRequest(timeout);
+    return result;
   };
 
-// Function to get TDP value based on CPU name
-const getCpuNameAndTdpValue = (cpuName) => {
-    return  cpuData.default.find(cpu => cpu.name === cpuName)?.tdp;
-  }
+/**
+ * Function to get the TDP information of a CPU from cpu_power.json. The model string is
+ * matched fuzzily, falling back to the vendor or global average TDP when nothing matches.
+ *
+ * @param {string} [model] The CPU model string (defaults to the model of the first CPU)
+ * @returns {object} An object containing the matched name, TDP, confidence, vendor and method
+ */
+export const getCpuTdpInfo = (model = os.cpus()[0]?.model) => {
+    return matchCpu(model, cpuData.default);
+}
 
 // Function to get RAM information
 export const getRamInfo = () => {
@@ -75,32 +84,106 @@ export const getRamInfo = () => {
 
 // Function to get total CPU wattage based on the model of the CPU
 export const getTotalCpuWattage = () => {
-    // Get CPU information
-    const [cpuInfo] = os.cpus();
-    if (cpuInfo) {
-        const { model } = cpuInfo;
-
-        // Get TDP value based on the CPU model
-        const tdpValue = getCpuNameAndTdpValue(model);
-
-        if (tdpValue !== undefined) {
-            return tdpValue;
-        } else {
-            return "Misssing CPU information"; // ADD missing cpu information to cpu_power.json
-        }
-    } else {
-        return "No CPU information available"; // TODO Get global average CPU tdp
-    }
+    // Get the TDP value based on the CPU model, or the average TDP when the model is unknown
+    return getCpuTdpInfo().tdp;
+};
+
+// Generation columns of global_energy_mix.json and the energy source of their emission factor.
+// Biofuel has no factor and is left out; fossil generation not split into coal, gas and oil uses the fossil factor.
+const GENERATION_SOURCES = {
+    coal_TWh: 'coal',
+    gas_TWh: 'natural_gas',
+    oil_TWh: 'petroleum',
+    nuclear_TWh: 'nuclear',
+    hydroelectricity_TWh: 'hydroelectricity',
+    solar_TWh: 'solar',
+    wind_TWh: 'wind',
+    other_renewable_exc_biofuel_TWh: 'geothermal',
 };
 
+/**
+ * Function to derive the carbon intensity of a country from its generation mix, as the
+ * generation-weighted average of the emission factors per energy source
+ *
+ * @param {object} energyMix The country entry of global_energy_mix.json
+ * @returns {number|null} The carbon intensity in gCO2e/kWh, or null when there is no generation data
+ */
+export const deriveCarbonIntensity = (energyMix) => {
+    const factors = carbonIntensityData.default;
+    const generation = (column) => (Number.isFinite(energyMix[column]) && energyMix[column] > 0 ? energyMix[column] : 0);
+
+    const sources = Object.entries(GENERATION_SOURCES).map(([column, source]) => [generation(column), factors[source]]);
+    const unsplitFossil = generation('fossil_TWh') - generation('coal_TWh') - generation('gas_TWh') - generation('oil_TWh');
+    if (unsplitFossil > 0) {
+        sources.push([unsplitFossil, factors.fossil]);
+    }
+
+    const totalTWh = sources.reduce((total, [twh]) => total + twh, 0);
+    if (totalTWh === 0) {
+        return null;
+    }
+
+    return sources.reduce((total, [twh, factor]) => total + twh * factor, 0) / totalTWh;
+}
+
+/**
+ * Function to get the carbon intensity of a country and how it was determined: the intensity
+ * reported in global_energy_mix.json, one derived from the generation mix when none is reported,
+ * or the world average when there is no data for the country
+ *
+ * @param {string} countryCode The ISO3 country code
+ * @returns {object} An object containing the carbon intensity in gCO2e/kWh, the method ("reported",
+ * "derived" or "world_average") and the year of the data (null for the world average)
+ */
+export const getCarbonIntensityInfo = (countryCode) => {
+    const energyMix = globalEnergyData.default[countryCode];
+
+    if (energyMix && Number.isFinite(energyMix.carbon_intensity) && energyMix.carbon_intensity > 0) {
+        return { carbonIntensity: energyMix.carbon_intensity, method: 'reported', year: energyMix.year ?? null };
+    }
+
+    const derivedIntensity = energyMix ? deriveCarbonIntensity(energyMix) : null;
+    if (derivedIntensity !== null) {
+        return { carbonIntensity: derivedIntensity, method: 'derived', year: energyMix.year ?? null };
+    }
+
+    return { carbonIntensity: getWorldAverageCarbonUsage(), method: 'world_average', year: null };
+}
+
 // Function to get carbon  usage based on the country code
 export const getCarbonUsage = (countryCode) => {
-    const geoInfo = globalEnergyData.default[countryCode];
-    if(geoInfo){
-       return  geoInfo.carbon_intensity; 
-    } else {
-        return carbonIntensityData.world_average; // Global carbon intensity
-    }
+    return getCarbonIntensityInfo(countryCode).carbonIntensity;
+}
+
+// Function to get the world average carbon intensity in gCO2e/kWh
+export const getWorldAverageCarbonUsage = () => {
+    return carbonIntensityData.default.world_average;
+}
+
+/**
+ * Function to list the emission factors per energy source and where they come from
+ *
+ * @returns {object[]} The emission factors: the energy source, the factor in gCO2e/kWh, its unit and source URL
+ */
+export const getEmissionFactorSources = () => {
+  const data = carbonIntensityData.default;
+
+  return Object.keys(data)
+    .filter((key) => key.endsWith('_source'))
+    .map((key) => {
+      const source = key.slice(0, -'_source'.length);
+      return { source, factor: data[source], unit: data.unit, url: data[key] };
+    });
+}
+
+/**
+ * Function to get the year of the energy mix data of a country
+ *
+ * @param {string} countryCode The ISO3 country code
+ * @returns {number|null} The year, or null when there is no data for the country
+ */
+export const getEnergyMixYear = (countryCode) => {
+  return globalEnergyData.default[countryCode]?.year ?? null;
 }
 
 /**
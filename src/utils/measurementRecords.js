@@ -0,0 +1,138 @@
+// Length of a day in milliseconds
+const DAY = 24 * 60 * 60 * 1000;
+
+// Periods measurement records can be rolled up by
+export const ROLLUP_PERIODS = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Function to turn the results of PowerConsumptionMeasurement.stop() into a flat record for storage.
+ *
+ * @param {object} powerConsumptionInfo The results of stop()
+ * @param {object} [options] Record options
+ * @param {string} [options.runId] Id of the run the measurement belongs to
+ * @param {object} [options.tags] Tags of the measurement, e.g. { service: 'api' }
+ * @param {number} [options.timestamp] Time of the measurement in milliseconds (defaults to now)
+ * @returns {object} The record
+ */
+export const toMeasurementRecord = (powerConsumptionInfo, { runId = null, tags = {}, timestamp = Date.now() } = {}) => {
+  const { cpuUsageInfo, energyInfo, carbonEmission, locationInfo, elapsedTime } = powerConsumptionInfo;
+
+  return {
+    timestamp,
+    runId,
+    tags,
+    country: locationInfo?.countryCode ?? null,
+    region: locationInfo?.region ?? null,
+    carbonIntensity: locationInfo?.carbonIntensity ?? null,
+    intensityMethod: locationInfo?.intensityMethod ?? null,
+    cpuTimeInSeconds: cpuUsageInfo?.cpuTimeInSeconds ?? 0,
+    energyKWh: energyInfo.energyKWh,
+    carbonEmission,
+    elapsedTime,
+  };
+};
+
+/**
+ * Function to normalise a query: times become milliseconds and missing filters null.
+ *
+ * @param {object} [query] The query
+ * @param {Date|number|string} [query.from] Earliest time, inclusive
+ * @param {Date|number|string} [query.to] Latest time, exclusive
+ * @param {object} [query.tags] Tags the records must all have
+ * @param {string} [query.runId] Run the records must belong to
+ * @returns {object} The normalised query
+ */
+export const normalizeQuery = ({ from = null, to = null, tags = {}, runId = null } = {}) => {
+  const toTime = (value) => {
+    if (value === null || value === undefined) return null;
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) throw new Error(`Invalid time: ${value}`);
+    return time;
+  };
+
+  return { from: toTime(from), to: toTime(to), tags: tags || {}, runId };
+};
+
+/**
+ * Function to check whether a record matches a query.
+ *
+ * @param {object} record The record, see toMeasurementRecord()
+ * @param {object} query The query, see normalizeQuery()
+ * @returns {boolean} True when the record matches
+ */
+export const matchesQuery = (record, query) => {
+  const { from, to, tags, runId } = normalizeQuery(query);
+
+  if (from !== null && record.timestamp < from) return false;
+  if (to !== null && record.timestamp >= to) return false;
+  if (runId !== null && record.runId !== runId) return false;
+  return Object.entries(tags).every(([key, value]) => record.tags?.[key] === value);
+};
+
+/**
+ * Function to get the period a time belongs to, in UTC. Weeks are ISO weeks, starting on Monday.
+ *
+ * @param {number} timestamp The time in milliseconds
+ * @param {string} period "daily", "weekly" or "monthly"
+ * @returns {object} An object containing the key of the period (e.g. 2024-03-05, 2024-W10 or 2024-03)
+ * and its start time in milliseconds
+ */
+export const getRollupPeriod = (timestamp, period) => {
+  const date = new Date(timestamp);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const pad = (value) => String(value).padStart(2, '0');
+
+  if (period === 'daily') {
+    const start = Date.UTC(year, month, date.getUTCDate());
+    return { key: new Date(start).toISOString().slice(0, 10), start };
+  }
+
+  if (period === 'weekly') {
+    const dayOfWeek = (date.getUTCDay() + 6) % 7; // Monday is 0
+    const start = Date.UTC(year, month, date.getUTCDate() - dayOfWeek);
+
+    // The ISO week belongs to the year of its Thursday
+    const thursday = new Date(start + 3 * DAY);
+    const weekYear = thursday.getUTCFullYear();
+    const week = Math.floor((thursday.getTime() - Date.UTC(weekYear, 0, 1)) / (7 * DAY)) + 1;
+    return { key: `${weekYear}-W${pad(week)}`, start };
+  }
+
+  if (period === 'monthly') {
+    return { key: `${year}-${pad(month + 1)}`, start: Date.UTC(year, month, 1) };
+  }
+
+  throw new Error(`Invalid period: must be one of ${ROLLUP_PERIODS.join(', ')}`);
+};
+
+/**
+ * Function to add up records per day, week or month.
+ *
+ * @param {object[]} records The records, see toMeasurementRecord()
+ * @param {string} period "daily", "weekly" or "monthly"
+ * @returns {object[]} The totals per period, oldest first: the period key, its start time, the number
+ * of measurements, CPU time in seconds, energy in kWh and carbon emission in gCO2e
+ */
+export const rollupRecords = (records, period) => {
+  if (!ROLLUP_PERIODS.includes(period)) {
+    throw new Error(`Invalid period: must be one of ${ROLLUP_PERIODS.join(', ')}`);
+  }
+
+  const rollups = new Map();
+
+  records.forEach((record) => {
+    const { key, start } = getRollupPeriod(record.timestamp, period);
+    if (!rollups.has(key)) {
+      rollups.set(key, { period: key, start, count: 0, cpuTimeInSeconds: 0, energyKWh: 0, carbonEmission: 0 });
+    }
+
+    const rollup = rollups.get(key);
+    rollup.count += 1;
+    rollup.cpuTimeInSeconds += record.cpuTimeInSeconds;
+    rollup.energyKWh += record.energyKWh;
+    rollup.carbonEmission += record.carbonEmission;
+  });
+
+  return [...rollups.values()].sort((a, b) => a.start - b.start);
+};
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+
+// Default location of the proc filesystem
+export const DEFAULT_PROC_ROOT = '/proc';
+
+// Clock ticks per second used by /proc/<pid>/stat times (USER_HZ, 100 on practically all Linux systems)
+export const DEFAULT_CLOCK_TICKS = 100;
+
+// Memory page size in bytes used by the rss field of /proc/<pid>/stat
+export const DEFAULT_PAGE_SIZE = 4096;
+
+/**
+ * Function to parse the contents of /proc/<pid>/stat.
+ *
+ * @param {string} contents The contents of the stat file
+ * @param {object} [options] Parsing options
+ * @param {number} [options.clockTicks] Clock ticks per second
+ * @param {number} [options.pageSize] Memory page size in bytes
+ * @returns {object} An object containing the pid, parent pid, start time (in ticks, identifies the
+ * process together with the pid), user and system CPU time in seconds, the user and system CPU time
+ * of its exited children it waited for in seconds, and RSS in bytes
+ */
+export const parseProcessStat = (contents, { clockTicks = DEFAULT_CLOCK_TICKS, pageSize = DEFAULT_PAGE_SIZE } = {}) => {
+  // The command name may contain spaces and parentheses, so split after the last ')'
+  const commandEnd = contents.lastIndexOf(')');
+  const pid = Number(contents.slice(0, contents.indexOf('(')).trim());
+  const command = contents.slice(contents.indexOf('(') + 1, commandEnd);
+  const fields = contents.slice(commandEnd + 2).trim().split(/\s+/);
+
+  return {
+    pid,
+    command,
+    ppid: Number(fields[1]),
+    startTime: Number(fields[19]),
+    userTimeInSeconds: Number(fields[11]) / clockTicks,
+    systemTimeInSeconds: Number(fields[12]) / clockTicks,
+    childUserTimeInSeconds: Number(fields[13]) / clockTicks,
+    childSystemTimeInSeconds: Number(fields[14]) / clockTicks,
+    rssBytes: Number(fields[21]) * pageSize,
+  };
+};
+
+/**
+ * Function to read /proc/<pid>/stat.
+ *
+ * @param {number} pid The process id
+ * @param {object} [options] Options
+ * @param {string} [options.procRoot] Location of the proc filesystem
+ * @param {number} [options.clockTicks] Clock ticks per second
+ * @param {number} [options.pageSize] Memory page size in bytes
+ * @returns {object|null} The parsed stat, see parseProcessStat(), or null when the process is gone
+ */
+export const readProcessStat = (pid, { procRoot = DEFAULT_PROC_ROOT, ...options } = {}) => {
+  try {
+    return parseProcessStat(fs.readFileSync(path.join(procRoot, String(pid), 'stat'), 'utf8'), options);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ESRCH') return null;
+    throw error;
+  }
+};
+
+/**
+ * Function to read the stats of a process and all of its descendants.
+ *
+ * @param {number} rootPid The process id of the root of the tree
+ * @param {object} [options] Options, see readProcessStat()
+ * @returns {object[]} The parsed stats of the processes in the tree that are still running
+ */
+export const readProcessTree = (rootPid, { procRoot = DEFAULT_PROC_ROOT, ...options } = {}) => {
+  // Read every process once and index them by parent
+  const children = new Map();
+  let root = null;
+
+  fs.readdirSync(procRoot)
+    .filter((entry) => /^\d+$/.test(entry))
+    .forEach((entry) => {
+      const stat = readProcessStat(entry, { procRoot, ...options });
+      if (!stat) return;
+
+      if (stat.pid === rootPid) root = stat;
+      if (!children.has(stat.ppid)) children.set(stat.ppid, []);
+      children.get(stat.ppid).push(stat);
+    });
+
+  if (!root) return [];
+
+  // Walk the tree from the root
+  const tree = [];
+  const queue = [root];
+  while (queue.length > 0) {
+    const stat = queue.shift();
+    tree.push(stat);
+    queue.push(...(children.get(stat.pid) || []));
+  }
+
+  return tree;
+};
+
+/**
+ * Function to check whether a proc filesystem is available.
+ *
+ * @param {string} [procRoot] Location of the proc filesystem
+ * @returns {boolean} True when the proc filesystem can be read
+ */
+export const hasProcfs = (procRoot = DEFAULT_PROC_ROOT) => {
+  try {
+    fs.accessSync(procRoot, fs.constants.R_OK);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Function to read the CPU time spent by all processes on the system from /proc/stat.
+ *
+ * @param {object} [options] Reading options
+ * @param {string} [options.procRoot] Location of the proc filesystem
+ * @param {number} [options.clockTicks] Clock ticks per second
+ * @returns {number} The busy CPU time of all cores (user, nice, system, irq, softirq and steal) in seconds
+ */
+export const readSystemCpuTime = ({ procRoot = DEFAULT_PROC_ROOT, clockTicks = DEFAULT_CLOCK_TICKS } = {}) => {
+  const line = fs.readFileSync(path.join(procRoot, 'stat'), 'utf8').split('\n').find((row) => /^cpu\s/.test(row));
+  if (!line) {
+    throw new Error(`No cpu line in ${path.join(procRoot, 'stat')}`);
+  }
+
+  // Idle and iowait are not busy; guest time is already part of user time
+  const [user, nice, system, , , irq = 0, softirq = 0, steal = 0] = line.trim().split(/\s+/).slice(1).map(Number);
+  return (user + nice + system + irq + softirq + steal) / clockTicks;
+};
+
+/**
+ * Function to read the CPU time of every thread of a process from /proc/<pid>/task.
+ *
+ * @param {number} pid The process id
+ * @param {object} [options] Options, see readProcessStat()
+ * @returns {object[]} The threads as { tid, name, cpuTimeInSeconds }, or an empty array when the process is gone
+ */
+export const readThreadStats = (pid, { procRoot = DEFAULT_PROC_ROOT, ...options } = {}) => {
+  const taskRoot = path.join(procRoot, String(pid), 'task');
+
+  let tids;
+  try {
+    tids = fs.readdirSync(taskRoot).filter((entry) => /^\d+$/.test(entry));
+  } catch (error) {
+    return [];
+  }
+
+  return tids
+    .map((tid) => readProcessStat(tid, { procRoot: taskRoot, ...options }))
+    .filter(Boolean)
+    .map((stat) => ({
+      tid: stat.pid,
+      name: stat.command,
+      cpuTimeInSeconds: stat.userTimeInSeconds + stat.systemTimeInSeconds,
+    }));
+};
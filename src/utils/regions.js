@@ -0,0 +1,113 @@
+import { createRequire } from 'module';
+
+// Load the datasets with require, as JSON import assertions are deprecated and import attributes are not
+// supported by every Node.js version
+const require = createRequire(import.meta.url);
+const regionData = require('../data/region_carbon_intensity.json');
+const countryCodes = require('../data/country_codes.json');
+
+// Function to compare names regardless of case, accents and punctuation, e.g. "Québec" and "quebec"
+const normalizeName = (name) => String(name)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Function to turn a dataset entry into a region info object
+const toRegionInfo = (id, entry, type) => ({
+  id,
+  type,
+  name: entry.name,
+  countryCode: entry.country,
+  zone: entry.zone ?? null,
+  carbonIntensity: entry.carbon_intensity,
+  year: entry.year,
+  source: regionData.sources[entry.source] ?? entry.source,
+});
+
+/**
+ * Function to look up a cloud provider region, e.g. "aws:us-east-1" or "gcp:europe-west1", or a
+ * sub-national grid zone, e.g. "US-CA" or "AU-NSW".
+ *
+ * @param {string} region The id of the region or zone
+ * @returns {object|null} An object containing the id, type ("cloud" or "zone"), name, ISO3 country code,
+ * grid zone, carbon intensity in gCO2e/kWh, data year and source URL, or null when the region is unknown
+ */
+export const getRegionInfo = (region) => {
+  if (typeof region !== 'string') return null;
+
+  const { regions, zones } = regionData;
+  const [provider, ...rest] = region.trim().split(':');
+
+  if (rest.length > 0) {
+    const id = `${provider.toLowerCase()}:${rest.join(':').toLowerCase()}`;
+    return regions[id] ? toRegionInfo(id, regions[id], 'cloud') : null;
+  }
+
+  const id = region.trim().toUpperCase();
+  return zones[id] ? toRegionInfo(id, zones[id], 'zone') : null;
+};
+
+/**
+ * Function to find the grid zone of a region name within a country, e.g. the "region" field of a
+ * geolocation response ("California" in "USA").
+ *
+ * @param {string} name The name of the region
+ * @param {string} countryCode The ISO3 country code the region is in
+ * @returns {object|null} The zone, see getRegionInfo(), or null when there is none
+ */
+export const findZoneByName = (name, countryCode) => {
+  if (!name || !countryCode) return null;
+
+  const wanted = normalizeName(name);
+  const match = Object.entries(regionData.zones).find(([, zone]) => (
+    zone.country === countryCode.toUpperCase()
+      && [zone.name, ...(zone.aliases || [])].some((zoneName) => normalizeName(zoneName) === wanted)
+  ));
+
+  return match ? toRegionInfo(match[0], match[1], 'zone') : null;
+};
+
+/**
+ * Function to convert an ISO3 country code to its ISO2 code, e.g. "DEU" to "DE".
+ *
+ * @param {string} countryCode The ISO3 country code
+ * @returns {string|null} The ISO2 country code, or null when the country is unknown
+ */
+export const toAlpha2CountryCode = (countryCode) => (
+  typeof countryCode === 'string' ? countryCodes.alpha2[countryCode.toUpperCase()] ?? null : null
+);
+
+/**
+ * Function to get the zone of a location as named by grid intensity services such as Electricity Maps:
+ * a grid zone (e.g. "US-CA"), the grid zone of a cloud region ("aws:us-east-1" is in "US-VA"), or else
+ * the ISO2 code of the country (e.g. "DE").
+ *
+ * @param {object} location The location
+ * @param {string|null} [location.countryCode] ISO3 country code
+ * @param {string|null} [location.region] Cloud region or grid zone, preferred over the country
+ * @returns {string|null} The zone, or null when the location is unknown
+ */
+export const getGridZone = ({ countryCode = null, region = null } = {}) => {
+  const regionInfo = getRegionInfo(region);
+  if (regionInfo?.type === 'zone') return regionInfo.id;
+  if (regionInfo?.zone) return regionInfo.zone;
+
+  // Cloud regions without a grid zone are in the grid of their country
+  return toAlpha2CountryCode(regionInfo?.countryCode ?? countryCode);
+};
+
+/**
+ * Function to list every cloud region and grid zone in the dataset.
+ *
+ * @returns {object[]} The regions, see getRegionInfo()
+ */
+export const listRegions = () => {
+  const { regions, zones } = regionData;
+
+  return [
+    ...Object.entries(regions).map(([id, entry]) => toRegionInfo(id, entry, 'cloud')),
+    ...Object.entries(zones).map(([id, entry]) => toRegionInfo(id, entry, 'zone')),
+  ];
+};
@@ -0,0 +1,56 @@
+/**
+ * Fixed-size buffer that keeps the latest items, overwriting the oldest one when it is full.
+ */
+class RingBuffer {
+  /**
+   * Create a new RingBuffer object.
+   * @param {number} capacity The maximum number of items to keep
+   */
+  constructor(capacity) {
+    if (!Number.isInteger(capacity) || capacity <= 0) {
+      throw new Error('Invalid capacity: must be a positive integer');
+    }
+
+    this.capacity = capacity;
+    this.items = new Array(capacity);
+    this.head = 0; // Index of the oldest item
+    this.length = 0; // Number of items kept
+  }
+
+  /**
+   * Add an item, dropping the oldest one when the buffer is full.
+   * @param {*} item The item
+   * @returns {boolean} True when an item was dropped to make room
+   */
+  push(item) {
+    const full = this.length === this.capacity;
+    this.items[(this.head + this.length) % this.capacity] = item;
+
+    if (full) {
+      this.head = (this.head + 1) % this.capacity;
+    } else {
+      this.length += 1;
+    }
+
+    return full;
+  }
+
+  /**
+   * Get the items, oldest first.
+   * @returns {Array} The items
+   */
+  toArray() {
+    return Array.from({ length: this.length }, (_, i) => this.items[(this.head + i) % this.capacity]);
+  }
+
+  /**
+   * Remove all items.
+   */
+  clear() {
+    this.items = new Array(this.capacity);
+    this.head = 0;
+    this.length = 0;
+  }
+}
+
+export default RingBuffer;
@@ -0,0 +1,133 @@
+import fs from 'fs';
+
+// Default time to keep cached values, in milliseconds (1 hour)
+export const DEFAULT_CACHE_TTL = 60 * 60 * 1000;
+
+/**
+ * In-memory cache whose entries expire after a time to live, optionally persisted to a JSON file.
+ * Concurrent loads of the same key share one in-flight promise.
+ */
+class TtlCache {
+  /**
+   * Create a new TtlCache object.
+   * @param {object} [options] Cache options
+   * @param {number} [options.ttl] Default time to live of an entry, in milliseconds
+   * @param {string} [options.file] Path of a JSON file to load the cache from and save it to
+   * @param {Function} [options.now] Function returning the current time in milliseconds
+   */
+  constructor({ ttl = DEFAULT_CACHE_TTL, file = null, now = Date.now } = {}) {
+    this.ttl = ttl;
+    this.file = file;
+    this.now = now;
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.pending = new Map(); // key -> promise of a load in progress
+    this.saving = null; // Promise of the last save to the file
+
+    if (this.file) {
+      this.load();
+    }
+  }
+
+  /**
+   * Get a cached value.
+   * @param {string} key The cache key
+   * @returns {*} The cached value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Store a value in the cache, saving the cache to its file if it has one.
+   * @param {string} key The cache key
+   * @param {*} value The value to store (must be JSON serialisable when the cache has a file)
+   * @param {number} [ttl] Time to live of the entry, in milliseconds
+   */
+  set(key, value, ttl = this.ttl) {
+    this.entries.set(key, { value, expiresAt: this.now() + ttl });
+
+    if (this.file) {
+      this.save().catch((error) => {
+        console.error(`Error saving cache to ${this.file}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Get a cached value, or load and cache it. Concurrent calls for the same key share one load.
+   * @param {string} key The cache key
+   * @param {Function} loader Async function loading the value
+   * @param {Function|number} [ttl] Time to live in milliseconds, or a function of the loaded value returning it
+   * @returns {Promise<*>} The cached or loaded value
+   */
+  async getOrLoad(key, loader, ttl = this.ttl) {
+    const cached = this.get(key);
+    if (cached !== undefined) return cached;
+
+    // Join a load that is already in flight
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const load = (async () => {
+      try {
+        const value = await loader();
+        this.set(key, value, typeof ttl === 'function' ? ttl(value) : ttl);
+        return value;
+      } finally {
+        this.pending.delete(key);
+      }
+    })();
+
+    this.pending.set(key, load);
+    return load;
+  }
+
+  /**
+   * Remove every entry from the cache.
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Load unexpired entries from the cache file. A missing or unreadable file leaves the cache empty.
+   */
+  load() {
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      Object.entries(stored).forEach(([key, entry]) => {
+        if (entry && entry.expiresAt > this.now()) {
+          this.entries.set(key, entry);
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error loading cache from ${this.file}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Save the cache entries to the cache file. Saves are queued so that writes never overlap.
+   * @returns {Promise<void>}
+   */
+  save() {
+    const previousSave = this.saving || Promise.resolve();
+
+    this.saving = previousSave.catch(() => {}).then(() => {
+      const stored = Object.fromEntries(this.entries);
+      return fs.promises.writeFile(this.file, JSON.stringify(stored, null, 2));
+    });
+
+    return this.saving;
+  }
+}
+
+export default TtlCache;
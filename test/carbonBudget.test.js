@@ -0,0 +1,99 @@
+import sinon from 'sinon';
+import CarbonBudget from '../src/carbonBudget.js';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import NodeCarbon from '../index.js';
+import { expect } from "chai";
+
+// Minimal results of PowerConsumptionMeasurement.stop()
+const measurementOf = (carbonEmission, energyKWh = 0) => ({ carbonEmission, energyInfo: { energyKWh } });
+
+describe('CarbonBudget', () => {
+  it('should warn and then alert once the cumulative usage crosses each threshold', () => {
+    const onWarning = sinon.spy();
+    const onExceeded = sinon.spy();
+    const budget = new CarbonBudget({ limit: 5, onWarning, onExceeded });
+
+    expect(budget.add(measurementOf(3))).to.be.null;
+    expect(budget.add(measurementOf(1.5))).to.equal('warning');
+    expect(budget.add(measurementOf(0.1))).to.be.null;
+    expect(budget.add(measurementOf(1))).to.equal('exceeded');
+    expect(budget.add(measurementOf(1))).to.be.null;
+
+    sinon.assert.calledOnce(onWarning);
+    sinon.assert.calledOnce(onExceeded);
+    expect(onExceeded.firstCall.args[0]).to.include({ status: 'exceeded', limit: 5, name: '5 gCO2e per run' });
+    expect(budget.getState().usage).to.be.closeTo(6.6, 1e-9);
+  });
+
+  it('should only count measurements within the period', () => {
+    let now = 0;
+    const budget = new CarbonBudget({ limit: 5, period: 3600000, now: () => now });
+
+    budget.add(measurementOf(6));
+    expect(budget.getState().status).to.equal('exceeded');
+
+    now += 3600000;
+    expect(budget.getState()).to.include({ usage: 0, status: 'ok' });
+
+    // The budget alerts again once the new window goes over the limit
+    expect(budget.add(measurementOf(6))).to.equal('exceeded');
+  });
+
+  it('should keep a running total instead of every measurement without a period', () => {
+    const budget = new CarbonBudget({ limit: 5 });
+
+    for (let i = 0; i < 1000; i += 1) budget.add(measurementOf(0.001));
+
+    expect(budget.entries).to.be.empty;
+    expect(budget.getState()).to.include({ count: 1000, status: 'ok' });
+    expect(budget.getState().usage).to.be.closeTo(1, 1e-9);
+
+    budget.reset();
+    expect(budget.getState().usage).to.equal(0);
+  });
+
+  it('should limit energy in kWh', () => {
+    const budget = new CarbonBudget({ limit: 0.2, metric: 'energyKWh', warnAt: 0.5 });
+
+    expect(budget.add(measurementOf(1000, 0.15))).to.equal('warning');
+    expect(budget.getState().fraction).to.be.closeTo(0.75, 1e-9);
+  });
+
+  it('should reject invalid options', () => {
+    expect(() => new CarbonBudget({ limit: 0 })).to.throw('Invalid limit');
+    expect(() => new CarbonBudget({ limit: 1, metric: 'watts' })).to.throw('Invalid metric');
+    expect(() => new CarbonBudget({ limit: 1, period: -1 })).to.throw('Invalid period');
+    expect(() => new CarbonBudget({ limit: 1, warnAt: 2 })).to.throw('Invalid warnAt');
+  });
+
+  describe('with a measurement', () => {
+    it('should emit budgetExceeded from stop()', async () => {
+      const measurement = new PowerConsumptionMeasurement({
+        country: 'USA',
+        budgets: [{ limit: Number.MIN_VALUE, name: 'tiny' }],
+      });
+      const onExceeded = sinon.spy();
+      measurement.on('budgetExceeded', onExceeded);
+
+      await measurement.start();
+      for (let i = 0; i < 1e6; i++); // Spend some CPU time
+      const powerConsumptionInfo = await measurement.stop();
+
+      sinon.assert.calledOnce(onExceeded);
+      expect(onExceeded.firstCall.args[0]).to.include({ name: 'tiny', status: 'exceeded' });
+      expect(onExceeded.firstCall.args[1]).to.equal(powerConsumptionInfo);
+      expect(measurement.getBudgets()[0].status).to.equal('exceeded');
+    });
+
+    it('should count the measurements of NodeCarbon.measure()', async () => {
+      const nodeCarbon = new NodeCarbon({ country: 'USA' });
+      const budget = nodeCarbon.addBudget({ limit: 1, metric: 'energyKWh' });
+
+      await nodeCarbon.measure(() => new Promise(resolve => setTimeout(resolve, 10)));
+      await nodeCarbon.measure(() => new Promise(resolve => setTimeout(resolve, 10)));
+
+      expect(budget.getState().count).to.equal(2);
+      expect(nodeCarbon.getBudgets()[0].status).to.equal('ok');
+    });
+  });
+});
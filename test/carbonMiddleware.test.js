@@ -0,0 +1,179 @@
+import http from 'http';
+import express from 'express';
+import { EventEmitter } from 'events';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import RequestCarbonTracker from '../src/requestCarbonTracker.js';
+import { expressCarbonMiddleware, koaCarbonMiddleware, CARBON_HEADER } from '../src/carbonMiddleware.js';
+import { expect } from "chai";
+import sinon from 'sinon';
+
+// Function to keep the CPU busy for a number of milliseconds
+const burnCpu = (ms) => {
+  const end = Date.now() + ms;
+  while (Date.now() < end);
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('carbonMiddleware', () => {
+  let tracker;
+
+  beforeEach(() => {
+    const measurement = new PowerConsumptionMeasurement({ country: 'USA', cpuPowerModel: { tdp: 100, cores: 4 } });
+    tracker = new RequestCarbonTracker(measurement);
+  });
+
+  afterEach(() => {
+    tracker.disable();
+  });
+
+  describe('RequestCarbonTracker', () => {
+    it('should charge CPU time to the request that used it', async () => {
+      const [busy, idle] = await Promise.all([
+        (async () => {
+          const context = await tracker.begin();
+          await tracker.run(context, async () => {
+            await wait(5);
+            burnCpu(60);
+          });
+          return tracker.end(context, 'GET /busy');
+        })(),
+        (async () => {
+          const context = await tracker.begin();
+          await tracker.run(context, () => wait(80));
+          return tracker.end(context, 'GET /idle');
+        })(),
+      ]);
+
+      expect(busy.cpuTimeInSeconds).to.be.greaterThan(0.04);
+      expect(idle.cpuTimeInSeconds).to.be.lessThan(0.02);
+      expect(busy.energyInfo.energyKWh).to.be.greaterThan(idle.energyInfo.energyKWh);
+      expect(busy.carbonEmission).to.be.greaterThan(0);
+    });
+
+    it('should only read the CPU time when the executing request changes', async () => {
+      const context = await tracker.begin();
+      const cpuUsage = sinon.spy(process, 'cpuUsage');
+
+      try {
+        // Callbacks outside any request do not read the CPU time
+        await wait(1);
+        await wait(1);
+        expect(cpuUsage.called).to.be.false;
+
+        await tracker.run(context, () => wait(1));
+        expect(cpuUsage.called).to.be.true;
+      } finally {
+        cpuUsage.restore();
+      }
+    });
+
+    it('should remove the async hook when disabled', async () => {
+      await tracker.begin();
+      tracker.disable();
+
+      const context = { cpuMicros: 0, startTime: process.hrtime.bigint() };
+      await tracker.storage.run(context, async () => {
+        await wait(1);
+        burnCpu(20);
+      });
+
+      expect(tracker.enabled).to.be.false;
+      expect(context.cpuMicros).to.equal(0);
+    });
+
+    it('should look up the carbon intensity again after a failed lookup', async () => {
+      const fetchCarbonIntensity = sinon.stub(tracker.measurement.geoCarbonUsageMeasurement, 'fetchCarbonIntensity');
+      fetchCarbonIntensity.onFirstCall().rejects(new Error('lookup failed'));
+      fetchCarbonIntensity.onSecondCall().resolves({ carbonIntensity: 400 });
+
+      let error;
+      await tracker.begin().catch((beginError) => { error = beginError; });
+      expect(error.message).to.equal('lookup failed');
+
+      await tracker.begin();
+      expect(tracker.carbonIntensity).to.equal(400);
+      expect(fetchCarbonIntensity.calledTwice).to.be.true;
+    });
+
+    it('should aggregate the footprint per route', () => {
+      [1, 2, 3, 4].forEach(value => tracker.record('GET /users/:id', {
+        cpuTimeInSeconds: value,
+        energyInfo: { energyKWh: value },
+        carbonEmission: value * 10,
+      }));
+
+      const stats = tracker.getStats()['GET /users/:id'];
+
+      expect(stats.count).to.equal(4);
+      expect(stats.cpuTimeInSeconds).to.equal(10);
+      expect(stats.energyKWh).to.deep.equal({ total: 10, avg: 2.5, p95: 4 });
+      expect(stats.carbonEmission).to.deep.equal({ total: 100, avg: 25, p95: 40 });
+    });
+  });
+
+  describe('expressCarbonMiddleware', () => {
+    it('should add the carbon header and expose route statistics', async () => {
+      const app = express();
+      app.use(expressCarbonMiddleware(tracker, { header: true }));
+      app.get('/users/:id', (req, res) => {
+        burnCpu(10);
+        res.json({ id: req.params.id });
+      });
+      app.get('/carbon', tracker.statsHandler());
+
+      const server = http.createServer(app);
+      await new Promise(resolve => server.listen(0, resolve));
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      try {
+        const response = await fetch(`${baseUrl}/users/1`);
+        await fetch(`${baseUrl}/users/2`);
+
+        expect(Number(response.headers.get(CARBON_HEADER))).to.be.greaterThan(0);
+
+        const stats = await (await fetch(`${baseUrl}/carbon`)).json();
+        expect(stats['GET /users/:id'].count).to.equal(2);
+        expect(stats['GET /users/:id'].energyKWh.total).to.be.greaterThan(0);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+
+  describe('koaCarbonMiddleware', () => {
+    it('should track a request and set the carbon header', async () => {
+      const headers = {};
+      const ctx = {
+        method: 'GET',
+        _matchedRoute: '/jobs/:id',
+        res: new EventEmitter(),
+        set: (name, value) => { headers[name] = value; },
+      };
+
+      await koaCarbonMiddleware(tracker, { header: true })(ctx, async () => burnCpu(10));
+      ctx.res.emit('finish');
+
+      expect(Number(headers[CARBON_HEADER])).to.be.greaterThan(0);
+      expect(tracker.getStats()['GET /jobs/:id'].count).to.equal(1);
+    });
+
+    it('should track a request once when its connection closes, before or after it finishes', async () => {
+      const middleware = koaCarbonMiddleware(tracker);
+      const createContext = () => ({ method: 'GET', _matchedRoute: '/jobs/:id', res: new EventEmitter() });
+
+      // The client goes away before the response is sent
+      const aborted = createContext();
+      await middleware(aborted, async () => {});
+      aborted.res.emit('close');
+
+      // A response that is sent also emits 'close'
+      const finished = createContext();
+      await middleware(finished, async () => {});
+      finished.res.emit('finish');
+      finished.res.emit('close');
+
+      expect(tracker.getStats()['GET /jobs/:id'].count).to.equal(2);
+    });
+  });
+});
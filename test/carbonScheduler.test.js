@@ -0,0 +1,167 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CarbonScheduler from '../src/carbonScheduler.js';
+import FileIntensityProvider from '../src/intensityProviders/fileIntensityProvider.js';
+import NodeCarbon from '../index.js';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import { parseCsv } from '../src/utils/csv.js';
+import { expect } from "chai";
+import sinon from 'sinon';
+
+// Function to write a forecast relative to now as CSV, one row per [offset in milliseconds, intensity]
+const writeCsvForecast = async (file, points) => {
+  const now = Date.now();
+  const rows = points.map(([offset, carbonIntensity]) => `DEU,${now + offset},${carbonIntensity}`);
+  await fs.promises.writeFile(file, ['zone,datetime,carbonIntensity', ...rows].join('\n'));
+  return now;
+};
+
+describe('CarbonScheduler', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'node-carbon-'));
+    file = path.join(dir, 'forecast.csv');
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should parse quoted CSV values', () => {
+    expect(parseCsv('a,b\n"x, ""y""",2\r\n\n3,\n')).to.deep.equal([{ a: 'x, "y"', b: '2' }, { a: '3', b: '' }]);
+  });
+
+  it('should run the job in the lowest-carbon window before the deadline and report the savings', async () => {
+    const now = await writeCsvForecast(file, [[-1000, 400], [100, 300], [200, 100], [400, 50]]);
+    const scheduler = new CarbonScheduler({ country: 'DEU', cache: false, forecastSource: new FileIntensityProvider(file) });
+
+    const { result, report, schedule } = await scheduler.scheduleWhenGreen(() => 'done', { deadline: now + 300 });
+
+    expect(result).to.equal('done');
+    expect(schedule).to.include({ startAt: now + 200, plannedIntensity: 100, immediateIntensity: 400 });
+    expect(schedule.startedAt).to.be.at.least(now + 200);
+    expect(schedule.carbonIntensity).to.equal(report.locationInfo.carbonIntensity);
+    expect(report.locationInfo).to.include({ intensityProvider: 'file', carbonIntensity: 100 });
+    expect(schedule.baselineEmission).to.be.closeTo(400 * report.energyInfo.energyKWh, 1e-12);
+    expect(schedule.savedEmission).to.be.closeTo(300 * report.energyInfo.energyKWh, 1e-12);
+  });
+
+  it('should start at the earliest window at or below maxIntensity', async () => {
+    const now = await writeCsvForecast(file, [[-1000, 400], [100, 300], [200, 100]]);
+    const scheduler = new CarbonScheduler({ country: 'DEU', cache: false, forecastSource: new FileIntensityProvider(file) });
+
+    const plan = await scheduler.plan({ deadline: now + 300, maxIntensity: 350 });
+
+    expect(plan).to.include({ startAt: now + 100, plannedIntensity: 300 });
+  });
+
+  it('should average the intensity over the expected duration of the job', async () => {
+    const now = await writeCsvForecast(file, [[-1000, 400], [100, 50], [200, 500], [300, 200]]);
+    const scheduler = new CarbonScheduler({ country: 'DEU', cache: false, forecastSource: new FileIntensityProvider(file) });
+
+    const plan = await scheduler.plan({ deadline: now + 300, duration: 200 });
+
+    // 50/500 averages 275, 500/200 averages 350, 200 lasts beyond the series
+    expect(plan).to.include({ startAt: now + 300, plannedIntensity: 200 });
+  });
+
+  it('should run immediately when the forecast fails or the deadline has passed', async () => {
+    const scheduler = new CarbonScheduler({
+      geoProvider: null,
+      cache: false,
+      forecastSource: new FileIntensityProvider(path.join(dir, 'missing.json')),
+    });
+
+    const { schedule } = await scheduler.scheduleWhenGreen(async () => {}, { deadline: Date.now() + 60 * 1000 });
+    expect(schedule.delay).to.equal(0);
+    expect(schedule.forecastError).to.match(/ENOENT/);
+
+    const plan = await scheduler.plan({ deadline: Date.now() - 1000 });
+    expect(plan).to.include({ delay: 0 });
+    expect(plan).not.to.have.property('forecastError');
+  });
+
+  it('should reject jobs without a forecast source or deadline', async () => {
+    expect(() => new CarbonScheduler({ country: 'DEU' })).to.throw('Invalid forecastSource');
+
+    const scheduler = new CarbonScheduler({ country: 'DEU', forecastSource: new FileIntensityProvider(file) });
+    let error;
+    try {
+      await scheduler.scheduleWhenGreen(() => {}, {});
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/^Invalid deadline/);
+  });
+
+  it('should rethrow the error of the job when the measurement cannot be stopped', async () => {
+    const now = await writeCsvForecast(file, [[-1000, 400]]);
+    const scheduler = new CarbonScheduler({ country: 'DEU', cache: false, forecastSource: new FileIntensityProvider(file) });
+    const stop = sinon.stub(PowerConsumptionMeasurement.prototype, 'stop').rejects(new Error('Mock stop error'));
+
+    let error;
+    try {
+      await scheduler.scheduleWhenGreen(() => { throw new Error('Mock job error'); }, { deadline: now });
+    } catch (e) {
+      error = e;
+    } finally {
+      stop.restore();
+    }
+    expect(error.message).to.equal('Mock job error');
+    expect(error).not.to.have.property('carbonReport');
+  });
+
+  it('should cancel a waiting job when the signal is aborted', async () => {
+    const now = await writeCsvForecast(file, [[-1000, 400], [60 * 1000, 100]]);
+    const nodeCarbon = new NodeCarbon({ country: 'DEU', cache: false, intensityProvider: new FileIntensityProvider(file) });
+    const controller = new AbortController();
+    let ran = false;
+
+    const scheduled = nodeCarbon.scheduleWhenGreen(() => { ran = true; }, { deadline: now + 120 * 1000, signal: controller.signal });
+    setTimeout(() => controller.abort(), 50);
+
+    let error;
+    try {
+      await scheduled;
+    } catch (e) {
+      error = e;
+    }
+    expect(error.name).to.equal('AbortError');
+    expect(ran).to.equal(false);
+    expect(nodeCarbon.getTotals().sampleCount).to.equal(0);
+  });
+
+  it('should wait for a start further away than a single timer can wait', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const now = await writeCsvForecast(file, [[-1000, 400], [30 * day, 100]]);
+    const scheduler = new CarbonScheduler({ country: 'DEU', cache: false, forecastSource: new FileIntensityProvider(file) });
+    const controller = new AbortController();
+    let ran = false;
+
+    const scheduled = scheduler.scheduleWhenGreen(() => { ran = true; }, { deadline: now + 31 * day, signal: controller.signal });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(ran).to.equal(false);
+    controller.abort();
+
+    let error;
+    try {
+      await scheduled;
+    } catch (e) {
+      error = e;
+    }
+    expect(error.name).to.equal('AbortError');
+    expect(ran).to.equal(false);
+  });
+
+  it('should count scheduled jobs in the totals of NodeCarbon', async () => {
+    const now = await writeCsvForecast(file, [[-1000, 400], [50, 100]]);
+    const nodeCarbon = new NodeCarbon({ country: 'DEU', cache: false, intensityProvider: new FileIntensityProvider(file) });
+
+    const { report } = await nodeCarbon.scheduleWhenGreen(() => {}, { deadline: now + 100 });
+
+    expect(nodeCarbon.getTotals()).to.include({ sampleCount: 1, carbonEmission: report.carbonEmission });
+  });
+});
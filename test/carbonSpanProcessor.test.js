@@ -0,0 +1,97 @@
+import { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-base';
+import {
+  AggregationTemporality,
+  InMemoryMetricExporter,
+  MeterProvider,
+  PeriodicExportingMetricReader,
+} from '@opentelemetry/sdk-metrics';
+import CarbonSpanProcessor, { SPAN_ATTRIBUTES, registerCarbonMetrics } from '../src/carbonSpanProcessor.js';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import MemoryUsageMeasurement from '../src/memoryUsageMeasurement.js';
+import { expect } from "chai";
+import sinon from 'sinon';
+
+// Function to read the exported metrics by name
+const collectMetrics = async (meterProvider, metricExporter) => {
+  await meterProvider.forceFlush();
+  const metrics = new Map();
+  metricExporter.getMetrics().forEach(({ scopeMetrics }) => scopeMetrics.forEach(({ metrics: scoped }) => {
+    scoped.forEach((metric) => metrics.set(metric.descriptor.name, metric));
+  }));
+  return metrics;
+};
+
+describe('CarbonSpanProcessor', () => {
+  let spanExporter;
+  let metricExporter;
+  let meterProvider;
+
+  beforeEach(() => {
+    spanExporter = new InMemorySpanExporter();
+    metricExporter = new InMemoryMetricExporter(AggregationTemporality.CUMULATIVE);
+    meterProvider = new MeterProvider({
+      readers: [new PeriodicExportingMetricReader({ exporter: metricExporter, exportIntervalMillis: 60000 })],
+    });
+  });
+
+  afterEach(async () => {
+    await meterProvider.shutdown();
+  });
+
+  it('should read the memory once when a span starts', () => {
+    const carbonSpanProcessor = new CarbonSpanProcessor({ measurement: new PowerConsumptionMeasurement({ country: 'DEU' }) });
+    const begin = sinon.spy(MemoryUsageMeasurement.prototype, 'begin');
+
+    try {
+      carbonSpanProcessor.onStart({});
+      sinon.assert.calledOnce(begin);
+    } finally {
+      begin.restore();
+    }
+  });
+
+  it('should record the energy and emissions of every span as attributes and metrics', async () => {
+    const measurement = new PowerConsumptionMeasurement({ country: 'DEU' });
+    const carbonSpanProcessor = new CarbonSpanProcessor({ measurement, meter: meterProvider.getMeter('test') });
+    const tracerProvider = new BasicTracerProvider({
+      spanProcessors: [carbonSpanProcessor, new SimpleSpanProcessor(spanExporter)],
+    });
+    await carbonSpanProcessor.ready();
+
+    const tracer = tracerProvider.getTracer('test');
+    tracer.startActiveSpan('checkout', (span) => {
+      for (let i = 0; i < 1e6; i++); // Spend some CPU time
+      span.end();
+    });
+
+    const [span] = spanExporter.getFinishedSpans();
+    expect(span.name).to.equal('checkout');
+    expect(span.attributes[SPAN_ATTRIBUTES.cpuTime]).to.be.greaterThan(0);
+    expect(span.attributes[SPAN_ATTRIBUTES.energy]).to.be.greaterThan(0);
+    expect(span.attributes[SPAN_ATTRIBUTES.country]).to.equal('DEU');
+    expect(span.attributes[SPAN_ATTRIBUTES.emissions]).to.be.closeTo(
+      span.attributes[SPAN_ATTRIBUTES.energy] * span.attributes[SPAN_ATTRIBUTES.gridIntensity],
+      1e-12,
+    );
+
+    const metrics = await collectMetrics(meterProvider, metricExporter);
+    const [dataPoint] = metrics.get('node_carbon.span.emissions').dataPoints;
+    expect(dataPoint.attributes).to.deep.equal({ 'span.name': 'checkout' });
+    expect(dataPoint.value).to.equal(span.attributes[SPAN_ATTRIBUTES.emissions]);
+
+    await tracerProvider.shutdown();
+  });
+
+  it('should publish the totals of a measurement', async () => {
+    const measurement = new PowerConsumptionMeasurement({ country: 'USA' });
+    registerCarbonMetrics(meterProvider.getMeter('test'), measurement);
+
+    await measurement.start();
+    const powerConsumptionInfo = await measurement.stop();
+
+    const metrics = await collectMetrics(meterProvider, metricExporter);
+    expect(metrics.get('node_carbon.emissions').dataPoints[0].value).to.equal(powerConsumptionInfo.carbonEmission);
+    expect(metrics.get('node_carbon.energy').descriptor.unit).to.equal('kWh');
+    expect(metrics.get('node_carbon.grid.intensity').dataPoints[0].attributes).to.deep.equal({ country: 'USA' });
+  });
+});
@@ -0,0 +1,149 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CgroupUsageMeasurement from '../src/cgroupUsageMeasurement.js';
+import CpuPowerModel from '../src/cpuPowerModel.js';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import { findCgroup, readCgroupCpuTime, readCgroupCpuLimit, readCgroupMemory } from '../src/utils/cgroup.js';
+import { expect } from "chai";
+
+// Function to write a file of a fake filesystem, creating its directory
+const writeFile = (file, contents) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${contents}\n`);
+};
+
+describe('CgroupUsageMeasurement', () => {
+  let root;
+  let cgroupRoot;
+  let procRoot;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'node-carbon-cgroup-'));
+    cgroupRoot = path.join(root, 'cgroup');
+    procRoot = path.join(root, 'proc');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true });
+  });
+
+  // Function to write a cgroup v2 tree with the process in /kubepods/pod1
+  const writeCgroupV2 = ({ usageUsec = 5000000, memory = 512 * 1024 * 1024, cpuMax = '150000 100000' } = {}) => {
+    writeFile(path.join(procRoot, 'self', 'cgroup'), '0::/kubepods/pod1');
+    writeFile(path.join(cgroupRoot, 'cgroup.controllers'), 'cpu memory');
+    writeFile(path.join(cgroupRoot, 'kubepods', 'pod1', 'cpu.stat'), `usage_usec ${usageUsec}\nuser_usec 4000000\nsystem_usec 1000000`);
+    writeFile(path.join(cgroupRoot, 'kubepods', 'pod1', 'memory.current'), memory);
+    writeFile(path.join(cgroupRoot, 'kubepods', 'pod1', 'cpu.max'), cpuMax);
+  };
+
+  it('should read cpu.stat, memory.current and cpu.max of cgroup v2', () => {
+    writeCgroupV2();
+
+    const cgroup = findCgroup({ cgroupRoot, procRoot });
+
+    expect(cgroup).to.deep.equal({
+      version: 2,
+      cpu: path.join(cgroupRoot, 'kubepods', 'pod1'),
+      cpuacct: path.join(cgroupRoot, 'kubepods', 'pod1'),
+      memory: path.join(cgroupRoot, 'kubepods', 'pod1'),
+    });
+    expect(readCgroupCpuTime(cgroup)).to.equal(5);
+    expect(readCgroupMemory(cgroup)).to.equal(512 * 1024 * 1024);
+    expect(readCgroupCpuLimit(cgroup)).to.equal(1.5);
+
+    writeFile(path.join(cgroup.cpu, 'cpu.max'), 'max 100000');
+    expect(readCgroupCpuLimit(cgroup)).to.equal(null);
+  });
+
+  it('should read cpuacct.usage, memory.usage_in_bytes and the CFS quota of cgroup v1', () => {
+    // Inside a container the host path of the cgroup does not exist, so the mount point is used
+    writeFile(path.join(procRoot, 'self', 'cgroup'), '12:memory:/docker/abc\n4:cpu,cpuacct:/docker/abc\n1:name=systemd:/docker/abc');
+    writeFile(path.join(cgroupRoot, 'cpu,cpuacct', 'cpuacct.usage'), 2500000000);
+    writeFile(path.join(cgroupRoot, 'cpu,cpuacct', 'cpu.cfs_quota_us'), 50000);
+    writeFile(path.join(cgroupRoot, 'cpu,cpuacct', 'cpu.cfs_period_us'), 100000);
+    writeFile(path.join(cgroupRoot, 'memory', 'docker', 'abc', 'memory.usage_in_bytes'), 1048576);
+
+    const cgroup = findCgroup({ cgroupRoot, procRoot });
+
+    expect(cgroup).to.include({ version: 1, cpu: path.join(cgroupRoot, 'cpu,cpuacct') });
+    expect(cgroup.memory).to.equal(path.join(cgroupRoot, 'memory', 'docker', 'abc'));
+    expect(readCgroupCpuTime(cgroup)).to.equal(2.5);
+    expect(readCgroupMemory(cgroup)).to.equal(1048576);
+    expect(readCgroupCpuLimit(cgroup)).to.equal(0.5);
+
+    writeFile(path.join(cgroupRoot, 'cpu,cpuacct', 'cpu.cfs_quota_us'), -1);
+    expect(readCgroupCpuLimit(cgroup)).to.equal(null);
+  });
+
+  it('should measure the CPU time of the whole cgroup', () => {
+    writeCgroupV2();
+    const cgroupUsageMeasurement = new CgroupUsageMeasurement({ cgroupRoot, procRoot });
+
+    cgroupUsageMeasurement.start();
+    writeFile(path.join(cgroupRoot, 'kubepods', 'pod1', 'cpu.stat'), 'usage_usec 7500000');
+    const results = cgroupUsageMeasurement.stop();
+
+    expect(results).to.include({ cpuTimeInSeconds: 2.5, cgroupVersion: 2, cpuLimit: 1.5 });
+    expect(cgroupUsageMeasurement.readMemory()).to.equal(512 * 1024 * 1024);
+  });
+
+  it('should refuse to measure without cgroups', () => {
+    const cgroupUsageMeasurement = new CgroupUsageMeasurement({ cgroupRoot, procRoot });
+
+    expect(() => cgroupUsageMeasurement.start()).to.throw('Cannot measure the cgroup');
+  });
+
+  it('should normalise utilization against the CPU limit', () => {
+    const cpuPowerModel = new CpuPowerModel({ tdp: 160, cores: 16 });
+
+    // 1 CPU second in 1 second is 50% of a 2 core limit, drawing the share of 2 of the 16 cores
+    const estimate = cpuPowerModel.estimate(1, 1, 2);
+
+    expect(estimate).to.include({ cores: 2, utilization: 0.5, powerWatts: 10 });
+    expect(cpuPowerModel.estimate(1, 1, 32)).to.include({ cores: 16, utilization: 1 / 16 });
+  });
+
+  it('should be selectable as the scope of a measurement', async () => {
+    writeCgroupV2({ memory: 1024 * 1024 * 1024 });
+    const measurement = new PowerConsumptionMeasurement({
+      country: 'DEU',
+      scope: 'cgroup',
+      cgroupRoot,
+      procRoot,
+      cpuPowerModel: { tdp: 160, cores: 16 },
+    });
+
+    await measurement.start();
+    writeFile(path.join(cgroupRoot, 'kubepods', 'pod1', 'cpu.stat'), 'usage_usec 6000000');
+    const { scope, cpuUsageInfo, memoryUsageInfo, energyInfo } = await measurement.stop();
+
+    expect(scope).to.equal('cgroup');
+    expect(cpuUsageInfo).to.include({ cpuTimeInSeconds: 1, cpuLimit: 1.5 });
+    expect(energyInfo.cpu.cores).to.equal(1.5);
+    expect(memoryUsageInfo.averageRssMB).to.equal(1024);
+    expect(energyInfo.memory.averageRssGB).to.equal(1);
+    expect(() => new PowerConsumptionMeasurement({ scope: 'host' })).to.throw('Invalid scope');
+  });
+
+  it('should sample the time series of the cgroup within its CPU limit', async () => {
+    writeCgroupV2({ memory: 1024 * 1024 * 1024 });
+    const measurement = new PowerConsumptionMeasurement({
+      country: 'DEU',
+      scope: 'cgroup',
+      cgroupRoot,
+      procRoot,
+      cpuPowerModel: { tdp: 160, cores: 16 },
+      sampler: { interval: 60000 },
+    });
+
+    await measurement.start();
+    writeFile(path.join(cgroupRoot, 'kubepods', 'pod1', 'cpu.stat'), 'usage_usec 6000000');
+    const { timeSeries } = await measurement.stop();
+    const [sample] = timeSeries.samples;
+
+    expect(sample).to.include({ cpuTimeInSeconds: 1, userTimeInSeconds: null, rssMB: 1024 });
+    expect(measurement.usageSampler.cpuLimit).to.equal(1.5);
+    expect(sample.cpuPowerWatts).to.be.at.most(160 * 1.5 / 16);
+  });
+});
@@ -0,0 +1,119 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { parseArgs, runCommand, formatCsv } from '../src/cli.js';
+import ProcessTreeMeasurement from '../src/processTreeMeasurement.js';
+import { expect } from "chai";
+
+describe('cli', () => {
+  describe('parseArgs', () => {
+    it('should parse the options and the command after --', () => {
+      const { subcommand, options, command } = parseArgs([
+        'run', '--country', 'DEU', '--region=gcp:europe-west3', '--interval=250', '--output', 'report.csv',
+        '--', 'npm', 'test', '--', '--grep', 'x',
+      ]);
+
+      expect(subcommand).to.equal('run');
+      expect(options).to.include({ country: 'DEU', region: 'gcp:europe-west3', interval: 250, output: 'report.csv' });
+      expect(command).to.deep.equal(['npm', 'test', '--', '--grep', 'x']);
+    });
+
+    it('should reject unknown options and invalid intervals', () => {
+      expect(() => parseArgs(['run', '--verbose'])).to.throw('Unknown option: --verbose');
+      expect(() => parseArgs(['run', '--interval', '-5'])).to.throw('Invalid --interval');
+      expect(() => parseArgs(['run', '--country'])).to.throw('Missing value for --country');
+    });
+  });
+
+  describe('runCommand', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-carbon-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true });
+    });
+
+    it('should pass the exit code through and write a JSON report', async () => {
+      const output = path.join(dir, 'report.json');
+      const script = 'let x = 0; for (let i = 0; i < 1e7; i++) x += i; process.exit(3);';
+
+      const report = await runCommand([process.execPath, '-e', script], {
+        country: 'USA', interval: 20, output, reporter: null,
+      });
+
+      expect(report.exitCode).to.equal(3);
+      expect(report.locationInfo).to.include({ countryCode: 'USA', source: 'explicit' });
+      expect(report.energyInfo.energyKWh).to.be.a('number');
+
+      const written = JSON.parse(fs.readFileSync(output, 'utf8'));
+      expect(written.exitCode).to.equal(3);
+      expect(written.carbonEmission).to.equal(report.carbonEmission);
+    });
+
+    it('should count the CPU time of short-lived grandchildren and of the command after the last sample', async function () {
+      this.timeout(10000);
+
+      // Two children that each keep a core busy for 300 ms, and exit long before the first sample
+      const busy = `"${process.execPath}" -e "const end = Date.now() + 300; while (Date.now() < end);"`;
+      const report = await runCommand(['sh', '-c', `${busy}; ${busy}`], {
+        country: 'USA', interval: 60000, reporter: null,
+      });
+
+      expect(report.exitCode).to.equal(0);
+      expect(report.cpuUsageInfo.cpuTimeInSeconds).to.be.within(0.5, 2);
+    });
+
+    it('should kill the command when the measurement cannot start', async () => {
+      let pid;
+      const start = sinon.stub(ProcessTreeMeasurement.prototype, 'start').callsFake(function () {
+        pid = this.pid;
+        return Promise.reject(new Error('Mock start error'));
+      });
+
+      try {
+        await runCommand([process.execPath, '-e', 'setTimeout(() => {}, 60000);'], { country: 'USA', reporter: null });
+        expect.fail('runCommand should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Mock start error');
+      } finally {
+        start.restore();
+      }
+
+      // Wait for the killed command to be reaped
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      expect(() => process.kill(pid, 0)).to.throw(/ESRCH/);
+    });
+
+    it('should fail when no command is given', async () => {
+      try {
+        await runCommand([], { country: 'USA' });
+        expect.fail('runCommand should have thrown');
+      } catch (error) {
+        expect(error.message).to.match(/^Missing command/);
+      }
+    });
+  });
+
+  describe('formatCsv', () => {
+    it('should write a header and a quoted value row', () => {
+      const csv = formatCsv({
+        command: ['sh', '-c', 'echo "a,b"'],
+        exitCode: 0,
+        locationInfo: { countryCode: 'FRA', carbonIntensity: 58 },
+        elapsedTime: 1000,
+        cpuUsageInfo: { cpuTimeInSeconds: 0.5, processCount: 2 },
+        memoryUsageInfo: { peakRssMB: 40, averageRssMB: 30 },
+        energyInfo: { cpu: { energyKWh: 0.0008 }, memory: { energyKWh: 0.0002 }, energyKWh: 0.001 },
+        carbonEmission: 0.058,
+      });
+
+      const [header, row] = csv.trim().split('\n');
+      expect(header.split(',')).to.include.members(['command', 'exit_code', 'memory_energy_kwh', 'energy_kwh', 'carbon_gco2e']);
+      expect(row).to.equal('"sh -c echo ""a,b""",0,FRA,58,1000,0.5,2,40,30,0.0008,0.0002,0.001,0.058');
+    });
+  });
+});
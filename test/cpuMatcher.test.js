@@ -0,0 +1,91 @@
+import { matchCpu, normalizeCpuName, detectCpuVendor, findModelNumber } from '../src/utils/cpuMatcher.js';
+import { getCpuTdpInfo } from '../src/utils/lib.js';
+import { expect } from "chai";
+
+describe('cpuMatcher', () => {
+  const cpus = [
+    { name: 'Intel Core i7-8650U', tdp: 15 },
+    { name: 'Intel Core i7-8700K', tdp: 95 },
+    { name: 'Intel Xeon E5-2403 v2', tdp: 80 },
+    { name: 'AMD Ryzen 7 5800X', tdp: 105 },
+    { name: 'AMD EPYC 7451', tdp: 180 },
+  ];
+
+  it('should normalise vendor model strings', () => {
+    expect(normalizeCpuName('Intel(R) Core(TM) i7-8650U CPU @ 1.90GHz')).to.equal('intel core i7-8650u');
+    expect(normalizeCpuName('AMD Ryzen 7 5800X 8-Core Processor')).to.equal('amd ryzen 7 5800x');
+  });
+
+  it('should detect the CPU vendor', () => {
+    expect(detectCpuVendor('Intel(R) Xeon(R) Processor')).to.equal('intel');
+    expect(detectCpuVendor('AMD EPYC 7451 32-Core Processor')).to.equal('amd');
+    expect(detectCpuVendor('ARMv8 Processor rev 1')).to.be.null;
+  });
+
+  it('should match real model strings exactly after normalising', () => {
+    const match = matchCpu('Intel(R) Core(TM) i7-8650U CPU @ 1.90GHz', cpus);
+
+    expect(match).to.include({ name: 'Intel Core i7-8650U', tdp: 15, confidence: 1, method: 'exact' });
+  });
+
+  it('should pick the best fuzzy candidate with a confidence score', () => {
+    const match = matchCpu('Intel(R) Xeon(R) CPU E5-2403 0 @ 1.80GHz', cpus);
+
+    expect(match.method).to.equal('fuzzy');
+    expect(match.name).to.equal('Intel Xeon E5-2403 v2');
+    expect(match.confidence).to.be.greaterThan(0.6).and.lessThan(1);
+  });
+
+  it('should find the model number rather than the family', () => {
+    expect(findModelNumber(['intel', 'core', 'i9', '14900k'])).to.equal('14900k');
+    expect(findModelNumber(['amd', 'ryzen', '9', '9950x'])).to.equal('9950x');
+    expect(findModelNumber(['amd', 'athlon', '64', 'fx', '51'])).to.equal('51');
+    expect(findModelNumber(['apple', 'm1'])).to.equal('m1');
+    expect(findModelNumber(['intel', 'xeon'])).to.be.null;
+  });
+
+  it('should not match a CPU of the same family with another model number', () => {
+    const familyCpus = [
+      { name: 'Intel Core i9-10800F', tdp: 65 },
+      { name: 'Intel Core i7-10510U', tdp: 15 },
+      { name: 'AMD Ryzen 9 3900X', tdp: 105 },
+    ];
+
+    expect(matchCpu('Intel(R) Core(TM) i9-14900K', familyCpus).method).to.equal('vendor_average');
+    expect(matchCpu('Intel(R) Core(TM) i7-99999X', familyCpus).method).to.equal('vendor_average');
+    expect(matchCpu('AMD Ryzen 9 9950X 16-Core Processor', familyCpus).method).to.equal('vendor_average');
+  });
+
+  it('should not match another family, version or tier of the same model number', () => {
+    const tierCpus = [
+      { name: 'Apple M1', tdp: 20 },
+      { name: 'Intel Xeon E5-2690 v2', tdp: 130 },
+      { name: 'Intel Core i5-8650', tdp: 65 },
+    ];
+
+    expect(matchCpu('Apple M1 Pro', tierCpus).method).to.equal('vendor_average');
+    expect(matchCpu('Intel(R) Xeon(R) CPU E5-2690 v3 @ 2.60GHz', tierCpus).method).to.equal('vendor_average');
+    expect(matchCpu('Intel(R) Core(TM) i7-8650', tierCpus).method).to.equal('vendor_average');
+  });
+
+  it('should fall back to the vendor average TDP', () => {
+    const match = matchCpu('AMD Ryzen 9 7950X 16-Core Processor', cpus);
+
+    expect(match).to.include({ name: null, vendor: 'amd', method: 'vendor_average', confidence: 0 });
+    expect(match.tdp).to.equal((105 + 180) / 2);
+  });
+
+  it('should fall back to the global average TDP for unknown vendors', () => {
+    const match = matchCpu('ARMv8 Processor rev 1 (v8l)', cpus);
+
+    expect(match.method).to.equal('global_average');
+    expect(match.tdp).to.equal((15 + 95 + 80 + 105 + 180) / 5);
+  });
+
+  it('should look up models in cpu_power.json', () => {
+    const match = getCpuTdpInfo('Intel(R) Core(TM) i7-8650U CPU @ 1.90GHz');
+
+    expect(match.method).to.equal('exact');
+    expect(match.tdp).to.be.a('number');
+  });
+});
@@ -0,0 +1,49 @@
+import CpuPowerModel from '../src/cpuPowerModel.js';
+import { expect } from "chai";
+
+describe('CpuPowerModel', () => {
+  it('should turn CPU time into energy using the TDP', () => {
+    const cpuPowerModel = new CpuPowerModel({ tdp: 100, cores: 4 });
+
+    // 2 CPU seconds over 1 second on 4 cores is 50% utilization
+    const estimate = cpuPowerModel.estimate(2, 1);
+
+    expect(estimate.utilization).to.equal(0.5);
+    expect(estimate.powerWatts).to.equal(50);
+    expect(estimate.energyJoules).to.equal(50);
+    expect(estimate.energyWh).to.be.closeTo(50 / 3600, 1e-12);
+    expect(estimate.energyKWh).to.be.closeTo(50 / 3600000, 1e-12);
+    expect(estimate.cpuTimeInSeconds).to.equal(2);
+  });
+
+  it('should apply the idle fraction and load curve', () => {
+    const cpuPowerModel = new CpuPowerModel({
+      tdp: 100,
+      cores: 1,
+      idleFraction: 0.2,
+      loadCurve: [[0, 0], [0.5, 0.8], [1, 1]],
+    });
+
+    expect(cpuPowerModel.getPower(0)).to.equal(20);
+    expect(cpuPowerModel.getPower(0.25)).to.be.closeTo(20 + 80 * 0.4, 1e-9);
+    expect(cpuPowerModel.getPower(1)).to.equal(100);
+  });
+
+  it('should cap utilization at 100% and handle empty windows', () => {
+    const cpuPowerModel = new CpuPowerModel({ tdp: 65, cores: 2 });
+
+    expect(cpuPowerModel.estimate(10, 1).utilization).to.equal(1);
+    expect(cpuPowerModel.estimate(0, 0).energyJoules).to.equal(0);
+  });
+
+  it('should fall back to a numeric TDP when none is given', () => {
+    const cpuPowerModel = new CpuPowerModel();
+
+    expect(cpuPowerModel.tdp).to.be.a('number').that.is.greaterThan(0);
+    expect(cpuPowerModel.cores).to.be.greaterThan(0);
+  });
+
+  it('should reject an invalid idle fraction', () => {
+    expect(() => new CpuPowerModel({ tdp: 65, idleFraction: 2 })).to.throw('Invalid idleFraction');
+  });
+});
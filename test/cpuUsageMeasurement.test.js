@@ -1,24 +1,64 @@
+import sinon from 'sinon';
 import CpuUsageMeasurement from '../src/cpuUsageMeasurement.js';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
 import { expect } from "chai";
 
 describe('CpuUsageMeasurement', () => {
+    afterEach(() => {
+      sinon.restore();
+    });
+
     it('should start measuring CPU usage', () => {
       const cpuUsageMeasurement = new CpuUsageMeasurement();
       expect(cpuUsageMeasurement.startUsage).to.be.null;
       cpuUsageMeasurement.start();
       expect(cpuUsageMeasurement.startTime).to.not.be.null;
+      expect(cpuUsageMeasurement.startHrtime).to.be.a('bigint');
     });
   
-    it('should stop measuring CPU usage and return the results', () => {
-      const cpuUsageMeasurement = new CpuUsageMeasurement();
+    it('should report the user and system CPU time since start()', () => {
+      const cpuUsage = sinon.stub(process, 'cpuUsage');
+      cpuUsage.withArgs().returns({ user: 5000000, system: 1000000 });
+      // process.cpuUsage(previous) already returns the difference to previous
+      cpuUsage.withArgs({ user: 5000000, system: 1000000 }).returns({ user: 1500000, system: 500000 });
+      const hrtime = sinon.stub(process.hrtime, 'bigint');
+      hrtime.onFirstCall().returns(10000000000n);
+      hrtime.onSecondCall().returns(11000000000n);
+
+      const cpuUsageMeasurement = new CpuUsageMeasurement({ cores: 4 });
       cpuUsageMeasurement.start();
-  
-      // Wait for a short period to simulate actual CPU usage
-      setTimeout(() => {
-        const measurementResults = cpuUsageMeasurement.stop();
-  
-        expect(measurementResults.cpuUsage).to.be.greaterThanOrEqual(0);
-        expect(measurementResults.totalTimeInSeconds).to.be.greaterThan(0);
-      }, 100);
+      const measurementResults = cpuUsageMeasurement.stop();
+
+      expect(measurementResults).to.deep.equal({
+        userTimeInSeconds: 1.5,
+        systemTimeInSeconds: 0.5,
+        cpuTimeInSeconds: 2,
+        utilization: 0.5, // 2 CPU seconds over 1 second on 4 cores
+        cores: 4,
+        totalTimeInSeconds: 1,
+      });
+      expect(measurementResults).not.to.have.property('cpuUsage');
+    });
+
+    it('should cap utilization at all cores and handle empty windows', () => {
+      sinon.stub(process, 'cpuUsage').returns({ user: 3000000, system: 0 });
+      const hrtime = sinon.stub(process.hrtime, 'bigint').returns(5n);
+
+      const cpuUsageMeasurement = new CpuUsageMeasurement({ cores: 2 });
+      cpuUsageMeasurement.start();
+      expect(cpuUsageMeasurement.stop()).to.include({ cpuTimeInSeconds: 3, utilization: 0, totalTimeInSeconds: 0 });
+
+      hrtime.returns(1000000005n);
+      expect(cpuUsageMeasurement.stop()).to.include({ utilization: 1, totalTimeInSeconds: 1 });
+    });
+
+    it('should measure utilization against the cores of the CPU power model', async () => {
+      const measurement = new PowerConsumptionMeasurement({ country: 'DEU', cpuPowerModel: { tdp: 100, cores: 3 } });
+      await measurement.start();
+      const { cpuUsageInfo } = await measurement.stop();
+
+      expect(cpuUsageInfo.cores).to.equal(3);
+      expect(cpuUsageInfo.utilization).to.be.within(0, 1);
+      expect(cpuUsageInfo.cpuTimeInSeconds).to.be.closeTo(cpuUsageInfo.userTimeInSeconds + cpuUsageInfo.systemTimeInSeconds, 1e-9);
     });
-  });
\ No newline at end of file
+  });
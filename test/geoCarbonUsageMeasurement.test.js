@@ -1,6 +1,9 @@
 import chai from 'chai';
 import GeoCarbonUsageMeasurement from '../src/geoCarbonUsageMeasurement.js';
+import { deriveCarbonIntensity, getCarbonIntensityInfo } from '../src/utils/lib.js';
+import { getRegionInfo, findZoneByName, getGridZone } from '../src/utils/regions.js';
 import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
 import { expect } from "chai";
 
 chai.should();
@@ -60,4 +63,195 @@ describe('GeoCarbonUsageMeasurement', () => {
       }
     })
   });
-});
\ No newline at end of file
+
+  describe('fetchCarbonIntensity', () => {
+    afterEach(() => {
+      delete process.env.NODE_CARBON_COUNTRY;
+    });
+
+    it('should prefer an explicit country over the provider', async () => {
+      const geoProvider = sinon.stub().resolves({ country_code3: 'USA' });
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(geoProvider, undefined, { country: 'fra' });
+
+      const result = await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      expect(result.countryCode).to.equal('FRA');
+      expect(result.source).to.equal('explicit');
+      expect(result.carbonIntensity).to.be.a('number');
+      sinon.assert.notCalled(geoProvider);
+    });
+
+    it('should read the country from NODE_CARBON_COUNTRY', async () => {
+      process.env.NODE_CARBON_COUNTRY = 'DEU';
+      const geoProvider = sinon.stub().resolves({ country_code3: 'USA' });
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(geoProvider);
+
+      const result = await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      expect(result).to.include({ countryCode: 'DEU', source: 'env' });
+      sinon.assert.notCalled(geoProvider);
+    });
+
+    it('should use the geolocation provider when no country is configured', async () => {
+      const geoProvider = sinon.stub().resolves({ country_code3: 'USA' });
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(geoProvider, () => 379.26);
+
+      const result = await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      expect(result).to.include({ countryCode: 'USA', source: 'provider', carbonIntensity: 379.26 });
+    });
+
+    it('should fall back to the world average when the provider fails', async () => {
+      const geoProvider = sinon.stub().rejects(new Error('getaddrinfo ENOTFOUND get.geojs.io'));
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(geoProvider);
+
+      const result = await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      expect(result).to.include({ countryCode: null, source: 'fallback', carbonIntensity: 475 });
+      expect(result.error).to.equal('getaddrinfo ENOTFOUND get.geojs.io');
+    });
+
+    it('should fall back to the world average when the provider times out', async () => {
+      const geoProvider = () => new Promise(() => {});
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(geoProvider, undefined, { timeout: 20 });
+
+      const result = await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      expect(result).to.include({ source: 'fallback', carbonIntensity: 475 });
+      expect(result.error).to.match(/timed out/);
+    });
+
+    it('should share one cached lookup between calls', async () => {
+      const geoProvider = sinon.stub().resolves({ country_code3: 'USA' });
+      const carbonUsageProvider = sinon.stub().returns(379.26);
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(geoProvider, carbonUsageProvider);
+
+      await Promise.all([
+        geoCarbonUsageMeasurement.fetchCarbonIntensity(),
+        geoCarbonUsageMeasurement.fetchCarbonIntensity(),
+      ]);
+      const result = await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      expect(result).to.include({ countryCode: 'USA', carbonIntensity: 379.26 });
+      sinon.assert.calledOnce(geoProvider);
+      sinon.assert.calledOnce(carbonUsageProvider);
+    });
+
+    it('should look up the location every time when caching is disabled', async () => {
+      const geoProvider = sinon.stub().resolves({ country_code3: 'USA' });
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(geoProvider, undefined, { cache: false });
+
+      await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+      await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      sinon.assert.calledTwice(geoProvider);
+    });
+
+    it('should reject an invalid country', () => {
+      expect(() => new GeoCarbonUsageMeasurement(undefined, undefined, { country: 'United States' })).to.throw('Invalid country');
+    });
+  });
+
+  describe('carbon intensity method', () => {
+    it('should use the reported intensity of a country', async () => {
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(null, undefined, { country: 'USA' });
+
+      const result = await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      expect(result).to.include({ countryCode: 'USA', carbonIntensity: 379.26, intensityMethod: 'reported' });
+      expect(getCarbonIntensityInfo('USA')).to.deep.equal({ carbonIntensity: 379.26, method: 'reported', year: 2021 });
+    });
+
+    it('should use the world average for countries without data', async () => {
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(null, undefined, { country: 'XYZ' });
+
+      const result = await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      expect(result).to.include({ carbonIntensity: 475, intensityMethod: 'world_average' });
+    });
+
+    it('should pass on the method of a provider', async () => {
+      const carbonUsageProvider = sinon.stub().returns({ carbonIntensity: 512.5, method: 'derived' });
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(null, carbonUsageProvider, { country: 'DEU' });
+
+      const result = await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      expect(result).to.include({ carbonIntensity: 512.5, intensityMethod: 'derived' });
+    });
+
+    it('should derive the intensity as the generation-weighted average of the source factors', () => {
+      // 3 TWh coal (995), 1 TWh wind (26)
+      expect(deriveCarbonIntensity({ coal_TWh: 3, wind_TWh: 1, fossil_TWh: 3 })).to.be.closeTo((3 * 995 + 26) / 4, 1e-9);
+
+      // Fossil generation without a breakdown uses the fossil factor (635)
+      expect(deriveCarbonIntensity({ fossil_TWh: 2, gas_TWh: 1, solar_TWh: 1 })).to.be.closeTo((743 + 635 + 48) / 3, 1e-9);
+
+      expect(deriveCarbonIntensity({ coal_TWh: 0, carbon_intensity: null })).to.be.null;
+    });
+  });
+
+  describe('regions', () => {
+    afterEach(() => {
+      delete process.env.NODE_CARBON_REGION;
+    });
+
+    it('should look up cloud regions and grid zones', () => {
+      expect(getRegionInfo('AWS:us-east-1')).to.include({
+        id: 'aws:us-east-1', type: 'cloud', countryCode: 'USA', zone: 'US-VA', carbonIntensity: 379.07,
+      });
+      expect(getRegionInfo('gcp:europe-west1')).to.include({ countryCode: 'BEL', type: 'cloud' });
+      expect(getRegionInfo('au-tas')).to.include({ id: 'AU-TAS', type: 'zone', countryCode: 'AUS' });
+      expect(getRegionInfo('aws:mars-1')).to.be.null;
+      expect(findZoneByName('quebec', 'CAN')).to.include({ id: 'CA-QC' });
+      expect(findZoneByName('California', 'AUS')).to.be.null;
+    });
+
+    it('should name the grid zone of a location for intensity services', () => {
+      expect(getGridZone({ countryCode: 'DEU' })).to.equal('DE');
+      expect(getGridZone({ countryCode: 'USA', region: 'aws:us-east-1' })).to.equal('US-VA');
+      expect(getGridZone({ countryCode: 'USA', region: 'US-CA' })).to.equal('US-CA');
+      expect(getGridZone({ countryCode: null, region: 'aws:eu-west-1' })).to.equal('IE');
+      expect(getGridZone({ countryCode: 'XYZ' })).to.be.null;
+      expect(getGridZone({})).to.be.null;
+    });
+
+    it('should prefer a configured region over the country', async () => {
+      const geoProvider = sinon.stub().resolves({ country_code3: 'USA' });
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(geoProvider, undefined, { region: 'aws:eu-north-1' });
+
+      const result = await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      expect(result).to.include({
+        countryCode: 'SWE',
+        source: 'region',
+        carbonIntensity: 8.8,
+        intensityMethod: 'region',
+        region: 'aws:eu-north-1',
+        regionSource: 'explicit',
+      });
+      sinon.assert.notCalled(geoProvider);
+    });
+
+    it('should read the region from NODE_CARBON_REGION', async () => {
+      process.env.NODE_CARBON_REGION = 'US-WV';
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(null, undefined, { country: 'USA' });
+
+      const result = await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      expect(result).to.include({ countryCode: 'USA', source: 'explicit', region: 'US-WV', regionSource: 'env' });
+    });
+
+    it('should detect the grid zone from the region of the geolocation response', async () => {
+      const geoProvider = sinon.stub().resolves({ country_code3: 'CAN', region: 'Québec' });
+      const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(geoProvider);
+
+      const result = await geoCarbonUsageMeasurement.fetchCarbonIntensity();
+
+      expect(result).to.include({ countryCode: 'CAN', source: 'provider', region: 'CA-QC', regionSource: 'provider' });
+    });
+
+    it('should reject an unknown region', () => {
+      expect(() => new GeoCarbonUsageMeasurement(undefined, undefined, { region: 'aws:mars-1' })).to.throw('Invalid region');
+    });
+  });
+});
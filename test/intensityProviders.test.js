@@ -0,0 +1,204 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import StaticIntensityProvider from '../src/intensityProviders/staticIntensityProvider.js';
+import FileIntensityProvider from '../src/intensityProviders/fileIntensityProvider.js';
+import HttpIntensityProvider from '../src/intensityProviders/httpIntensityProvider.js';
+import GeoCarbonUsageMeasurement from '../src/geoCarbonUsageMeasurement.js';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import { parseIntensitySeries, averageIntensity } from '../src/utils/intensitySeries.js';
+import { getWorldAverageCarbonUsage } from '../src/utils/lib.js';
+import sinon from 'sinon';
+import { expect } from "chai";
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 2, 4, 10);
+
+// Series with two hourly points: 300 from 10:00 and 100 from 11:00
+const points = [
+  { datetime: new Date(T0 + HOUR).toISOString(), carbonIntensity: 100 },
+  { datetime: new Date(T0).toISOString(), carbonIntensity: 300 },
+];
+
+describe('intensitySeries', () => {
+  const series = parseIntensitySeries(points);
+
+  it('should sort points and drop invalid ones', () => {
+    expect(parseIntensitySeries([...points, { datetime: 'never', carbonIntensity: 1 }, { datetime: T0 }]))
+      .to.deep.equal([{ time: T0, carbonIntensity: 300 }, { time: T0 + HOUR, carbonIntensity: 100 }]);
+    expect(() => parseIntensitySeries({})).to.throw('Invalid intensity series');
+  });
+
+  it('should use the point an instant falls in', () => {
+    expect(averageIntensity(series, T0 + 1000)).to.deep.equal({ carbonIntensity: 300, validFrom: T0, validTo: T0 + HOUR });
+  });
+
+  it('should weight the points a window overlaps by time', () => {
+    const intensity = averageIntensity(series, T0 + HOUR / 2, T0 + HOUR + HOUR / 2);
+
+    expect(intensity).to.deep.equal({ carbonIntensity: 200, validFrom: T0, validTo: T0 + 2 * HOUR });
+  });
+
+  it('should use the latest point after the series and nothing before it', () => {
+    expect(averageIntensity(series, T0 + 5 * HOUR).carbonIntensity).to.equal(100);
+    expect(averageIntensity(series, T0 - HOUR)).to.equal(null);
+  });
+});
+
+describe('StaticIntensityProvider', () => {
+  it('should prefer the region, then the country, then the world average', async () => {
+    const provider = new StaticIntensityProvider(async () => 379.26);
+
+    expect(await provider.getIntensity({ countryCode: 'USA', region: 'US-CA' })).to.include({ method: 'region' });
+    expect(await provider.getIntensity({ countryCode: 'USA' })).to.deep.equal({
+      carbonIntensity: 379.26, method: 'reported', validFrom: null, validTo: null,
+    });
+    expect(await provider.getIntensity({})).to.include({
+      carbonIntensity: getWorldAverageCarbonUsage(), method: 'world_average',
+    });
+  });
+});
+
+describe('FileIntensityProvider', () => {
+  let dir;
+  let file;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'node-carbon-'));
+    file = path.join(dir, 'intensity.json');
+    await fs.promises.writeFile(file, JSON.stringify({ DEU: points, 'US-CA': [{ datetime: T0, carbonIntensity: 50 }] }));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should read the series of the region, then of the country', async () => {
+    const provider = new FileIntensityProvider(file);
+
+    expect(await provider.getIntensity({ countryCode: 'DEU', start: T0, end: T0 + 2 * HOUR })).to.deep.equal({
+      carbonIntensity: 200, method: 'live', validFrom: T0, validTo: T0 + 2 * HOUR,
+    });
+    expect(await provider.getIntensity({ countryCode: 'USA', region: 'US-CA', start: T0 })).to.include({ carbonIntensity: 50 });
+  });
+
+  it('should read the series of every zone of a CSV file', async () => {
+    const csvFile = path.join(dir, 'intensity.csv');
+    await fs.promises.writeFile(csvFile, [
+      'zone,datetime,carbonIntensity',
+      `DEU,${points[1].datetime},300`,
+      `US-CA,${T0},50`,
+      `DEU,${points[0].datetime},100`,
+    ].join('\n'));
+    const provider = new FileIntensityProvider(csvFile);
+
+    expect(await provider.getIntensity({ countryCode: 'DEU', start: T0, end: T0 + 2 * HOUR })).to.include({ carbonIntensity: 200 });
+    expect(await provider.getIntensity({ region: 'US-CA', start: T0 })).to.include({ carbonIntensity: 50 });
+  });
+
+  it('should reject locations without a series', async () => {
+    const provider = new FileIntensityProvider(file);
+
+    let error;
+    try {
+      await provider.getIntensity({ countryCode: 'FRA', start: T0 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.match(/^No intensity series for FRA/);
+  });
+
+  it('should give every measurement window the intensity of its own time', async () => {
+    const intensityProvider = new FileIntensityProvider(file);
+    const getIntensity = sinon.spy(intensityProvider, 'getIntensity');
+    const measurement = new PowerConsumptionMeasurement({ country: 'DEU', cache: false, intensityProvider });
+
+    const now = sinon.stub(Date, 'now').returns(T0 + 10 * 60 * 1000);
+    try {
+      await measurement.start();
+      now.returns(T0 + 70 * 60 * 1000);
+      const powerConsumptionInfo = await measurement.stop();
+
+      // 50 minutes at 300 and 10 minutes at 100
+      expect(powerConsumptionInfo.locationInfo).to.include({
+        countryCode: 'DEU', intensityMethod: 'live', intensityProvider: 'file', validFrom: T0, validTo: T0 + 2 * HOUR,
+      });
+      expect(powerConsumptionInfo.locationInfo.carbonIntensity).to.be.closeTo((50 * 300 + 10 * 100) / 60, 1e-9);
+      expect(powerConsumptionInfo.carbonEmission)
+        .to.be.closeTo(powerConsumptionInfo.locationInfo.carbonIntensity * powerConsumptionInfo.energyInfo.energyKWh, 1e-12);
+
+      // The intensity is only looked up for the window, not again when it starts
+      sinon.assert.calledOnceWithMatch(getIntensity, { start: T0 + 10 * 60 * 1000, end: T0 + 70 * 60 * 1000 });
+    } finally {
+      now.restore();
+    }
+  });
+});
+
+describe('HttpIntensityProvider', () => {
+  let server;
+  let url;
+  let requests;
+
+  beforeEach(async () => {
+    requests = [];
+    server = http.createServer((req, res) => {
+      requests.push(req);
+      const zone = new URL(req.url, 'http://localhost').searchParams.get('zone');
+      if (zone !== 'DE') {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ zone, history: points }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/v3/`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should fetch the history of the zone and average it over the window', async () => {
+    const provider = new HttpIntensityProvider({ url, token: 'secret', zone: ({ countryCode }) => countryCode.slice(0, 2) });
+
+    const intensity = await provider.getIntensity({ countryCode: 'DEU', start: T0 + HOUR / 2, end: T0 + HOUR + HOUR / 2 });
+
+    expect(intensity).to.deep.equal({ carbonIntensity: 200, method: 'live', validFrom: T0, validTo: T0 + 2 * HOUR });
+    expect(requests[0].url).to.equal('/v3/carbon-intensity/history?zone=DE');
+    expect(requests[0].headers['auth-token']).to.equal('secret');
+  });
+
+  it('should ask for the ISO2 country code or the grid zone of the region by default', async () => {
+    const provider = new HttpIntensityProvider({ url });
+
+    await provider.getIntensity({ countryCode: 'DEU', start: T0 + HOUR / 2 });
+    await provider.getIntensity({ countryCode: 'USA', region: 'aws:us-east-1', start: T0 }).catch(() => {});
+    await provider.getIntensity({ countryCode: 'USA', region: 'US-CA', start: T0 }).catch(() => {});
+
+    expect(requests.map(request => request.url)).to.deep.equal([
+      '/v3/carbon-intensity/history?zone=DE',
+      '/v3/carbon-intensity/history?zone=US-VA',
+      '/v3/carbon-intensity/history?zone=US-CA',
+    ]);
+  });
+
+  it('should fall back to the bundled data when the service fails', async () => {
+    const geoCarbonUsageMeasurement = new GeoCarbonUsageMeasurement(null, async () => 379.26, {
+      country: 'USA',
+      intensityProvider: new HttpIntensityProvider({ url }),
+    });
+
+    const carbonIntensityInfo = await geoCarbonUsageMeasurement.fetchCarbonIntensity({ start: T0 });
+
+    expect(carbonIntensityInfo).to.include({
+      countryCode: 'USA',
+      carbonIntensity: 379.26,
+      intensityMethod: 'reported',
+      intensityProvider: 'static',
+      intensityError: 'Intensity service responded with 404 for US',
+    });
+  });
+});
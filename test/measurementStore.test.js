@@ -0,0 +1,187 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JsonLinesStore from '../src/stores/jsonLinesStore.js';
+import SqliteStore from '../src/stores/sqliteStore.js';
+import Database from 'better-sqlite3';
+import sinon from 'sinon';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import { getRollupPeriod, rollupRecords } from '../src/utils/measurementRecords.js';
+import { expect } from "chai";
+
+// Minimal results of PowerConsumptionMeasurement.stop()
+const measurementOf = (carbonEmission, energyKWh) => ({
+  cpuUsageInfo: { cpuTimeInSeconds: 0.5 },
+  energyInfo: { energyKWh },
+  carbonEmission,
+  locationInfo: { countryCode: 'DEU', carbonIntensity: 380.95, intensityMethod: 'reported' },
+  elapsedTime: 1000,
+});
+
+describe('measurementRecords', () => {
+  it('should key periods by UTC day, ISO week and month', () => {
+    const time = Date.UTC(2021, 0, 3, 12); // Sunday in ISO week 53 of 2020
+
+    expect(getRollupPeriod(time, 'daily')).to.deep.equal({ key: '2021-01-03', start: Date.UTC(2021, 0, 3) });
+    expect(getRollupPeriod(time, 'weekly')).to.deep.equal({ key: '2020-W53', start: Date.UTC(2020, 11, 28) });
+    expect(getRollupPeriod(time, 'monthly')).to.deep.equal({ key: '2021-01', start: Date.UTC(2021, 0, 1) });
+    expect(getRollupPeriod(Date.UTC(2024, 0, 1), 'weekly').key).to.equal('2024-W01');
+  });
+
+  it('should reject unknown periods', () => {
+    expect(() => rollupRecords([], 'hourly')).to.throw('Invalid period');
+  });
+});
+
+[
+  ['JsonLinesStore', (dir) => new JsonLinesStore(path.join(dir, 'history.jsonl'))],
+  ['SqliteStore', (dir) => new SqliteStore(path.join(dir, 'history.db'))],
+].forEach(([name, createStore]) => {
+  describe(name, () => {
+    let dir;
+    let store;
+
+    beforeEach(async () => {
+      dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'node-carbon-'));
+      store = createStore(dir);
+    });
+
+    afterEach(async () => {
+      await store.close();
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should append measurements and query them by time range, tag and run', async () => {
+      await store.record(measurementOf(1, 0.001), { runId: 'a', tags: { service: 'api' }, timestamp: Date.UTC(2024, 2, 4) });
+      await store.record(measurementOf(2, 0.002), { runId: 'a', tags: { service: 'worker' }, timestamp: Date.UTC(2024, 2, 5) });
+      await store.record(measurementOf(4, 0.004), { runId: 'b', tags: { service: 'api' }, timestamp: Date.UTC(2024, 3, 1) });
+
+      const all = await store.query();
+      expect(all).to.have.lengthOf(3);
+      expect(all[0]).to.deep.equal({
+        timestamp: Date.UTC(2024, 2, 4),
+        runId: 'a',
+        tags: { service: 'api' },
+        country: 'DEU',
+        region: null,
+        carbonIntensity: 380.95,
+        intensityMethod: 'reported',
+        cpuTimeInSeconds: 0.5,
+        energyKWh: 0.001,
+        carbonEmission: 1,
+        elapsedTime: 1000,
+      });
+
+      const march = await store.query({ from: '2024-03-01', to: new Date(Date.UTC(2024, 3, 1)) });
+      expect(march.map(record => record.carbonEmission)).to.deep.equal([1, 2]);
+
+      const api = await store.query({ tags: { service: 'api' } });
+      expect(api.map(record => record.carbonEmission)).to.deep.equal([1, 4]);
+
+      const runB = await store.query({ runId: 'b' });
+      expect(runB).to.have.lengthOf(1);
+    });
+
+    it('should keep the region and intensity method of measurements', async () => {
+      await store.record({
+        ...measurementOf(1, 0.001),
+        locationInfo: { countryCode: 'USA', region: 'aws:us-west-1', carbonIntensity: 203, intensityMethod: 'region' },
+      });
+
+      const [record] = await store.query();
+      expect(record).to.include({ country: 'USA', region: 'aws:us-west-1', carbonIntensity: 203, intensityMethod: 'region' });
+    });
+
+    it('should roll measurements up per day, week and month', async () => {
+      await store.record(measurementOf(1, 0.001), { timestamp: Date.UTC(2024, 2, 4, 9) });
+      await store.record(measurementOf(2, 0.002), { timestamp: Date.UTC(2024, 2, 4, 18) });
+      await store.record(measurementOf(4, 0.004), { timestamp: Date.UTC(2024, 2, 12) });
+      await store.record(measurementOf(8, 0.008), { timestamp: Date.UTC(2024, 3, 1) });
+
+      const daily = await store.rollup('daily');
+      expect(daily.map(rollup => [rollup.period, rollup.count, rollup.carbonEmission])).to.deep.equal([
+        ['2024-03-04', 2, 3],
+        ['2024-03-12', 1, 4],
+        ['2024-04-01', 1, 8],
+      ]);
+
+      const weekly = await store.rollup('weekly');
+      expect(weekly.map(rollup => rollup.period)).to.deep.equal(['2024-W10', '2024-W11', '2024-W14']);
+
+      const monthly = await store.rollup('monthly', { to: '2024-04-01' });
+      expect(monthly).to.have.lengthOf(1);
+      expect(monthly[0]).to.include({ period: '2024-03', count: 3, carbonEmission: 7, cpuTimeInSeconds: 1.5 });
+      expect(monthly[0].energyKWh).to.be.closeTo(0.007, 1e-12);
+    });
+  });
+});
+
+describe('JsonLinesStore with a truncated last line', () => {
+  it('should skip the lines it cannot parse', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'node-carbon-'));
+    const file = path.join(dir, 'history.jsonl');
+    const consoleError = sinon.stub(console, 'error');
+
+    try {
+      const store = new JsonLinesStore(file);
+      await store.record(measurementOf(1, 0.001), { timestamp: Date.UTC(2024, 2, 4) });
+      await store.record(measurementOf(2, 0.002), { timestamp: Date.UTC(2024, 2, 5) });
+      await fs.promises.appendFile(file, '{"timestamp":1709683200000,"runId":"a","tags":{');
+
+      const records = await store.query();
+      expect(records.map(record => record.carbonEmission)).to.deep.equal([1, 2]);
+      expect((await store.rollup('daily')).map(rollup => rollup.count)).to.deep.equal([1, 1]);
+      sinon.assert.calledWith(consoleError, `Skipped 1 invalid line(s) in ${file}`);
+    } finally {
+      consoleError.restore();
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('SqliteStore with an older database', () => {
+  it('should add the region and intensity method columns', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'node-carbon-'));
+    const file = path.join(dir, 'history.db');
+    const db = new Database(file);
+    db.exec(`
+      CREATE TABLE measurements (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp INTEGER NOT NULL, run_id TEXT, tags TEXT NOT NULL DEFAULT '{}',
+        country TEXT, carbon_intensity REAL, cpu_time_seconds REAL NOT NULL, energy_kwh REAL NOT NULL,
+        carbon_emission REAL NOT NULL, elapsed_time INTEGER NOT NULL
+      );
+      INSERT INTO measurements (timestamp, country, carbon_intensity, cpu_time_seconds, energy_kwh, carbon_emission, elapsed_time)
+        VALUES (1, 'DEU', 380.95, 0.5, 0.001, 1, 1000);
+    `);
+    db.close();
+    const store = new SqliteStore(file);
+
+    try {
+      await store.record(measurementOf(2, 0.002), { timestamp: 2 });
+
+      const records = await store.query();
+      expect(records.map(record => [record.country, record.intensityMethod])).to.deep.equal([['DEU', null], ['DEU', 'reported']]);
+    } finally {
+      await store.close();
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('PowerConsumptionMeasurement with a store', () => {
+  it('should store every measurement with its run id and tags', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'node-carbon-'));
+    const store = new JsonLinesStore(path.join(dir, 'history.jsonl'));
+
+    try {
+      const measurement = new PowerConsumptionMeasurement({ country: 'USA', store, runId: 'nightly', tags: { job: 'etl' } });
+      await measurement.start();
+      const powerConsumptionInfo = await measurement.stop();
+
+      const [record] = await store.query({ tags: { job: 'etl' } });
+      expect(record).to.include({ runId: 'nightly', country: 'USA', carbonEmission: powerConsumptionInfo.carbonEmission });
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,38 @@
+import MemoryPowerModel, { MEMORY_POWER_PRESETS } from '../src/memoryPowerModel.js';
+import { calculatePowerConsumption } from '../src/powerConsumptionMeasurement.js';
+import { expect } from "chai";
+
+describe('MemoryPowerModel', () => {
+  it('should turn the average RSS into energy using 0.375 W/GB by default', () => {
+    const memoryPowerModel = new MemoryPowerModel();
+
+    // 4 GB held for an hour
+    const estimate = memoryPowerModel.estimate(4096, 3600);
+
+    expect(estimate).to.include({ averageRssGB: 4, memoryType: 'DDR4', wattsPerGB: 0.375, powerWatts: 1.5 });
+    expect(estimate.energyJoules).to.equal(5400);
+    expect(estimate.energyWh).to.be.closeTo(1.5, 1e-12);
+    expect(estimate.energyKWh).to.be.closeTo(0.0015, 1e-12);
+  });
+
+  it('should take the coefficient from the memory type or the configuration', () => {
+    expect(new MemoryPowerModel({ memoryType: 'ddr5' })).to.include({ memoryType: 'DDR5', wattsPerGB: MEMORY_POWER_PRESETS.DDR5 });
+    expect(new MemoryPowerModel({ memoryType: 'DDR3' }).wattsPerGB).to.be.above(MEMORY_POWER_PRESETS.DDR4);
+    expect(new MemoryPowerModel({ wattsPerGB: 0.5, memoryType: 'DDR3' })).to.include({ memoryType: null, wattsPerGB: 0.5 });
+
+    expect(() => new MemoryPowerModel({ memoryType: 'SDRAM' })).to.throw('Invalid memoryType');
+    expect(() => new MemoryPowerModel({ wattsPerGB: -1 })).to.throw('Invalid wattsPerGB');
+  });
+
+  it('should charge memory that is held, not memory that changed', () => {
+    const cpuEnergyInfo = { energyWh: 0 };
+
+    // A stable 4 GB and a process freeing memory both draw power
+    const stable = calculatePowerConsumption(cpuEnergyInfo, { rssDeltaMB: 0, averageRssMB: 4096 }, 3600 * 1000);
+    const freeing = calculatePowerConsumption(cpuEnergyInfo, { rssDeltaMB: -1024, averageRssMB: 512 }, 3600 * 1000);
+
+    expect(stable.memory.powerWatts).to.equal(1.5);
+    expect(stable.energyWh).to.be.closeTo(1.5, 1e-12);
+    expect(freeing.memory.powerWatts).to.be.above(0);
+  });
+});
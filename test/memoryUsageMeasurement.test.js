@@ -29,4 +29,39 @@ describe('MemoryUsageMeasurement', () => {
     // Log the results for manual inspection
     console.log('Memory Usage Measurement Results:', results);
   });
-});
\ No newline at end of file
+
+  it('should sample RSS into a time-weighted average', async () => {
+    const memoryUsageMeasurement = new MemoryUsageMeasurement({ sampleInterval: 10 });
+
+    memoryUsageMeasurement.start();
+    await new Promise(resolve => setTimeout(resolve, 60));
+    const results = memoryUsageMeasurement.stop();
+
+    results.sampleCount.should.be.above(2);
+    results.averageRssMB.should.be.above(0);
+    results.averageRssMB.should.be.at.most(results.peakRssMB);
+  });
+
+  it('should integrate the samples with the trapezoidal rule', () => {
+    const memoryUsageMeasurement = new MemoryUsageMeasurement({ sampleInterval: 0 });
+    const { startTime } = memoryUsageMeasurement;
+    const MB = 1024 * 1024;
+
+    // Replace the start sample with 100 MB, rising to 300 MB after 1 s and staying there for 1 s
+    memoryUsageMeasurement.lastSample = { time: startTime, rss: 100 * MB };
+    memoryUsageMeasurement.sample(300 * MB, startTime + 1000);
+    memoryUsageMeasurement.sample(300 * MB, startTime + 2000);
+
+    (memoryUsageMeasurement.rssIntegral / 2000 / MB).should.equal(250);
+    memoryUsageMeasurement.peakRss.should.be.at.least(300 * MB);
+  });
+
+  it('should stop sampling when cancelled', () => {
+    const memoryUsageMeasurement = new MemoryUsageMeasurement({ sampleInterval: 10 });
+
+    memoryUsageMeasurement.start();
+    memoryUsageMeasurement.cancel();
+
+    (memoryUsageMeasurement.timer === null).should.equal(true);
+  });
+});
@@ -0,0 +1,105 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import { createMochaHooks, getEnvOptions } from '../src/mochaCarbonPlugin.js';
+import TestCarbonRecorder from '../src/testCarbonRecorder.js';
+import { expect } from "chai";
+
+// Function to create a powerConsumptionInfo-shaped result
+const footprint = (carbonEmission) => ({
+  elapsedTime: 10,
+  energyInfo: { energyKWh: carbonEmission / 100, cpu: { cpuTimeInSeconds: 0.01 } },
+  carbonEmission,
+});
+
+describe('mochaCarbonPlugin', () => {
+  describe('TestCarbonRecorder', () => {
+    it('should summarise tests per suite and list the heaviest first', () => {
+      const recorder = new TestCarbonRecorder({ top: 2 });
+      recorder.record({ title: 'a', suite: 'Suite 1' }, footprint(1));
+      recorder.record({ title: 'b', suite: 'Suite 1' }, footprint(3));
+      recorder.record({ title: 'c', suite: 'Suite 2' }, footprint(2));
+
+      const summary = recorder.getSummary();
+
+      expect(summary.testCount).to.equal(3);
+      expect(summary.carbonEmission).to.equal(6);
+      expect(summary.suites['Suite 1']).to.deep.equal({ tests: 2, energyKWh: 0.04, carbonEmission: 4 });
+      expect(summary.heaviestTests.map(test => test.title)).to.deep.equal(['b', 'c']);
+      expect(summary.overBudget).to.be.false;
+    });
+
+    it('should write a JSON summary', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-carbon-'));
+      const recorder = new TestCarbonRecorder({ output: path.join(dir, 'carbon.json') });
+      recorder.record({ title: 'a', suite: 'Suite 1' }, footprint(1));
+
+      await recorder.write();
+
+      const written = JSON.parse(fs.readFileSync(path.join(dir, 'carbon.json'), 'utf8'));
+      expect(written.carbonEmission).to.equal(1);
+      expect(written.tests).to.have.lengthOf(1);
+      fs.rmSync(dir, { recursive: true });
+    });
+  });
+
+  describe('createMochaHooks', () => {
+    let consoleStub;
+    let tableStub;
+
+    beforeEach(() => {
+      consoleStub = sinon.stub(console, 'log');
+      tableStub = sinon.stub(console, 'table');
+    });
+
+    afterEach(() => {
+      consoleStub.restore();
+      tableStub.restore();
+    });
+
+    it('should measure every test and print the heaviest tests', async () => {
+      const recorder = new TestCarbonRecorder();
+      const hooks = createMochaHooks({ recorder, measurement: { country: 'USA' } });
+      const context = {
+        currentTest: { title: 'does work', file: 'test/a.test.js', state: 'passed', parent: { fullTitle: () => 'Suite' } },
+      };
+
+      await hooks.beforeEach.call(context);
+      await hooks.afterEach.call(context);
+      await hooks.afterAll.call({});
+
+      expect(recorder.tests).to.have.lengthOf(1);
+      expect(recorder.tests[0]).to.include({ title: 'does work', suite: 'Suite', state: 'passed' });
+      expect(recorder.tests[0].carbonEmission).to.be.a('number');
+      sinon.assert.calledOnce(tableStub);
+    });
+
+    it('should fail the run when the total is over the budget', async () => {
+      const recorder = new TestCarbonRecorder({ budget: 1 });
+      recorder.record({ title: 'a', suite: 'Suite' }, footprint(2));
+      const hooks = createMochaHooks({ recorder, measurement: { country: 'USA' } });
+
+      try {
+        await hooks.afterAll.call({});
+        expect.fail('afterAll should have thrown');
+      } catch (error) {
+        expect(error.message).to.match(/^Carbon budget exceeded: 2 gCO2e/);
+      }
+    });
+  });
+
+  describe('getEnvOptions', () => {
+    afterEach(() => {
+      delete process.env.NODE_CARBON_BUDGET;
+      delete process.env.NODE_CARBON_TEST_REPORT;
+    });
+
+    it('should read the options from the environment', () => {
+      process.env.NODE_CARBON_BUDGET = '0.5';
+      process.env.NODE_CARBON_TEST_REPORT = 'carbon.json';
+
+      expect(getEnvOptions()).to.deep.equal({ budget: 0.5, output: 'carbon.json' });
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import sinon from 'sinon';
+import NodeCarbon from '../index.js';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import { expect } from "chai";
+
+describe('NodeCarbon', () => {
+  describe('measure', () => {
+    it('should return the result of an async function with its footprint', async () => {
+      const nodeCarbon = new NodeCarbon({ country: 'USA' });
+
+      const { result, report } = await nodeCarbon.measure(async () => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return 42;
+      });
+
+      expect(result).to.equal(42);
+      expect(report.elapsedTime).to.be.greaterThanOrEqual(15);
+      expect(report.carbonEmission).to.be.a('number');
+      expect(report.locationInfo).to.include({ countryCode: 'USA' });
+    });
+
+    it('should measure sync functions', async () => {
+      const nodeCarbon = new NodeCarbon({ country: 'USA' });
+
+      const { result, report } = await nodeCarbon.measure(() => 'done');
+
+      expect(result).to.equal('done');
+      expect(report.energyInfo.energyKWh).to.be.a('number');
+    });
+
+    it('should stop measuring and attach the report when the function throws', async () => {
+      const nodeCarbon = new NodeCarbon({ country: 'USA' });
+      const onMeasurement = sinon.spy();
+      nodeCarbon.on('measurement', onMeasurement);
+
+      try {
+        await nodeCarbon.measure(async () => {
+          throw new Error('Mock job error');
+        });
+        expect.fail('measure should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Mock job error');
+        expect(error.carbonReport).to.have.property('carbonEmission');
+      }
+
+      sinon.assert.calledOnce(onMeasurement);
+    });
+
+    it('should rethrow the error of the function when the measurement cannot be stopped', async () => {
+      const nodeCarbon = new NodeCarbon({ country: 'USA' });
+      const stop = sinon.stub(PowerConsumptionMeasurement.prototype, 'stop').rejects(new Error('Mock stop error'));
+
+      try {
+        await nodeCarbon.measure(async () => {
+          throw new Error('Mock job error');
+        });
+        expect.fail('measure should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Mock job error');
+        expect(error).not.to.have.property('carbonReport');
+      } finally {
+        stop.restore();
+      }
+    });
+
+    it('should support nested and concurrent measurements', async () => {
+      const nodeCarbon = new NodeCarbon({ country: 'USA' });
+      const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+      const [outer, concurrent] = await Promise.all([
+        nodeCarbon.measure(async () => {
+          await wait(10);
+          const inner = await nodeCarbon.measure(() => wait(10));
+          await wait(10);
+          return inner;
+        }),
+        nodeCarbon.measure(() => wait(5)),
+      ]);
+
+      expect(outer.report.elapsedTime).to.be.greaterThanOrEqual(outer.result.report.elapsedTime);
+      expect(outer.result.report.elapsedTime).to.be.greaterThanOrEqual(5);
+      expect(concurrent.report.elapsedTime).to.be.lessThan(outer.report.elapsedTime);
+
+      // The instance itself was never started
+      expect(nodeCarbon.startTime).to.equal(0);
+    });
+
+    it('should reject a missing function', async () => {
+      const nodeCarbon = new NodeCarbon({ country: 'USA' });
+
+      try {
+        await nodeCarbon.measure();
+        expect.fail('measure should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Invalid fn: must be a function');
+      }
+    });
+  });
+});
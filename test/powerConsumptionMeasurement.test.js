@@ -26,7 +26,11 @@ describe('PowerConsumptionMeasurement', () => {
     // Assert the results
     results.should.have.property('cpuUsageInfo').that.is.an('object');
     results.should.have.property('memoryUsageInfo').that.is.an('object');
+    results.should.have.property('energyInfo').that.is.an('object');
+    results.energyInfo.should.have.property('energyKWh').that.is.a('number');
+    results.energyInfo.cpu.should.have.property('utilization').that.is.within(0, 1);
     results.should.have.property('carbonEmission').that.is.a('number');
+    results.should.have.property('locationInfo').that.is.an('object');
     results.should.have.property('elapsedTime').that.is.a('number');
 
     // Log the results for manual inspection
@@ -123,4 +127,114 @@ describe('PowerConsumptionMeasurement', () => {
     // Call the stopPowerMeasurement method to stop the test explicitly
     await powerConsumptionMeasurement.stopPowerMeasurement();
   })
+
+  it('should emit start, measurement and stop events for interval measurements', async () => {
+    let reporter;
+    const reported = new Promise(resolve => { reporter = sinon.spy(resolve); });
+    const powerConsumptionMeasurement = new PowerConsumptionMeasurement({ country: 'USA', reporter });
+    const onStart = sinon.spy();
+    const onStop = sinon.spy();
+    powerConsumptionMeasurement.on('start', onStart);
+    powerConsumptionMeasurement.on('stop', onStop);
+
+    const measurement = new Promise(resolve => powerConsumptionMeasurement.once('measurement', resolve));
+    await powerConsumptionMeasurement.startMeasurementWithInterval(50);
+    const result = await measurement;
+    await reported;
+    powerConsumptionMeasurement.stopPowerMeasurement();
+
+    expect(result).to.have.property('carbonEmission').that.is.a('number');
+    expect(result.locationInfo).to.include({ countryCode: 'USA', source: 'explicit' });
+    sinon.assert.calledWith(onStart, { intervalDuration: 50 });
+    sinon.assert.calledOnce(onStop);
+    sinon.assert.calledWith(reporter, result);
+  });
+
+  it('should emit errors from interval measurements', async () => {
+    const powerConsumptionMeasurement = new PowerConsumptionMeasurement({ country: 'USA' });
+    powerConsumptionMeasurement.stopAndReport = sinon.stub().rejects(new Error('Mock measurement error'));
+
+    const error = new Promise(resolve => powerConsumptionMeasurement.once('error', resolve));
+    await powerConsumptionMeasurement.startMeasurementWithInterval(20);
+    const emittedError = await error;
+    powerConsumptionMeasurement.stopPowerMeasurement();
+
+    expect(emittedError.message).to.equal('Mock measurement error');
+  });
+
+  it('should iterate over interval measurements until stopped', async () => {
+    const powerConsumptionMeasurement = new PowerConsumptionMeasurement({ country: 'USA' });
+    await powerConsumptionMeasurement.startMeasurementWithInterval(20);
+
+    const results = [];
+    for await (const result of powerConsumptionMeasurement) {
+      results.push(result);
+      if (results.length === 2) powerConsumptionMeasurement.stopPowerMeasurement();
+    }
+
+    expect(results).to.have.lengthOf(2);
+    results.forEach(result => expect(result.energyInfo.energyKWh).to.be.a('number'));
+  });
+
+  it('should leave no sampler running once stopped', async () => {
+    const powerConsumptionMeasurement = new PowerConsumptionMeasurement({
+      country: 'USA',
+      scope: 'tree',
+      treeSampleInterval: 10,
+      sampler: { interval: 10 },
+    });
+    await powerConsumptionMeasurement.startMeasurementWithInterval(20);
+
+    // Stop once the next interval has started again
+    await new Promise(resolve => powerConsumptionMeasurement.once('measurement', resolve));
+    await new Promise(resolve => setTimeout(resolve, 10));
+    powerConsumptionMeasurement.stopPowerMeasurement();
+
+    expect(powerConsumptionMeasurement.timer).to.be.null;
+    expect(powerConsumptionMeasurement.cpuUsageMeasurement.timer).to.be.null;
+    expect(powerConsumptionMeasurement.memoryUsageMeasurement.timer).to.be.null;
+    expect(powerConsumptionMeasurement.usageSampler.timer).to.be.null;
+  });
+
+  describe('totals', () => {
+    it('should add up every interval measurement', async () => {
+      const powerConsumptionMeasurement = new PowerConsumptionMeasurement({ country: 'USA' });
+      await powerConsumptionMeasurement.startMeasurementWithInterval(20);
+
+      const results = [];
+      for await (const result of powerConsumptionMeasurement) {
+        results.push(result);
+        if (results.length === 3) powerConsumptionMeasurement.stopPowerMeasurement();
+      }
+
+      const sum = (values) => values.reduce((total, value) => total + value, 0);
+      const totals = powerConsumptionMeasurement.getTotals();
+      expect(totals.sampleCount).to.equal(3);
+      expect(totals.cpuTimeInSeconds).to.be.closeTo(sum(results.map(r => r.cpuUsageInfo.cpuTimeInSeconds)), 1e-9);
+      expect(totals.energyKWh).to.be.closeTo(sum(results.map(r => r.energyInfo.energyKWh)), 1e-12);
+      expect(totals.carbonEmission).to.be.closeTo(sum(results.map(r => r.carbonEmission)), 1e-9);
+      expect(totals.peakRssMB).to.equal(Math.max(...results.map(r => r.memoryUsageInfo.peakRssMB)));
+    });
+
+    it('should reset, snapshot and restore the totals', async () => {
+      const powerConsumptionMeasurement = new PowerConsumptionMeasurement({ country: 'USA' });
+      await powerConsumptionMeasurement.start();
+      await powerConsumptionMeasurement.stop();
+
+      const snapshot = JSON.parse(JSON.stringify(powerConsumptionMeasurement.snapshot()));
+      powerConsumptionMeasurement.reset();
+      expect(powerConsumptionMeasurement.getTotals()).to.include({ sampleCount: 0, carbonEmission: 0 });
+
+      // A new process picks up where the snapshot left off
+      const restored = new PowerConsumptionMeasurement({ country: 'USA' });
+      restored.restore(snapshot);
+      await restored.start();
+      await restored.stop();
+
+      expect(restored.getTotals().sampleCount).to.equal(2);
+      expect(restored.getTotals().since).to.equal(snapshot.since);
+      expect(restored.getTotals().carbonEmission).to.be.at.least(snapshot.carbonEmission);
+      expect(() => restored.restore({ sampleCount: 'many' })).to.throw('Invalid snapshot');
+    });
+  });
 });
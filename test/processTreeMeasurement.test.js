@@ -0,0 +1,107 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sinon from 'sinon';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import ProcessTreeMeasurement from '../src/processTreeMeasurement.js';
+import { parseProcessStat, readProcessTree } from '../src/utils/procfs.js';
+import { expect } from "chai";
+
+// Function to write a fake /proc/<pid>/stat (utime, stime, cutime and cstime in ticks, rss in pages)
+const writeStat = (procRoot, { pid, ppid, command = 'node', utime = 0, stime = 0, cutime = 0, cstime = 0, startTime = 1000, rss = 0 }) => {
+  const fields = ['S', ppid, 0, 0, 0, 0, 0, 0, 0, 0, 0, utime, stime, cutime, cstime, 20, 0, 1, 0, startTime, 0, rss];
+  fs.mkdirSync(path.join(procRoot, String(pid)), { recursive: true });
+  fs.writeFileSync(path.join(procRoot, String(pid), 'stat'), `${pid} (${command}) ${fields.join(' ')}\n`);
+};
+
+describe('ProcessTreeMeasurement', () => {
+  let procRoot;
+
+  beforeEach(() => {
+    procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'node-carbon-proc-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(procRoot, { recursive: true });
+  });
+
+  it('should parse /proc/<pid>/stat with spaces and parentheses in the command', () => {
+    const stat = parseProcessStat('42 (my (weird) cmd) S 1 0 0 0 0 0 0 0 0 0 250 50 0 0 20 0 1 0 777 0 100');
+
+    expect(stat).to.deep.include({ pid: 42, command: 'my (weird) cmd', ppid: 1, startTime: 777, rssBytes: 409600 });
+    expect(stat.userTimeInSeconds).to.equal(2.5);
+    expect(stat.systemTimeInSeconds).to.equal(0.5);
+  });
+
+  it('should read a process and its descendants only', () => {
+    writeStat(procRoot, { pid: 10, ppid: 1 });
+    writeStat(procRoot, { pid: 11, ppid: 10 });
+    writeStat(procRoot, { pid: 12, ppid: 11 });
+    writeStat(procRoot, { pid: 20, ppid: 1 });
+
+    expect(readProcessTree(10, { procRoot }).map(stat => stat.pid)).to.deep.equal([10, 11, 12]);
+    expect(readProcessTree(99, { procRoot })).to.deep.equal([]);
+  });
+
+  it('should add up the CPU time of the tree, including processes that exited', async () => {
+    const measurement = new PowerConsumptionMeasurement({ country: 'USA', cpuPowerModel: { tdp: 100, cores: 2 } });
+    const processTreeMeasurement = new ProcessTreeMeasurement(10, { measurement, procRoot, interval: 60000 });
+
+    writeStat(procRoot, { pid: 10, ppid: 1, utime: 100, rss: 256 });
+    await processTreeMeasurement.start();
+
+    writeStat(procRoot, { pid: 10, ppid: 1, utime: 150, rss: 256 });
+    writeStat(procRoot, { pid: 11, ppid: 10, utime: 30, stime: 20, rss: 512 });
+    processTreeMeasurement.sample();
+
+    // The child exits and the parent waits for it, the parent keeps running
+    fs.rmSync(path.join(procRoot, '11'), { recursive: true });
+    writeStat(procRoot, { pid: 10, ppid: 1, utime: 160, cutime: 30, cstime: 20, rss: 256 });
+
+    const result = await processTreeMeasurement.stop();
+
+    expect(result.cpuUsageInfo.cpuTimeInSeconds).to.be.closeTo(1.1, 1e-9);
+    expect(result.cpuUsageInfo.processCount).to.equal(2);
+    expect(result.memoryUsageInfo.peakRssMB).to.equal(3);
+    expect(result.energyInfo.cpu.cpuTimeInSeconds).to.be.closeTo(1.1, 1e-9);
+    expect(result.carbonEmission).to.be.a('number');
+    expect(result.samples).to.have.lengthOf(3);
+  });
+
+  it('should weigh the RSS of every sample by the time it covers', async () => {
+    const clock = sinon.useFakeTimers({ now: 0, toFake: ['Date'] });
+    const measurement = new PowerConsumptionMeasurement({ country: 'USA' });
+    const processTreeMeasurement = new ProcessTreeMeasurement(10, { measurement, procRoot, interval: 60000 });
+
+    try {
+      // 1 MB for 3 s, then rising to 3 MB in the last 10 ms
+      writeStat(procRoot, { pid: 10, ppid: 1, rss: 256 });
+      await processTreeMeasurement.start();
+      clock.tick(3000);
+      processTreeMeasurement.sample();
+      clock.tick(10);
+      writeStat(procRoot, { pid: 10, ppid: 1, rss: 768 });
+
+      const { memoryUsageInfo } = await processTreeMeasurement.stop();
+
+      expect(memoryUsageInfo.averageRssMB).to.be.closeTo((3000 * 1 + 10 * 2) / 3010, 1e-9);
+      expect(memoryUsageInfo.peakRssMB).to.equal(3);
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('should fail when the proc filesystem is missing', async () => {
+    const processTreeMeasurement = new ProcessTreeMeasurement(10, {
+      measurement: new PowerConsumptionMeasurement({ country: 'USA' }),
+      procRoot: path.join(procRoot, 'missing'),
+    });
+
+    try {
+      await processTreeMeasurement.start();
+      expect.fail('start should have thrown');
+    } catch (error) {
+      expect(error.message).to.match(/is not available/);
+    }
+  });
+});
@@ -0,0 +1,160 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import ProcessTreeUsageMeasurement from '../src/processTreeUsageMeasurement.js';
+import { expect } from "chai";
+
+// Function to write a fake /proc/<pid>/stat (utime, stime, cutime and cstime in ticks, rss in pages)
+const writeStat = (procRoot, { pid, ppid, command = 'node', utime = 0, stime = 0, cutime = 0, cstime = 0, startTime = 1000, rss = 0 }) => {
+  const fields = ['S', ppid, 0, 0, 0, 0, 0, 0, 0, 0, 0, utime, stime, cutime, cstime, 20, 0, 1, 0, startTime, 0, rss];
+  fs.mkdirSync(path.join(procRoot, String(pid)), { recursive: true });
+  fs.writeFileSync(path.join(procRoot, String(pid), 'stat'), `${pid} (${command}) ${fields.join(' ')}\n`);
+};
+
+// Function to compare a per-process breakdown, allowing for rounding in the CPU times
+const expectProcesses = (processes, expected) => {
+  expect(processes.map(({ pid, command }) => ({ pid, command })))
+    .to.deep.equal(expected.map(({ pid, command }) => ({ pid, command })));
+  processes.forEach(({ cpuTimeInSeconds }, index) => {
+    expect(cpuTimeInSeconds).to.be.closeTo(expected[index].cpuTimeInSeconds, 1e-9);
+  });
+};
+
+describe('ProcessTreeUsageMeasurement', () => {
+  let procRoot;
+
+  beforeEach(() => {
+    procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'node-carbon-tree-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(procRoot, { recursive: true });
+  });
+
+  it('should break the CPU time of the tree down per process, including children that exited', () => {
+    const measurement = new ProcessTreeUsageMeasurement({ pid: 10, procRoot });
+
+    writeStat(procRoot, { pid: 10, ppid: 1, utime: 100, rss: 256 });
+    writeStat(procRoot, { pid: 20, ppid: 1, utime: 500 });
+    measurement.start();
+
+    writeStat(procRoot, { pid: 10, ppid: 1, utime: 150, rss: 256 });
+    writeStat(procRoot, { pid: 11, ppid: 10, command: 'ffmpeg', utime: 60, stime: 20, rss: 512 });
+    writeStat(procRoot, { pid: 20, ppid: 1, utime: 900 });
+    measurement.sample();
+    expect(measurement.readMemory()).to.equal(768 * 4096);
+
+    // The child exits before the measurement stops, and the parent waits for it
+    fs.rmSync(path.join(procRoot, '11'), { recursive: true });
+    writeStat(procRoot, { pid: 10, ppid: 1, utime: 150, cutime: 60, cstime: 20, rss: 256 });
+    const result = measurement.stop();
+
+    expect(result.cpuTimeInSeconds).to.be.closeTo(1.3, 1e-9);
+    expect(result.processCount).to.equal(2);
+    expectProcesses(result.processes, [
+      { pid: 11, command: 'ffmpeg', cpuTimeInSeconds: 0.8 },
+      { pid: 10, command: 'node', cpuTimeInSeconds: 0.5 },
+    ]);
+  });
+
+  it('should read /proc only at its own samples, not at every memory read', () => {
+    const measurement = new ProcessTreeUsageMeasurement({ pid: 10, procRoot, interval: 60000 });
+
+    writeStat(procRoot, { pid: 10, ppid: 1, rss: 256 });
+    measurement.start();
+    writeStat(procRoot, { pid: 10, ppid: 1, rss: 512 });
+
+    expect(measurement.readMemory()).to.equal(256 * 4096);
+    measurement.sample();
+    expect(measurement.readMemory()).to.equal(512 * 4096);
+    measurement.stop();
+    expect(() => new ProcessTreeUsageMeasurement({ interval: 0 })).to.throw('Invalid interval: must be a positive number');
+  });
+
+  it('should count a short-lived grandchild through the parents that waited for it', () => {
+    const measurement = new ProcessTreeUsageMeasurement({ pid: 10, procRoot, interval: 60000 });
+
+    writeStat(procRoot, { pid: 10, ppid: 1, utime: 100 });
+    writeStat(procRoot, { pid: 11, ppid: 10, command: 'sh', utime: 5 });
+    measurement.start();
+
+    // The grandchild used 0.7 s and exited between two samples; sh waited for it
+    writeStat(procRoot, { pid: 11, ppid: 10, command: 'sh', utime: 10, cutime: 70 });
+    measurement.sample();
+
+    // sh exits too and its parent waits for it
+    fs.rmSync(path.join(procRoot, '11'), { recursive: true });
+    writeStat(procRoot, { pid: 10, ppid: 1, utime: 120, cutime: 80 });
+    const result = measurement.stop();
+
+    // 0.2 s of the root, 0.05 s of sh and 0.7 s of the grandchild, counted once
+    expect(result.cpuTimeInSeconds).to.be.closeTo(0.95, 1e-9);
+    expectProcesses(result.processes, [
+      { pid: 11, command: 'sh', cpuTimeInSeconds: 0.75 },
+      { pid: 10, command: 'node', cpuTimeInSeconds: 0.2 },
+    ]);
+  });
+
+  it('should count a spawned root from zero and read it from the spawner once it exited', () => {
+    // The current process, which spawned the root, has waited for 1 s of other children before
+    writeStat(procRoot, { pid: process.pid, ppid: 1, cutime: 100 });
+    writeStat(procRoot, { pid: 10, ppid: process.pid, utime: 30 });
+    const measurement = new ProcessTreeUsageMeasurement({ pid: 10, procRoot, interval: 60000, spawned: true });
+    measurement.start();
+
+    writeStat(procRoot, { pid: 10, ppid: process.pid, utime: 80 });
+    measurement.sample();
+
+    // The root used 1.3 s in total and the current process waited for it
+    fs.rmSync(path.join(procRoot, '10'), { recursive: true });
+    writeStat(procRoot, { pid: process.pid, ppid: 1, cutime: 230 });
+    const result = measurement.stop();
+
+    expect(result.cpuTimeInSeconds).to.be.closeTo(1.3, 1e-9);
+    expectProcesses(result.processes, [{ pid: 10, command: 'node', cpuTimeInSeconds: 1.3 }]);
+  });
+
+  it('should not count a reused pid as the same process', () => {
+    const measurement = new ProcessTreeUsageMeasurement({ pid: 10, procRoot });
+
+    writeStat(procRoot, { pid: 10, ppid: 1 });
+    writeStat(procRoot, { pid: 11, ppid: 10, utime: 300, startTime: 2000 });
+    measurement.start();
+
+    writeStat(procRoot, { pid: 11, ppid: 10, utime: 40, startTime: 3000 });
+    const result = measurement.stop();
+
+    expectProcesses(result.processes, [{ pid: 11, command: 'node', cpuTimeInSeconds: 0.4 }]);
+  });
+
+  it('should fail to start without a proc filesystem', () => {
+    const measurement = new ProcessTreeUsageMeasurement({ procRoot: path.join(procRoot, 'missing') });
+
+    expect(() => measurement.start()).to.throw(/is not available/);
+    expect(measurement.readMemory()).to.be.above(0);
+  });
+
+  it('should measure child processes in the tree scope', async function () {
+    this.timeout(10000);
+
+    const measurement = new PowerConsumptionMeasurement({ country: 'DEU', scope: 'tree', treeSampleInterval: 50 });
+    await measurement.start();
+
+    // The child keeps its CPU busy for 300 ms and then waits to be killed
+    const child = spawn(process.execPath, ['-e', 'const end = Date.now() + 300; while (Date.now() < end); setInterval(() => {}, 1000);']);
+    try {
+      await new Promise((resolve) => setTimeout(resolve, 600));
+      const { cpuUsageInfo, memoryUsageInfo, scope } = await measurement.stop();
+
+      expect(scope).to.equal('tree');
+      const childInfo = cpuUsageInfo.processes.find(({ pid }) => pid === child.pid);
+      expect(childInfo.cpuTimeInSeconds).to.be.at.least(0.2);
+      expect(cpuUsageInfo.cpuTimeInSeconds).to.be.at.least(childInfo.cpuTimeInSeconds);
+      expect(memoryUsageInfo.peakRssMB).to.be.above(process.memoryUsage.rss() / (1024 * 1024));
+    } finally {
+      child.kill();
+    }
+  });
+});
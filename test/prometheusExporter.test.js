@@ -0,0 +1,64 @@
+import http from 'http';
+import sinon from 'sinon';
+import PrometheusExporter, { formatPrometheusMetrics, PROMETHEUS_CONTENT_TYPE } from '../src/prometheusExporter.js';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import { expect } from "chai";
+
+describe('PrometheusExporter', () => {
+  const totals = { cpuTimeInSeconds: 1.5, energyKWh: 0.002, carbonEmission: 0.75, peakRssMB: 80, sampleCount: 3, since: 0 };
+
+  it('should format the totals in the text exposition format', () => {
+    const text = formatPrometheusMetrics(totals, { countryCode: 'DEU', carbonIntensity: 380.95 });
+
+    expect(text).to.include('# TYPE node_carbon_energy_kwh_total counter\nnode_carbon_energy_kwh_total 0.002\n');
+    expect(text).to.include('node_carbon_emissions_grams_total 0.75\n');
+    expect(text).to.include('node_carbon_cpu_seconds_total 1.5\n');
+    expect(text).to.include('# TYPE node_carbon_grid_intensity_gco2_per_kwh gauge\n');
+    expect(text).to.include('node_carbon_grid_intensity_gco2_per_kwh{country="DEU"} 380.95\n');
+  });
+
+  it('should leave out the grid intensity until the location is known', () => {
+    const text = formatPrometheusMetrics(totals, null);
+
+    expect(text).not.to.include('node_carbon_grid_intensity_gco2_per_kwh');
+    expect(text.endsWith('\n')).to.be.true;
+  });
+
+  it('should serve the totals of the interval measurements over HTTP', async () => {
+    const measurement = new PowerConsumptionMeasurement({ country: 'USA' });
+    const exporter = new PrometheusExporter(measurement, { interval: 20 });
+    const measured = new Promise(resolve => measurement.once('measurement', resolve));
+
+    await exporter.start();
+    await measured;
+
+    const server = http.createServer(exporter.handler());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/metrics`);
+      const text = await response.text();
+
+      expect(response.headers.get('content-type')).to.equal(PROMETHEUS_CONTENT_TYPE);
+      expect(text).to.match(/^node_carbon_energy_kwh_total \S+$/m);
+      expect(text).to.include('node_carbon_grid_intensity_gco2_per_kwh{country="USA"}');
+    } finally {
+      exporter.stop();
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    expect(measurement.timer).to.be.null;
+  });
+
+  it('should not start or stop interval measurements that are already running', async () => {
+    const measurement = new PowerConsumptionMeasurement({ country: 'USA' });
+    measurement.timer = setInterval(() => {}, 1000);
+    const stopPowerMeasurement = sinon.spy(measurement, 'stopPowerMeasurement');
+
+    const exporter = new PrometheusExporter(measurement);
+    await exporter.start();
+    exporter.stop();
+
+    sinon.assert.notCalled(stopPowerMeasurement);
+    clearInterval(measurement.timer);
+  });
+});
@@ -0,0 +1,152 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RaplEnergySource from '../src/energySources/raplEnergySource.js';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import { readSystemCpuTime } from '../src/utils/procfs.js';
+import { expect } from "chai";
+
+// Function to write a fake RAPL zone (energy in microjoules)
+const writeZone = (powercapRoot, id, { name, energy, maxEnergyRange = 262143328850 }) => {
+  fs.mkdirSync(path.join(powercapRoot, id), { recursive: true });
+  fs.writeFileSync(path.join(powercapRoot, id, 'name'), `${name}\n`);
+  fs.writeFileSync(path.join(powercapRoot, id, 'energy_uj'), `${energy}\n`);
+  fs.writeFileSync(path.join(powercapRoot, id, 'max_energy_range_uj'), `${maxEnergyRange}\n`);
+};
+
+// Function to write a fake /proc/stat with the busy ticks of all cores split over user and system
+const writeProcStat = (procRoot, busyTicks) => {
+  const user = Math.floor(busyTicks / 2);
+  fs.writeFileSync(path.join(procRoot, 'stat'), [
+    `cpu  ${user} 0 ${busyTicks - user} 999999 500 0 0 0 0 0`,
+    `cpu0 ${user} 0 ${busyTicks - user} 999999 500 0 0 0 0 0`,
+    'intr 0',
+  ].join('\n'));
+};
+
+describe('RaplEnergySource', () => {
+  let root;
+  let powercapRoot;
+  let procRoot;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'node-carbon-rapl-'));
+    powercapRoot = path.join(root, 'powercap');
+    procRoot = path.join(root, 'proc');
+    fs.mkdirSync(procRoot, { recursive: true });
+
+    writeZone(powercapRoot, 'intel-rapl:0', { name: 'package-0', energy: 1000000 });
+    writeZone(powercapRoot, 'intel-rapl:0:0', { name: 'core', energy: 500000 });
+    writeZone(powercapRoot, 'intel-rapl:0:2', { name: 'dram', energy: 200000 });
+    writeZone(powercapRoot, 'intel-rapl:1', { name: 'psys', energy: 9000000 });
+    fs.mkdirSync(path.join(powercapRoot, 'intel-rapl'));
+    writeProcStat(procRoot, 1000);
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true });
+  });
+
+  it('should read the busy CPU time of all processes from /proc/stat', () => {
+    expect(readSystemCpuTime({ procRoot })).to.equal(10);
+  });
+
+  it('should share the package and DRAM energy out by CPU time', async () => {
+    const source = new RaplEnergySource({ powercapRoot, procRoot });
+    const reading = await source.start();
+    expect(reading.zones.map(zone => zone.name)).to.deep.equal(['package-0', 'dram']);
+
+    // 40 J on the package, 8 J on DRAM and 4 s of CPU time on the host, 1 s of it ours
+    writeZone(powercapRoot, 'intel-rapl:0', { name: 'package-0', energy: 41000000 });
+    writeZone(powercapRoot, 'intel-rapl:0:2', { name: 'dram', energy: 8200000 });
+    writeProcStat(procRoot, 1400);
+
+    const { cpu, memory } = await source.stop(reading, { cpuTimeInSeconds: 1, elapsedTime: 2000 });
+
+    expect(cpu).to.include({ hostEnergyJoules: 40, share: 0.25, energyJoules: 10, powerWatts: 5, systemCpuTimeInSeconds: 4 });
+    expect(cpu.zones).to.deep.equal(['package-0']);
+    expect(cpu.energyKWh).to.be.closeTo(10 / 3600000, 1e-15);
+    expect(memory).to.include({ hostEnergyJoules: 8, energyJoules: 2 });
+  });
+
+  it('should handle counter wraparound', async () => {
+    writeZone(powercapRoot, 'intel-rapl:0', { name: 'package-0', energy: 9000000, maxEnergyRange: 10000000 });
+    const source = new RaplEnergySource({ powercapRoot, procRoot });
+    const reading = await source.start();
+
+    writeZone(powercapRoot, 'intel-rapl:0', { name: 'package-0', energy: 2000000, maxEnergyRange: 10000000 });
+    writeProcStat(procRoot, 1100);
+
+    const { cpu } = await source.stop(reading, { cpuTimeInSeconds: 1, elapsedTime: 1000 });
+
+    // The counter goes from its maximum range to 0
+    expect(cpu.hostEnergyJoules).to.be.closeTo(3.000001, 1e-9);
+  });
+
+  it('should fail when the counters may have wrapped more than once', async () => {
+    writeZone(powercapRoot, 'intel-rapl:0', { name: 'package-0', energy: 1000000, maxEnergyRange: 10000000 });
+    const source = new RaplEnergySource({ powercapRoot, procRoot });
+    const reading = await source.start();
+
+    writeZone(powercapRoot, 'intel-rapl:0', { name: 'package-0', energy: 2000000, maxEnergyRange: 10000000 });
+
+    // At twice a TDP of 5 W, the 10 J range wraps every second
+    const usage = { cpuTimeInSeconds: 1, tdp: 5 };
+    expect((await source.stop(reading, { ...usage, elapsedTime: 900 })).cpu.hostEnergyJoules).to.equal(1);
+    try {
+      await source.stop(reading, { ...usage, elapsedTime: 1000 });
+      expect.fail('stop should have thrown');
+    } catch (error) {
+      expect(error.message).to.match(/wrapped more than once/);
+    }
+  });
+
+  it('should be reported as the backend of a measurement', async () => {
+    fs.rmSync(path.join(powercapRoot, 'intel-rapl:0:2'), { recursive: true });
+    const measurement = new PowerConsumptionMeasurement({
+      country: 'DEU',
+      energySource: new RaplEnergySource({ powercapRoot, procRoot }),
+    });
+
+    await measurement.start();
+    writeZone(powercapRoot, 'intel-rapl:0', { name: 'package-0', energy: 3601000000 });
+    writeProcStat(procRoot, 1000 + 100000);
+    const { energyInfo, cpuUsageInfo } = await measurement.stop();
+
+    // Without a DRAM zone memory is estimated
+    expect(energyInfo).to.include({ backend: 'rapl', memoryBackend: 'estimate' });
+    expect(energyInfo.cpu.energyJoules).to.be.closeTo(3600 * (cpuUsageInfo.cpuTimeInSeconds / 1000), 1e-9);
+    expect(energyInfo.memory).to.have.property('wattsPerGB');
+    expect(energyInfo.energyWh).to.be.closeTo(energyInfo.cpu.energyWh + energyInfo.memory.energyWh, 1e-12);
+  });
+
+  it('should fall back to the estimate when the counters are missing or unreadable', async () => {
+    const missing = new PowerConsumptionMeasurement({
+      country: 'DEU',
+      energySource: new RaplEnergySource({ powercapRoot: path.join(root, 'missing'), procRoot }),
+    });
+    await missing.start();
+    const { energyInfo } = await missing.stop();
+
+    expect(energyInfo).to.include({ backend: 'estimate', memoryBackend: 'estimate' });
+    expect(energyInfo.backendError).to.match(/ENOENT/);
+    expect(energyInfo.cpu).to.have.property('tdp');
+
+    const invalid = new PowerConsumptionMeasurement({ country: 'DEU', energySource: new RaplEnergySource({ powercapRoot, procRoot }) });
+    await invalid.start();
+    fs.writeFileSync(path.join(powercapRoot, 'intel-rapl:0', 'energy_uj'), 'n/a\n');
+    const { energyInfo: fallbackInfo } = await invalid.stop();
+
+    expect(fallbackInfo).to.include({ backend: 'estimate' });
+    expect(fallbackInfo.backendError).to.match(/^Invalid energy counter/);
+  });
+
+  it('should estimate when no energy source is configured', async () => {
+    const measurement = new PowerConsumptionMeasurement({ country: 'DEU' });
+    await measurement.start();
+    const { energyInfo } = await measurement.stop();
+
+    expect(energyInfo).to.include({ backend: 'estimate', memoryBackend: 'estimate' });
+    expect(energyInfo).not.to.have.property('backendError');
+  });
+});
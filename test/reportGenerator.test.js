@@ -0,0 +1,131 @@
+import ReportGenerator from '../src/reportGenerator.js';
+import JsonLinesStore from '../src/stores/jsonLinesStore.js';
+import { expect } from "chai";
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const records = [
+  {
+    timestamp: Date.UTC(2024, 0, 15), runId: 'a', tags: { service: 'api' }, country: 'DEU', carbonIntensity: 380.95,
+    cpuTimeInSeconds: 10, energyKWh: 0.002, carbonEmission: 0.7619, elapsedTime: 60000,
+  },
+  {
+    timestamp: Date.UTC(2024, 1, 15), runId: 'a', tags: { service: 'api', note: 'a,b' }, country: null, carbonIntensity: 475,
+    cpuTimeInSeconds: 5, energyKWh: 0.001, carbonEmission: 0.475, elapsedTime: 30000,
+  },
+  {
+    timestamp: Date.UTC(2024, 3, 1), runId: 'b', tags: { service: 'worker' }, country: 'DEU', carbonIntensity: 380.95,
+    cpuTimeInSeconds: 20, energyKWh: 0.004, carbonEmission: 1.5238, elapsedTime: 60000,
+  },
+];
+
+describe('ReportGenerator', () => {
+  it('should summarize measurements in total and per country', async () => {
+    const summary = await new ReportGenerator(records).summarize({ to: '2024-04-01' });
+
+    expect(summary).to.include({ measurementCount: 2, cpuTimeInSeconds: 15, from: '2024-01-15T00:00:00.000Z' });
+    expect(summary.energyKWh).to.be.closeTo(0.003, 1e-12);
+    expect(summary.countries.map(country => [country.country, country.count, country.carbonIntensities])).to.deep.equal([
+      ['DEU', 1, [380.95]],
+      ['unknown', 1, [475]],
+    ]);
+  });
+
+  it('should accept the results of stop()', async () => {
+    const summary = await new ReportGenerator([{
+      cpuUsageInfo: { cpuTimeInSeconds: 1 },
+      energyInfo: { energyKWh: 0.5 },
+      carbonEmission: 200,
+      locationInfo: { countryCode: 'FRA', carbonIntensity: 400 },
+      elapsedTime: 1000,
+    }]).summarize();
+
+    expect(summary).to.include({ measurementCount: 1, carbonEmission: 200 });
+    expect(summary.countries[0].country).to.equal('FRA');
+  });
+
+  it('should write one CSV row per measurement', async () => {
+    const csv = await new ReportGenerator(records).toCsv({ tags: { service: 'api' } });
+    const lines = csv.trim().split('\n');
+
+    expect(lines).to.have.lengthOf(3);
+    expect(lines[0]).to.equal('timestamp,run_id,tags,country,carbon_intensity_gco2e_per_kwh,cpu_seconds,energy_kwh,carbon_gco2e,elapsed_ms');
+    expect(lines[1]).to.equal('2024-01-15T00:00:00.000Z,a,service=api,DEU,380.95,10,0.002,0.7619,60000');
+    expect(lines[2]).to.equal('2024-02-15T00:00:00.000Z,a,"service=api;note=a,b",,475,5,0.001,0.475,30000');
+  });
+
+  it('should write the summary and measurements as JSON', async () => {
+    const report = JSON.parse(await new ReportGenerator(records).toJson({ runId: 'b' }));
+
+    expect(report.summary.measurementCount).to.equal(1);
+    expect(report.measurements[0].tags).to.deep.equal({ service: 'worker' });
+  });
+
+  it('should describe the intensity methods and regions used in the Scope 2 report', async () => {
+    const generator = new ReportGenerator([
+      ...records,
+      {
+        timestamp: Date.UTC(2024, 0, 20), runId: 'c', tags: {}, country: 'USA', region: 'aws:us-east-1',
+        carbonIntensity: 379.07, intensityMethod: 'region', cpuTimeInSeconds: 1, energyKWh: 0.001, carbonEmission: 0.37907, elapsedTime: 1000,
+      },
+    ]);
+    const report = await generator.toScope2();
+
+    const usa = report.countries.find(country => country.country === 'USA');
+    expect(usa).to.include({ count: 1 });
+    expect(usa.intensityMethods).to.deep.equal(['region']);
+    expect(usa.regions).to.deep.equal(['aws:us-east-1']);
+
+    const methodology = report.methodology.join('\n');
+    expect(methodology).to.include('cloud regions and grid zones (aws:us-east-1)');
+    expect(methodology).to.include('reported in the Our World in Data energy dataset');
+    expect(methodology).to.include('world average of 475 gCO2e/kWh');
+    expect(methodology).to.not.include('derived from their electricity generation mix');
+
+    expect(report.emissionFactorSources).to.deep.include({
+      source: 'aws:us-east-1',
+      factor: 379.07,
+      unit: 'gCO2.eq/kWh',
+      url: 'https://www.cloudcarbonfootprint.org/docs/methodology/#appendix-v-grid-emissions-factors',
+    });
+    expect(report.emissionFactorSources.map(source => source.source)).to.include.members(['DEU', 'world_average']);
+    expect(report.emissionFactorSources.map(source => source.source)).to.not.include('coal');
+
+    const text = await generator.toScope2Text();
+    expect(text).to.include('USA: 0.001 kWh, 0.37907 gCO2e, factor 379.07 gCO2e/kWh, data year 2021, regions aws:us-east-1');
+  });
+
+  it('should create a Scope 2 report from a store', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'node-carbon-'));
+    const store = new JsonLinesStore(path.join(dir, 'history.jsonl'));
+
+    try {
+      await Promise.all(records.map(record => store.append(record)));
+
+      const generator = new ReportGenerator(store);
+      const query = { from: '2024-01-01', to: '2024-04-01' };
+      const report = await generator.toScope2(query, { organization: 'Example Ltd' });
+
+      expect(report.reportingPeriod).to.deep.equal(query);
+      expect(report.totals.emissionsGCO2e).to.be.closeTo(1.2369, 1e-9);
+      expect(report.totals.emissionsTCO2e).to.be.closeTo(1.2369e-6, 1e-15);
+      expect(report.countries.find(country => country.country === 'DEU').dataYear).to.equal(2021);
+      expect(report.countries.find(country => country.country === 'unknown').dataYear).to.be.null;
+      expect(report.emissionFactorSources).to.deep.include({
+        source: 'world_average',
+        factor: 475,
+        unit: 'gCO2.eq/kWh',
+        url: 'https://www.iea.org/reports/global-energy-co2-status-report-2019/emissions',
+      });
+      expect(report.methodology.join(' ')).to.include('location-based');
+      expect(report.uncertainty).to.not.be.empty;
+
+      const text = await generator.toScope2Text(query, { organization: 'Example Ltd' });
+      expect(text).to.include('Organization: Example Ltd');
+      expect(text).to.include('Emission factor sources\n- DEU: 365.477 gCO2.eq/kWh (https://github.com/owid/energy-data)\n- world_average: 475 gCO2.eq/kWh');
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,167 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Worker, MessageChannel } from 'worker_threads';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import ThreadUsageMeasurement, { readThreadCpuUsage, readWorkerCpuUsage, serveThreadCpuUsage } from '../src/threadUsageMeasurement.js';
+import { readThreadStats } from '../src/utils/procfs.js';
+import { expect } from "chai";
+
+// Function to keep the current thread busy
+const busyLoop = (milliseconds) => {
+  const end = Date.now() + milliseconds;
+  while (Date.now() < end);
+};
+
+// Function to write a fake /proc/<pid>/task/<tid>/stat (utime and stime in ticks)
+const writeTaskStat = (procRoot, pid, { tid, command = 'node', utime = 0, stime = 0 }) => {
+  const fields = ['S', 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, utime, stime, 0, 0, 20, 0, 1, 0, 1000, 0, 0];
+  const dir = path.join(procRoot, String(pid), 'task', String(tid));
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'stat'), `${tid} (${command}) ${fields.join(' ')}\n`);
+};
+
+// Worker that answers CPU time requests on the port it is given and keeps its thread busy for 300 ms
+// when asked to
+const workerSource = `
+  const { workerData, parentPort } = require('worker_threads');
+  import(workerData.module).then(({ serveThreadCpuUsage }) => {
+    serveThreadCpuUsage(workerData.port);
+    parentPort.on('message', () => {
+      const end = Date.now() + 300;
+      while (Date.now() < end);
+      parentPort.postMessage('done');
+    });
+    parentPort.postMessage('ready');
+  });
+`;
+
+describe('ThreadUsageMeasurement', () => {
+  it('should read the CPU time of every thread of a process', () => {
+    const procRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'node-carbon-task-'));
+    try {
+      writeTaskStat(procRoot, 10, { tid: 10, utime: 150, stime: 50 });
+      writeTaskStat(procRoot, 10, { tid: 12, command: 'libuv-worker', utime: 30 });
+
+      expect(readThreadStats(10, { procRoot })).to.deep.equal([
+        { tid: 10, name: 'node', cpuTimeInSeconds: 2 },
+        { tid: 12, name: 'libuv-worker', cpuTimeInSeconds: 0.3 },
+      ]);
+      expect(readThreadStats(99, { procRoot })).to.deep.equal([]);
+    } finally {
+      fs.rmSync(procRoot, { recursive: true });
+    }
+  });
+
+  it('should measure the CPU time of the current thread', () => {
+    const measurement = new ThreadUsageMeasurement();
+    measurement.start();
+    busyLoop(100);
+    const result = measurement.stop();
+
+    expect(result.threadId).to.equal(0);
+    expect(result.cpuTimeInSeconds).to.be.within(0.05, 0.5);
+    expect(readThreadCpuUsage()).to.be.at.most(process.cpuUsage().user / 1e6 + process.cpuUsage().system / 1e6 + 0.01);
+  });
+
+  it('should break the CPU time of the process down per thread', async () => {
+    const measurement = new PowerConsumptionMeasurement({ country: 'DEU' });
+    await measurement.start();
+    busyLoop(100);
+    const { cpuUsageInfo, scope } = await measurement.stop();
+
+    expect(scope).to.equal('process');
+    const mainThread = cpuUsageInfo.threads.find(({ tid }) => tid === process.pid);
+    expect(mainThread.cpuTimeInSeconds).to.be.above(0.05);
+    expect(cpuUsageInfo.threads[0].cpuTimeInSeconds).to.be.at.least(mainThread.cpuTimeInSeconds);
+  });
+
+  it('should measure the thread scope without a per-thread breakdown', async () => {
+    const measurement = new PowerConsumptionMeasurement({ country: 'DEU', scope: 'thread' });
+    await measurement.start();
+    busyLoop(50);
+    const { cpuUsageInfo, scope } = await measurement.stop();
+
+    expect(scope).to.equal('thread');
+    expect(cpuUsageInfo.threadId).to.equal(0);
+    expect(cpuUsageInfo.cpuTimeInSeconds).to.be.above(0);
+    expect(cpuUsageInfo).not.to.have.property('threads');
+  });
+
+  it('should read a worker with worker.cpuUsage() when Node.js has it', async () => {
+    const fakeWorker = { cpuUsage: async () => ({ user: 1500000, system: 500000 }) };
+    expect(await readWorkerCpuUsage(fakeWorker)).to.equal(2);
+
+    let error;
+    try {
+      await readWorkerCpuUsage({});
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).to.match(/needs worker.cpuUsage\(\) or a port/);
+  });
+
+  it('should answer CPU time requests on a port', async () => {
+    const { port1, port2 } = new MessageChannel();
+    const stopServing = serveThreadCpuUsage(port2);
+
+    try {
+      const cpuTimeInSeconds = await readWorkerCpuUsage({}, { port: port1 });
+      expect(cpuTimeInSeconds).to.be.above(0);
+    } finally {
+      stopServing();
+      port1.close();
+    }
+  });
+
+  it('should time out when a worker does not answer', async () => {
+    const { port1, port2 } = new MessageChannel();
+
+    let error;
+    try {
+      await readWorkerCpuUsage({}, { port: port1, timeout: 20 });
+    } catch (err) {
+      error = err;
+    } finally {
+      port1.close();
+      port2.close();
+    }
+    expect(error.message).to.match(/did not report its CPU time within 20 ms/);
+  });
+
+  it('should break the CPU time down per tracked worker', async function () {
+    this.timeout(10000);
+
+    const { port1, port2 } = new MessageChannel();
+    const worker = new Worker(workerSource, {
+      eval: true,
+      workerData: { module: new URL('../src/threadUsageMeasurement.js', import.meta.url).href, port: port2 },
+      transferList: [port2],
+    });
+    const silentWorker = { threadId: 999, once: () => {} };
+    await new Promise((resolve) => worker.once('message', resolve));
+
+    const measurement = new PowerConsumptionMeasurement({ country: 'DEU' });
+    measurement.trackWorker(worker, { name: 'busy', port: port1 });
+    measurement.trackWorker(silentWorker);
+
+    try {
+      await measurement.start();
+      worker.postMessage('busy');
+      await new Promise((resolve) => worker.once('message', resolve));
+      const { cpuUsageInfo } = await measurement.stop();
+
+      const [busy, silent] = cpuUsageInfo.workers;
+      expect(busy).to.include({ threadId: worker.threadId, name: 'busy' });
+      expect(busy.cpuTimeInSeconds).to.be.within(0.1, 2);
+      expect(silent).to.include({ threadId: 999, name: 'worker-999', cpuTimeInSeconds: null });
+      expect(silent.error).to.match(/needs worker.cpuUsage\(\) or a port/);
+    } finally {
+      await worker.terminate();
+    }
+
+    // Workers stop being tracked when they exit
+    expect(measurement.workers.has(999)).to.equal(true);
+    expect([...measurement.workers.values()].map(({ name }) => name)).to.deep.equal(['worker-999']);
+  });
+});
@@ -0,0 +1,74 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chai from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import TtlCache from '../src/utils/ttlCache.js';
+import { expect } from "chai";
+
+chai.use(chaiAsPromised);
+
+describe('TtlCache', () => {
+  it('should expire entries after their time to live', () => {
+    let now = 1000;
+    const cache = new TtlCache({ ttl: 100, now: () => now });
+
+    cache.set('geo', { country_code3: 'USA' });
+    expect(cache.get('geo')).to.deep.equal({ country_code3: 'USA' });
+
+    now += 100;
+    expect(cache.get('geo')).to.be.undefined;
+  });
+
+  it('should share one in-flight load between concurrent callers', async () => {
+    const cache = new TtlCache();
+    const loader = sinon.stub().callsFake(() => new Promise((resolve) => setTimeout(() => resolve(379.26), 10)));
+
+    const results = await Promise.all([
+      cache.getOrLoad('intensity:USA', loader),
+      cache.getOrLoad('intensity:USA', loader),
+      cache.getOrLoad('intensity:USA', loader),
+    ]);
+
+    expect(results).to.deep.equal([379.26, 379.26, 379.26]);
+    sinon.assert.calledOnce(loader);
+
+    // Later calls are served from the cache
+    await cache.getOrLoad('intensity:USA', loader);
+    sinon.assert.calledOnce(loader);
+  });
+
+  it('should not cache failed loads', async () => {
+    const cache = new TtlCache();
+    const loader = sinon.stub();
+    loader.onFirstCall().rejects(new Error('offline'));
+    loader.onSecondCall().resolves('USA');
+
+    await expect(cache.getOrLoad('geo', loader)).to.be.rejectedWith('offline');
+    expect(await cache.getOrLoad('geo', loader)).to.equal('USA');
+  });
+
+  it('should use a ttl computed from the loaded value', async () => {
+    let now = 0;
+    const cache = new TtlCache({ ttl: 1000, now: () => now });
+
+    await cache.getOrLoad('geo', async () => ({ source: 'fallback' }), (value) => (value.source === 'fallback' ? 10 : 1000));
+
+    now = 10;
+    expect(cache.get('geo')).to.be.undefined;
+  });
+
+  it('should persist entries to a file', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'node-carbon-')), 'cache.json');
+
+    const cache = new TtlCache({ file });
+    cache.set('intensity:FRA', 58.5);
+    await cache.save();
+
+    const reloadedCache = new TtlCache({ file });
+    expect(reloadedCache.get('intensity:FRA')).to.equal(58.5);
+
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+});
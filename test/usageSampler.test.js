@@ -0,0 +1,108 @@
+import UsageSampler from '../src/usageSampler.js';
+import RingBuffer from '../src/utils/ringBuffer.js';
+import CpuPowerModel from '../src/cpuPowerModel.js';
+import PowerConsumptionMeasurement from '../src/powerConsumptionMeasurement.js';
+import { expect } from "chai";
+
+// Function to keep the current thread busy
+const busyLoop = (milliseconds) => {
+  const end = Date.now() + milliseconds;
+  while (Date.now() < end);
+};
+
+describe('RingBuffer', () => {
+  it('should keep the latest items, oldest first', () => {
+    const buffer = new RingBuffer(3);
+
+    expect([1, 2, 3].map((item) => buffer.push(item))).to.deep.equal([false, false, false]);
+    expect(buffer.push(4)).to.equal(true);
+    expect(buffer.push(5)).to.equal(true);
+    expect(buffer.toArray()).to.deep.equal([3, 4, 5]);
+    expect(buffer.length).to.equal(3);
+
+    buffer.clear();
+    expect(buffer.toArray()).to.deep.equal([]);
+    expect(() => new RingBuffer(0)).to.throw('Invalid capacity: must be a positive integer');
+  });
+});
+
+describe('UsageSampler', () => {
+  it('should validate the interval', () => {
+    expect(() => new UsageSampler({ interval: 0 })).to.throw('Invalid interval: must be a positive number');
+  });
+
+  it('should sample CPU time, memory and event loop utilization since the previous sample', () => {
+    const sampler = new UsageSampler({ cpuPowerModel: new CpuPowerModel({ tdp: 100, cores: 4 }) });
+    busyLoop(50);
+    const sample = sampler.sample();
+
+    expect(sample.intervalInSeconds).to.be.at.least(0.04);
+    expect(sample.userTimeInSeconds + sample.systemTimeInSeconds).to.be.above(0.02);
+    expect(sample.cpuUtilization).to.be.within(0, 1);
+    expect(sample.eventLoopUtilization).to.be.above(0.5);
+    expect(sample.rssMB).to.be.above(0);
+    expect(sample.heapUsedMB).to.be.at.most(sample.heapTotalMB);
+    expect(sample.cpuPowerWatts).to.be.closeTo(100 * sample.cpuUtilization, 1e-9);
+  });
+
+  it('should sample what the given functions read, within the CPU limit', () => {
+    let cpuTime = 10;
+    const sampler = new UsageSampler({
+      cpuPowerModel: new CpuPowerModel({ tdp: 100, cores: 4 }),
+      readCpuTime: () => cpuTime,
+      readMemory: () => 512 * 1024 * 1024,
+      readCpuLimit: () => 2,
+    });
+    busyLoop(20);
+    cpuTime += 1;
+    const sample = sampler.sample();
+
+    expect(sample).to.include({ userTimeInSeconds: null, systemTimeInSeconds: null, cpuTimeInSeconds: 1, rssMB: 512 });
+    expect(sample.cpuUtilization).to.equal(1);
+    expect(sample.cpuPowerWatts).to.be.closeTo(50, 1e-9); // All of the 2 cores out of 4
+  });
+
+  it('should drop the oldest samples but integrate the energy of all of them', () => {
+    const sampler = new UsageSampler({ capacity: 3 });
+    const samples = [1, 2, 3, 4, 5].map(() => {
+      busyLoop(5);
+      return sampler.sample();
+    });
+    const timeSeries = sampler.stop();
+
+    expect(timeSeries.samples).to.have.length(3);
+    expect(timeSeries.samples[0]).to.equal(samples[3]);
+    expect(timeSeries).to.include({ sampleCount: 6, droppedCount: 3, interval: 100 });
+
+    const energyJoules = [...samples, timeSeries.samples[2]].reduce((total, sample) => total + sample.energyJoules, 0);
+    expect(timeSeries.energy.energyJoules).to.be.closeTo(energyJoules, 1e-9);
+    expect(timeSeries.energy.energyKWh).to.be.closeTo(energyJoules / 3600000, 1e-15);
+  });
+
+  it('should sample in the background while started', async () => {
+    const sampler = new UsageSampler({ interval: 10 });
+    sampler.start();
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const { samples, sampleCount } = sampler.stop();
+
+    expect(sampleCount).to.be.at.least(4);
+    expect(samples.map((sample) => sample.timestamp)).to.deep.equal(samples.map((sample) => sample.timestamp).sort());
+    expect(sampler.timer).to.be.null;
+  });
+
+  it('should add a time series to measurements when enabled', async () => {
+    const measurement = new PowerConsumptionMeasurement({ country: 'DEU', sampler: { interval: 10 } });
+    await measurement.start();
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    const { timeSeries, energyInfo } = await measurement.stop();
+
+    expect(timeSeries.interval).to.equal(10);
+    expect(timeSeries.samples.length).to.be.at.least(2);
+    expect(timeSeries.energy.energyKWh).to.be.within(0, energyInfo.energyKWh * 2);
+    expect(measurement.usageSampler.cpuPowerModel).to.equal(measurement.cpuPowerModel);
+
+    const plain = new PowerConsumptionMeasurement({ country: 'DEU' });
+    await plain.start();
+    expect(await plain.stop()).not.to.have.property('timeSeries');
+  });
+});